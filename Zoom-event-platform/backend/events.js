@@ -1,41 +1,83 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { authenticateToken, requireSubscription, requireActiveSubscription } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
 const { PrismaClient } = require('@prisma/client');
 const zoomService = require('../services/zoomService');
+const registrationService = require('../services/registrationService');
+const { RegistrationError } = require('../services/registrationService');
+const seriesService = require('../services/seriesService');
+const { SeriesError, MAX_OCCURRENCES } = require('../services/seriesService');
+const calendarService = require('../services/calendarService');
+const notificationService = require('../services/notificationService');
+const jobHandlers = require('../services/jobHandlers');
+const zoomSyncService = require('../services/zoomSyncService');
+const meetingJoinService = require('../services/meetingJoinService');
+const { MeetingJoinError } = require('../services/meetingJoinService');
+const realtimeService = require('../services/realtimeService');
+const entitlementService = require('../services/entitlementService');
+const { EntitlementError } = require('../services/entitlementService');
+const organizationService = require('../services/organizationService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Subscription limits
-const SUBSCRIPTION_LIMITS = {
-  TRIAL: {
-    maxEvents: 3,
-    maxAttendees: 12,
-    maxDuration: 60 // minutes
-  },
-  STANDARD: {
-    maxEvents: 10,
-    maxAttendees: 250,
-    maxDuration: 240 // minutes
-  },
-  PRO: {
-    maxEvents: -1, // unlimited
-    maxAttendees: 500,
-    maxDuration: -1 // unlimited
+// Fields an organizer may change with PUT /:id. Ownership, the organization
+// and the Zoom and seat bookkeeping are never taken from the request body.
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'startTime',
+  'endTime',
+  'timezone',
+  'maxAttendees',
+  'dashboardTemplate',
+  'settings',
+  'isPublic',
+  'waitlistEnabled'
+];
+
+// Plan check that failed, as a response
+const sendEntitlementError = (res, error) => {
+  res.status(error.status).json({
+    error: 'Plan limit reached',
+    message: error.message,
+    code: error.code,
+    ...error.details
+  });
+};
+
+// Public events are listed to anyone, so only organizers with a verified
+// email may publish them. Sends a 403 and returns false otherwise.
+const requireVerifiedEmail = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { isEmailVerified: true }
+  });
+
+  if (!user?.isEmailVerified) {
+    res.status(403).json({
+      error: 'Email not verified',
+      message: 'Verify your email before publishing public events',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+    return false;
   }
+
+  return true;
 };
 
 // @route   GET /api/events
-// @desc    Get user events
-// @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+// @desc    Get the organization's events
+// @access  Private (viewer)
+router.get('/', authenticateToken, authorize('viewer'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, type } = req.query;
     const skip = (page - 1) * limit;
 
     const where = {
-      userId: req.user.id
+      organizationId: req.organization.id
     };
 
     if (status) {
@@ -101,15 +143,21 @@ router.get('/', authenticateToken, async (req, res) => {
 
 // @route   POST /api/events
 // @desc    Create a new event
-// @access  Private
+// @access  Private (organizer)
 router.post('/', [
   authenticateToken,
-  requireActiveSubscription,
+  authorize('organizer'),
   body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
   body('startTime').isISO8601().withMessage('Valid start time is required'),
   body('endTime').isISO8601().withMessage('Valid end time is required'),
-  body('maxAttendees').optional().isInt({ min: 1 }).withMessage('Max attendees must be a positive number')
+  body('maxAttendees').optional().isInt({ min: 1 }).withMessage('Max attendees must be a positive number'),
+  body('isPublic').optional().isBoolean(),
+  body('waitlistEnabled').optional().isBoolean(),
+  body('recurrence').optional().isObject().withMessage('Recurrence must be an object')
 ], async (req, res) => {
+  // Set while quota is taken for an event that doesn't exist yet
+  let pendingQuota = null;
+
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -130,50 +178,21 @@ router.post('/', [
       maxAttendees,
       dashboardTemplate = 'CLASSIC',
       settings = {},
+      isPublic = false,
+      waitlistEnabled = false,
+      recurrence,
       createZoomMeeting = true
     } = req.body;
 
-    // Check subscription limits
-    const userSubscription = req.user.subscriptionTier;
-    const limits = SUBSCRIPTION_LIMITS[userSubscription];
-
-    // Check event count limit
-    if (limits.maxEvents !== -1) {
-      const eventCount = await prisma.event.count({
-        where: { userId: req.user.id }
-      });
+    if (isPublic && !(await requireVerifiedEmail(req, res))) return;
 
-      if (eventCount >= limits.maxEvents) {
-        return res.status(403).json({
-          error: 'Event limit exceeded',
-          message: `Your ${userSubscription} subscription allows maximum ${limits.maxEvents} events`,
-          currentCount: eventCount,
-          limit: limits.maxEvents
-        });
-      }
-    }
-
-    // Validate attendee limit
-    const attendeeLimit = maxAttendees || limits.maxAttendees;
-    if (attendeeLimit > limits.maxAttendees) {
-      return res.status(403).json({
-        error: 'Attendee limit exceeded',
-        message: `Your ${userSubscription} subscription allows maximum ${limits.maxAttendees} attendees`,
-        requested: attendeeLimit,
-        limit: limits.maxAttendees
-      });
-    }
-
-    // Validate duration limit
+    // Plan limits: events this billing period, capacity and duration
     const duration = Math.ceil((new Date(endTime) - new Date(startTime)) / (1000 * 60)); // minutes
-    if (limits.maxDuration !== -1 && duration > limits.maxDuration) {
-      return res.status(403).json({
-        error: 'Duration limit exceeded',
-        message: `Your ${userSubscription} subscription allows maximum ${limits.maxDuration} minutes`,
-        requested: duration,
-        limit: limits.maxDuration
-      });
-    }
+    const { entitlements, attendeeLimit } = await entitlementService.assertCanCreateEvent(req.organization.id, {
+      maxAttendees,
+      durationMinutes: duration
+    });
+    const { limits } = entitlements;
 
     // Validate start time is in the future
     if (new Date(startTime) <= new Date()) {
@@ -191,34 +210,77 @@ router.post('/', [
       });
     }
 
+    // Metered up front so concurrent requests can't overshoot; given back if creation fails
+    await entitlementService.consumeEvent(entitlements);
+    pendingQuota = new Date();
+
+    // Recurring series: one Zoom recurring meeting, one event row per occurrence
+    if (recurrence) {
+      const rule = seriesService.normalizeRecurrence(recurrence, startTime, timezone);
+
+      const { series, events, zoomMeeting } = await seriesService.createSeries({
+        userId: req.user.id,
+        organizationId: req.organization.id,
+        event: {
+          title,
+          description,
+          type,
+          startTime: new Date(startTime),
+          endTime: new Date(endTime),
+          timezone,
+          maxAttendees: attendeeLimit,
+          dashboardTemplate,
+          settings: JSON.stringify(settings),
+          isPublic: Boolean(isPublic),
+          waitlistEnabled: Boolean(waitlistEnabled)
+        },
+        rule,
+        durationMinutes: duration,
+        maxOccurrences: limits.maxOccurrences === -1 ? MAX_OCCURRENCES : limits.maxOccurrences,
+        createZoomMeeting,
+        zoomSettings: settings
+      });
+      pendingQuota = null;
+
+      for (const occurrence of events) {
+        await jobHandlers.scheduleEventJobs(occurrence);
+      }
+
+      return res.status(201).json({
+        message: 'Event series created successfully',
+        series,
+        events,
+        zoomMeeting: zoomMeeting ? {
+          id: zoomMeeting.id,
+          join_url: zoomMeeting.join_url,
+          start_url: zoomMeeting.start_url,
+          password: zoomMeeting.password
+        } : null
+      });
+    }
+
     let zoomMeeting = null;
+    let zoomOwnerId = null;
+    let zoomError = null;
 
     // Create Zoom meeting if requested
     if (createZoomMeeting) {
       try {
-        const meetingData = {
-          topic: title,
-          type: 2, // Scheduled meeting
-          start_time: new Date(startTime).toISOString(),
-          duration,
-          timezone,
-          agenda: description,
-          settings: {
-            host_video: true,
-            participant_video: true,
-            join_before_host: false,
-            mute_upon_entry: true,
-            waiting_room: true,
-            approval_type: 2,
-            ...settings
-          }
-        };
+        const meetingData = zoomSyncService.buildMeetingData({
+          title,
+          description,
+          startTime,
+          endTime,
+          timezone
+        }, settings);
 
-        zoomMeeting = await zoomService.createMeeting(meetingData);
-      } catch (zoomError) {
-        console.error('Zoom meeting creation failed:', zoomError);
-        // Continue creating event without Zoom meeting
-        // You can choose to fail here if Zoom integration is critical
+        const zoom = await zoomService.forUser(req.user.id);
+        zoomMeeting = await zoom.createMeeting(meetingData);
+        zoomOwnerId = zoom.zoomUserId;
+      } catch (error) {
+        console.error('Zoom meeting creation failed:', error);
+        // Continue creating event without Zoom meeting; creation is retried in the background
+        zoomError = error;
       }
     }
 
@@ -234,12 +296,20 @@ router.post('/', [
         maxAttendees: attendeeLimit,
         dashboardTemplate,
         settings: JSON.stringify(settings),
+        slug: registrationService.generateSlug(title),
+        isPublic: Boolean(isPublic),
+        waitlistEnabled: Boolean(waitlistEnabled),
+        // The creator hosts the meeting from their Zoom account
         userId: req.user.id,
+        organizationId: req.organization.id,
         // Zoom integration fields
         zoomMeetingId: zoomMeeting?.id?.toString(),
+        zoomOwnerId,
         zoomMeetingUrl: zoomMeeting?.join_url,
         zoomPassword: zoomMeeting?.password,
-        zoomHostKey: zoomMeeting?.start_url
+        zoomHostKey: zoomMeeting?.start_url,
+        zoomSyncStatus: zoomMeeting ? 'synced' : (createZoomMeeting ? 'pending' : 'none'),
+        zoomSyncedAt: zoomMeeting ? new Date() : null
       },
       include: {
         user: {
@@ -253,6 +323,14 @@ router.post('/', [
       }
     });
 
+    pendingQuota = null;
+
+    await jobHandlers.scheduleEventJobs(event);
+
+    if (zoomError) {
+      await zoomSyncService.queueEventSync(event.id, zoomError);
+    }
+
     res.status(201).json({
       message: 'Event created successfully',
       event,
@@ -261,9 +339,32 @@ router.post('/', [
         join_url: zoomMeeting.join_url,
         start_url: zoomMeeting.start_url,
         password: zoomMeeting.password
+      } : null,
+      // Lets the client tell a temporary Zoom outage (retried) from a rejected request
+      zoomError: zoomError ? {
+        message: zoomError.message,
+        code: zoomError.code,
+        retrying: zoomError.retryable !== false
       } : null
     });
   } catch (error) {
+    if (pendingQuota) {
+      await entitlementService.releaseEvent(req.organization.id, pendingQuota)
+        .catch(releaseError => console.error('Failed to release event quota:', releaseError));
+    }
+
+    if (error instanceof EntitlementError) {
+      return sendEntitlementError(res, error);
+    }
+
+    if (error instanceof SeriesError) {
+      return res.status(error.status).json({
+        error: 'Invalid recurrence',
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Create event error:', error);
     res.status(500).json({
       error: 'Failed to create event',
@@ -272,17 +373,127 @@ router.post('/', [
   }
 });
 
+// @route   GET /api/events/series/:seriesId
+// @desc    Get a recurring series and its occurrences
+// @access  Private (viewer)
+router.get('/series/:seriesId', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const series = await prisma.eventSeries.findFirst({
+      where: {
+        id: parseInt(req.params.seriesId),
+        organizationId: req.organization.id
+      },
+      include: {
+        events: {
+          orderBy: { startTime: 'asc' },
+          include: {
+            _count: {
+              select: { attendees: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        error: 'Series not found'
+      });
+    }
+
+    res.json(series);
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      error: 'Failed to get series',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/events/series/:seriesId/calendar.ics
+// @desc    Download a recurring series as an iCalendar file
+// @access  Private (viewer)
+router.get('/series/:seriesId/calendar.ics', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const series = await prisma.eventSeries.findFirst({
+      where: {
+        id: parseInt(req.params.seriesId),
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        error: 'Series not found'
+      });
+    }
+
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`series-${series.id}.ics`);
+    res.send(await calendarService.seriesCalendar(series));
+  } catch (error) {
+    console.error('Series calendar export error:', error);
+    res.status(500).json({
+      error: 'Failed to export calendar',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/events/:id/calendar.ics
+// @desc    Download an event as an iCalendar file
+// @access  Private (viewer)
+router.get('/:id/calendar.ics', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: {
+        id: parseInt(req.params.id),
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`event-${event.id}.ics`);
+    res.send(calendarService.eventCalendar(event));
+  } catch (error) {
+    console.error('Calendar export error:', error);
+    res.status(500).json({
+      error: 'Failed to export calendar',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/events/:id
 // @desc    Get event by ID
-// @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
+// @access  Private (viewer)
+router.get('/:id', [
+  authenticateToken,
+  authorize('viewer'),
+  param('id').isInt().withMessage('Invalid event id').toInt()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { id } = req.params;
 
     const event = await prisma.event.findUnique({
       where: {
         id,
-        userId: req.user.id
+        organizationId: req.organization.id
       },
       include: {
         attendees: {
@@ -294,6 +505,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         sessions: {
           orderBy: { startTime: 'asc' }
         },
+        series: true,
         analytics: {
           orderBy: { recordedAt: 'desc' },
           take: 10
@@ -336,14 +548,44 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/events/:id/join
+// @desc    Get a Meeting SDK join signature (host for the organizer and co-hosts, participant for registered attendees)
+// @access  Private
+router.post('/:id/join', authenticateToken, async (req, res) => {
+  try {
+    const joinConfig = await meetingJoinService.forUser(parseInt(req.params.id), req.user.id);
+
+    res.json(joinConfig);
+  } catch (error) {
+    if (error instanceof MeetingJoinError) {
+      return res.status(error.status).json({
+        error: 'Cannot join meeting',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Join meeting error:', error);
+    res.status(500).json({
+      error: 'Failed to join meeting',
+      message: error.message
+    });
+  }
+});
+
 // @route   PUT /api/events/:id
 // @desc    Update event
-// @access  Private
+// @access  Private (organizer)
 router.put('/:id', [
   authenticateToken,
+  authorize('organizer'),
+  param('id').isInt().withMessage('Invalid event id').toInt(),
   body('title').optional().trim().isLength({ min: 1 }),
   body('startTime').optional().isISO8601(),
-  body('endTime').optional().isISO8601()
+  body('endTime').optional().isISO8601(),
+  body('maxAttendees').optional().isInt({ min: 1 }).toInt(),
+  body('waitlistEnabled').optional().isBoolean().toBoolean(),
+  body('isPublic').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -357,11 +599,11 @@ router.put('/:id', [
     const { id } = req.params;
     const updateData = req.body;
 
-    // Check if event exists and belongs to user
+    // Check if event exists and belongs to the organization
     const existingEvent = await prisma.event.findUnique({
       where: {
         id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -371,8 +613,12 @@ router.put('/:id', [
       });
     }
 
-    // Prepare update data
-    const data = { ...updateData };
+    if (updateData.isPublic && !existingEvent.isPublic && !(await requireVerifiedEmail(req, res))) return;
+
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (updateData[field] !== undefined) data[field] = updateData[field];
+    }
     
     if (data.startTime) {
       data.startTime = new Date(data.startTime);
@@ -386,26 +632,70 @@ router.put('/:id', [
       data.settings = JSON.stringify(data.settings);
     }
 
+    // Capacity and duration stay within the plan, as at creation
+    if (data.maxAttendees !== undefined || data.startTime || data.endTime) {
+      const entitlements = await entitlementService.getEntitlements(req.organization.id);
+
+      if (data.maxAttendees !== undefined) {
+        entitlementService.checkAttendeeLimit(entitlements, data.maxAttendees);
+      }
+
+      if (data.startTime || data.endTime) {
+        const start = data.startTime || existingEvent.startTime;
+        const end = data.endTime || existingEvent.endTime;
+        entitlementService.checkDurationLimit(entitlements, Math.ceil((end - start) / (1000 * 60)));
+      }
+    }
+
+    // Occurrences of a series are edited alone (?scope=occurrence, the default)
+    // or together with every later occurrence (?scope=following)
+    if (existingEvent.seriesId) {
+      const scope = req.query.scope === 'following' ? 'following' : 'occurrence';
+      const updatedOccurrences = await seriesService.updateOccurrences(existingEvent, data, scope);
+
+      if (data.startTime || data.endTime) {
+        for (const occurrence of updatedOccurrences) {
+          await jobHandlers.scheduleEventJobs(occurrence);
+        }
+      }
+
+      if (data.maxAttendees !== undefined || data.waitlistEnabled !== undefined) {
+        for (const occurrence of updatedOccurrences) {
+          await registrationService.promoteWaitlist(occurrence.id);
+        }
+      }
+
+      return res.json({
+        message: 'Event updated successfully',
+        event: updatedOccurrences[0],
+        updatedOccurrences: updatedOccurrences.length
+      });
+    }
+
     // Update Zoom meeting if it exists and meeting details changed
+    let zoomError = null;
     if (existingEvent.zoomMeetingId && (updateData.title || updateData.startTime || updateData.endTime || updateData.description)) {
       try {
-        const zoomUpdateData = {};
-        
-        if (updateData.title) zoomUpdateData.topic = updateData.title;
-        if (updateData.description) zoomUpdateData.agenda = updateData.description;
-        if (updateData.startTime) zoomUpdateData.start_time = new Date(updateData.startTime).toISOString();
-        if (updateData.endTime && updateData.startTime) {
-          zoomUpdateData.duration = Math.ceil((new Date(updateData.endTime) - new Date(updateData.startTime)) / (1000 * 60));
-        }
-
-        await zoomService.updateMeeting(existingEvent.zoomMeetingId, zoomUpdateData);
-      } catch (zoomError) {
-        console.error('Failed to update Zoom meeting:', zoomError);
-        // Continue with event update even if Zoom update fails
+        // Send the full current details so the meeting can't drift field by field
+        const zoom = await zoomService.forMeeting(existingEvent);
+        await zoom.updateMeeting(existingEvent.zoomMeetingId, zoomSyncService.buildMeetingUpdate({
+          ...existingEvent,
+          ...data
+        }));
+        data.zoomSyncStatus = 'synced';
+        data.zoomSyncError = null;
+        data.zoomSyncedAt = new Date();
+      } catch (error) {
+        console.error('Failed to update Zoom meeting:', error);
+        // Continue with event update; the meeting is re-synced in the background
+        zoomError = error;
       }
     }
 
-    const updatedEvent = await prisma.event.update({
+    // Calendar clients only apply updates with a higher SEQUENCE
+    data.sequence = { increment: 1 };
+
+    let updatedEvent = await prisma.event.update({
       where: { id },
       data,
       include: {
@@ -415,11 +705,45 @@ router.put('/:id', [
       }
     });
 
+    if (zoomError) {
+      await zoomSyncService.queueEventSync(existingEvent.id, zoomError);
+    }
+
+    // Reminders and the no-show sweep follow the new times
+    if (data.startTime || data.endTime) {
+      await jobHandlers.scheduleEventJobs(updatedEvent);
+    }
+
+    const changes = notificationService.describeChanges(existingEvent, updatedEvent);
+    if (changes.length > 0) {
+      await notificationService.notifyEventAttendees(updatedEvent, 'eventUpdated', { changes });
+    }
+
+    // Raising capacity (or turning the waitlist on) may free seats for the queue
+    if (data.maxAttendees !== undefined || data.waitlistEnabled !== undefined) {
+      const promoted = await registrationService.promoteWaitlist(existingEvent.id);
+
+      if (promoted.length > 0) {
+        updatedEvent = await prisma.event.findUnique({
+          where: { id: existingEvent.id },
+          include: {
+            attendees: true,
+            resources: true,
+            sessions: true
+          }
+        });
+      }
+    }
+
     res.json({
       message: 'Event updated successfully',
       event: updatedEvent
     });
   } catch (error) {
+    if (error instanceof EntitlementError) {
+      return sendEntitlementError(res, error);
+    }
+
     console.error('Update event error:', error);
     res.status(500).json({
       error: 'Failed to update event',
@@ -430,15 +754,27 @@ router.put('/:id', [
 
 // @route   DELETE /api/events/:id
 // @desc    Delete event
-// @access  Private
-router.delete('/:id', authenticateToken, async (req, res) => {
+// @access  Private (organizer)
+router.delete('/:id', [
+  authenticateToken,
+  authorize('organizer'),
+  param('id').isInt().withMessage('Invalid event id').toInt()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const { id } = req.params;
 
     const event = await prisma.event.findUnique({
       where: {
         id,
-        userId: req.user.id
+        organizationId: req.organization.id
       }
     });
 
@@ -448,20 +784,65 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Occurrences of a series are cancelled alone (?scope=occurrence, the default)
+    // or together with every later occurrence (?scope=following)
+    if (event.seriesId) {
+      const scope = req.query.scope === 'following' ? 'following' : 'occurrence';
+      const series = await prisma.eventSeries.findUnique({
+        where: { id: event.seriesId }
+      });
+      const cancelled = await seriesService.cancelOccurrences(event, scope);
+
+      // A series counts as one event, given back when it is cancelled whole before it starts
+      const seriesDeleted = !(await prisma.eventSeries.findUnique({ where: { id: series.id } }));
+      if (seriesDeleted && series.startTime > new Date()) {
+        await entitlementService.releaseEvent(series.organizationId, series.createdAt);
+      }
+
+      for (const occurrence of cancelled) {
+        await jobHandlers.cancelEventJobs(occurrence.id);
+        realtimeService.publish(occurrence.id, 'event.status', { status: 'cancelled' });
+      }
+
+      return res.json({
+        message: 'Event deleted successfully',
+        deletedOccurrences: cancelled.length
+      });
+    }
+
     // Delete Zoom meeting if it exists
     if (event.zoomMeetingId) {
       try {
-        await zoomService.deleteMeeting(event.zoomMeetingId);
+        const zoom = await zoomService.forMeeting(event);
+        await zoom.deleteMeeting(event.zoomMeetingId);
       } catch (zoomError) {
         console.error('Failed to delete Zoom meeting:', zoomError);
-        // Continue with event deletion even if Zoom deletion fails
+        // Continue with event deletion; the delete is retried in the background
+        await zoomSyncService.queueMeetingDelete(event.zoomMeetingId, {
+          userId: event.userId,
+          zoomOwnerId: event.zoomOwnerId
+        });
       }
     }
 
+    // Lets calendar feeds publish the cancellation once the row is gone
+    await calendarService.recordEventCancellation(event);
+
+    // Recipients are collected before their registrations cascade away
+    await notificationService.notifyEventAttendees(event, 'eventCancelled');
+    await jobHandlers.cancelEventJobs(event.id);
+
     await prisma.event.delete({
       where: { id }
     });
 
+    // Deleting an event before it runs gives it back to the period's quota
+    if (event.startTime > new Date()) {
+      await entitlementService.releaseEvent(event.organizationId, event.createdAt);
+    }
+
+    realtimeService.publish(event.id, 'event.status', { status: 'cancelled' });
+
     res.json({
       message: 'Event deleted successfully'
     });
@@ -474,11 +855,186 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Events sharing a co-host list: every occurrence of a series, since Zoom
+// keeps alternative hosts on the recurring meeting
+const cohostScope = (event) => (event.seriesId ? { seriesId: event.seriesId } : { id: event.id });
+
+// @route   GET /api/events/:id/cohosts
+// @desc    Get the event's co-hosts
+// @access  Private (viewer)
+router.get('/:id/cohosts', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: {
+        id: parseInt(req.params.id),
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const cohosts = await prisma.eventCohost.findMany({
+      where: { eventId: event.id },
+      include: {
+        user: {
+          select: { id: true, email: true, name: true, avatar: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      cohosts: cohosts.map(c => ({ ...c.user, addedAt: c.createdAt }))
+    });
+  } catch (error) {
+    console.error('Get co-hosts error:', error);
+    res.status(500).json({
+      error: 'Failed to get co-hosts',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/events/:id/cohosts
+// @desc    Add a co-host (a moderator or above in the organization); set as a Zoom alternative host
+// @access  Private (organizer)
+router.post('/:id/cohosts', [
+  authenticateToken,
+  authorize('organizer'),
+  body('userId').isInt({ min: 1 }).withMessage('userId must be a valid user id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId } = req.body;
+
+    const event = await prisma.event.findUnique({
+      where: {
+        id: parseInt(req.params.id),
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    if (event.userId === userId) {
+      return res.status(409).json({
+        error: 'Already hosting',
+        message: 'The event organizer is already its host'
+      });
+    }
+
+    const member = await prisma.organizationMember.findUnique({
+      where: {
+        organizationId_userId: { organizationId: req.organization.id, userId }
+      },
+      include: {
+        user: {
+          select: { id: true, email: true, name: true, avatar: true }
+        }
+      }
+    });
+
+    if (!member || !organizationService.hasRole(member.role, 'moderator')) {
+      return res.status(400).json({
+        error: 'Invalid co-host',
+        message: 'Co-hosts must be moderators or above in the organization'
+      });
+    }
+
+    const events = await prisma.event.findMany({
+      where: cohostScope(event),
+      select: { id: true }
+    });
+
+    await prisma.eventCohost.createMany({
+      data: events.map(e => ({ eventId: e.id, userId })),
+      skipDuplicates: true
+    });
+
+    // Zoom failures are retried in the background with the rest of the event
+    await zoomSyncService.syncAlternativeHosts(event.id);
+
+    res.status(201).json({
+      message: 'Co-host added successfully',
+      cohost: member.user,
+      events: events.length
+    });
+  } catch (error) {
+    console.error('Add co-host error:', error);
+    res.status(500).json({
+      error: 'Failed to add co-host',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/events/:id/cohosts/:userId
+// @desc    Remove a co-host, from every occurrence of a series
+// @access  Private (organizer)
+router.delete('/:id/cohosts/:userId', authenticateToken, authorize('organizer'), async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: {
+        id: parseInt(req.params.id),
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const { count } = await prisma.eventCohost.deleteMany({
+      where: {
+        userId: parseInt(req.params.userId),
+        event: cohostScope(event)
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        error: 'Co-host not found'
+      });
+    }
+
+    await zoomSyncService.syncAlternativeHosts(event.id);
+
+    res.json({
+      message: 'Co-host removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove co-host error:', error);
+    res.status(500).json({
+      error: 'Failed to remove co-host',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/events/:id/attendees
 // @desc    Add attendee to event
-// @access  Private
+// @access  Private (organizer)
 router.post('/:id/attendees', [
   authenticateToken,
+  authorize('organizer'),
+  param('id').isInt().withMessage('Invalid event id').toInt(),
   body('email').isEmail().normalizeEmail(),
   body('firstName').trim().isLength({ min: 1 }),
   body('lastName').trim().isLength({ min: 1 })
@@ -498,12 +1054,7 @@ router.post('/:id/attendees', [
     const event = await prisma.event.findUnique({
       where: {
         id,
-        userId: req.user.id
-      },
-      include: {
-        _count: {
-          select: { attendees: true }
-        }
+        organizationId: req.organization.id
       }
     });
 
@@ -513,60 +1064,219 @@ router.post('/:id/attendees', [
       });
     }
 
-    // Check attendee limit
-    if (event._count.attendees >= event.maxAttendees) {
+    const entitlements = await entitlementService.assertCanAddAttendee(event);
+
+    // Seat reservation, plan limit and duplicate checks happen atomically in the service
+    const { attendee, waitlisted } = await registrationService.register(event, { email, firstName, lastName }, {
+      attendeeLimit: entitlements.limits.attendeesPerEvent
+    });
+    const { registrationTokenHash: _, ...attendeeData } = attendee;
+
+    res.status(201).json({
+      message: waitlisted ? 'Event is full, attendee added to waitlist' : 'Attendee registered successfully',
+      attendee: attendeeData
+    });
+  } catch (error) {
+    if (error instanceof EntitlementError) {
+      return sendEntitlementError(res, error);
+    }
+
+    if (error instanceof RegistrationError) {
+      return res.status(error.status).json({
+        error: error.code === 'EVENT_FULL' ? 'Event is full' : 'Already registered',
+        message: error.message
+      });
+    }
+
+    console.error('Add attendee error:', error);
+    res.status(500).json({
+      error: 'Failed to register attendee',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/events/:id/attendees/:attendeeId
+// @desc    Remove attendee from event
+// @access  Private (organizer)
+router.delete('/:id/attendees/:attendeeId', [
+  authenticateToken,
+  authorize('organizer'),
+  param('id').isInt().withMessage('Invalid event id').toInt(),
+  param('attendeeId').isInt().withMessage('Invalid attendee id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Event is full',
-        message: `Maximum ${event.maxAttendees} attendees allowed`,
-        current: event._count.attendees
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    // Check if attendee already registered
-    const existingAttendee = await prisma.attendee.findUnique({
+    const { id, attendeeId } = req.params;
+
+    const event = await prisma.event.findUnique({
       where: {
-        email_eventId: {
-          email,
-          eventId: id
-        }
+        id,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const attendee = await prisma.attendee.findFirst({
+      where: {
+        id: attendeeId,
+        eventId: event.id
       }
     });
 
-    if (existingAttendee) {
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Attendee not found'
+      });
+    }
+
+    // Frees the seat, promotes the waitlist and denies the Zoom registrant
+    const removed = await registrationService.cancel(attendee.id, { removed: true });
+    const { registrationTokenHash: _, ...attendeeData } = removed;
+
+    res.json({
+      message: 'Attendee removed successfully',
+      attendee: attendeeData
+    });
+  } catch (error) {
+    if (error instanceof RegistrationError) {
+      return res.status(error.status).json({
+        error: 'Attendee not registered',
+        message: error.message
+      });
+    }
+
+    console.error('Remove attendee error:', error);
+    res.status(500).json({
+      error: 'Failed to remove attendee',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/events/:id/waitlist
+// @desc    Get the event waitlist in queue order
+// @access  Private (viewer)
+router.get('/:id/waitlist', [
+  authenticateToken,
+  authorize('viewer'),
+  param('id').isInt().withMessage('Invalid event id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        error: 'Already registered',
-        message: 'This email is already registered for the event'
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    const attendee = await prisma.attendee.create({
-      data: {
-        email,
-        firstName,
-        lastName,
-        eventId: id,
-        joinUrl: event.zoomMeetingUrl // Add Zoom join URL
+    const { id } = req.params;
+
+    const event = await prisma.event.findUnique({
+      where: {
+        id,
+        organizationId: req.organization.id
       }
     });
 
-    // Update current attendee count
-    await prisma.event.update({
-      where: { id },
-      data: {
-        currentAttendees: {
-          increment: 1
-        }
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const waitlist = await registrationService.getWaitlist(event.id);
+
+    res.json({
+      waitlistEnabled: event.waitlistEnabled,
+      total: waitlist.length,
+      waitlist: waitlist.map((attendee, index) => ({
+        id: attendee.id,
+        email: attendee.email,
+        firstName: attendee.firstName,
+        lastName: attendee.lastName,
+        registrationTime: attendee.registrationTime,
+        position: index + 1
+      }))
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      error: 'Failed to get waitlist',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/events/:id/waitlist
+// @desc    Reorder the event waitlist
+// @access  Private (organizer)
+router.put('/:id/waitlist', [
+  authenticateToken,
+  authorize('organizer'),
+  param('id').isInt().withMessage('Invalid event id').toInt(),
+  body('attendeeIds').isArray().withMessage('attendeeIds must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const event = await prisma.event.findUnique({
+      where: {
+        id,
+        organizationId: req.organization.id
       }
     });
 
-    res.status(201).json({
-      message: 'Attendee registered successfully',
-      attendee
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const waitlist = await registrationService.reorderWaitlist(event.id, req.body.attendeeIds);
+
+    res.json({
+      message: 'Waitlist reordered successfully',
+      waitlist: waitlist.map((attendee, index) => ({
+        id: attendee.id,
+        email: attendee.email,
+        firstName: attendee.firstName,
+        lastName: attendee.lastName,
+        position: index + 1
+      }))
     });
   } catch (error) {
-    console.error('Add attendee error:', error);
+    if (error instanceof RegistrationError) {
+      return res.status(error.status).json({
+        error: 'Invalid waitlist order',
+        message: error.message
+      });
+    }
+
+    console.error('Reorder waitlist error:', error);
     res.status(500).json({
-      error: 'Failed to register attendee',
+      error: 'Failed to reorder waitlist',
       message: error.message
     });
   }
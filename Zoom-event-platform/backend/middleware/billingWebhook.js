@@ -0,0 +1,66 @@
+const billingService = require('../services/billingService');
+const webhookReplayStore = require('../services/webhookReplayStore');
+
+// Verify a payment provider (Stripe-compatible) webhook signature.
+// Must be mounted with express.raw() so the exact signed bytes are available.
+const verifyBillingWebhook = async (req, res, next) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+    if (!billingService.verifySignature(rawBody, req.get('stripe-signature'))) {
+      return res.status(400).json({
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch (e) {
+      return res.status(400).json({
+        error: 'Invalid webhook payload'
+      });
+    }
+
+    // Providers redeliver with the same event id
+    const deliveryId = `billing:${event.id}`;
+
+    if (!(await webhookReplayStore.claim(deliveryId))) {
+      return res.status(200).json({
+        message: 'Duplicate delivery ignored'
+      });
+    }
+
+    req.billingEvent = event;
+    req.billingDeliveryId = deliveryId;
+    next();
+  } catch (error) {
+    console.error('Billing webhook verification error:', error);
+    res.status(500).json({
+      error: 'Webhook verification failed'
+    });
+  }
+};
+
+// Process a verified billing event
+const processBillingWebhook = async (req, res) => {
+  try {
+    await billingService.handleEvent(req.billingEvent);
+
+    res.status(200).json({
+      received: true
+    });
+  } catch (error) {
+    console.error('Billing webhook processing error:', error);
+    // A non-2xx answer makes the provider retry, so let the retry through
+    await webhookReplayStore.release(req.billingDeliveryId);
+    res.status(500).json({
+      error: 'Webhook processing failed'
+    });
+  }
+};
+
+module.exports = {
+  verifyBillingWebhook,
+  processBillingWebhook
+};
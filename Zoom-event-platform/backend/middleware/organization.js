@@ -0,0 +1,66 @@
+const { PrismaClient } = require('@prisma/client');
+const organizationService = require('../services/organizationService');
+const { OrganizationError } = require('../services/organizationService');
+
+const prisma = new PrismaClient();
+
+// Resolve the organization the request acts on from the X-Organization-Id
+// header, defaulting to the user's personal workspace. Sets req.organization
+// and req.membership ({ role }). Members without 2FA get a 403 when the
+// organization requires it. Must run after authenticateToken.
+const loadOrganization = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, name: true, twoFactorEnabledAt: true }
+    });
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'User not found'
+      });
+    }
+
+    const { organization, role } = await organizationService.resolveForRequest(user, req.get('x-organization-id'));
+    organizationService.assertTwoFactor(organization, user);
+
+    req.organization = organization;
+    req.membership = { role };
+    next();
+  } catch (error) {
+    if (error instanceof OrganizationError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Load organization error:', error);
+    res.status(500).json({
+      error: 'Failed to load organization',
+      message: error.message
+    });
+  }
+};
+
+// Require at least `role` in the request's organization
+const requireRole = (role) => (req, res, next) => {
+  if (!organizationService.hasRole(req.membership?.role, role)) {
+    return res.status(403).json({
+      error: `Requires the ${role} role in this organization`,
+      code: 'INSUFFICIENT_ROLE',
+      role: req.membership?.role
+    });
+  }
+
+  next();
+};
+
+// Both, for route definitions: router.post('/', authorize('organizer'), ...)
+const authorize = (role) => [loadOrganization, requireRole(role)];
+
+module.exports = {
+  loadOrganization,
+  requireRole,
+  authorize
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const zoomService = require('../services/zoomService');
+const webhookReplayStore = require('../services/webhookReplayStore');
+
+// Verify Zoom webhook signature and answer the URL validation challenge.
+// Must be mounted with express.raw() so the exact signed bytes are available.
+// getSecret picks the Zoom app's secret token, read per request so it follows the env.
+const createZoomWebhookVerifier = (getSecret) => async (req, res, next) => {
+  try {
+    const secret = getSecret();
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    const timestamp = req.get('x-zm-request-timestamp');
+    const signature = req.get('x-zm-signature');
+
+    if (!zoomService.validateWebhook(rawBody, timestamp, signature, undefined, secret)) {
+      return res.status(401).json({
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch (e) {
+      return res.status(400).json({
+        error: 'Invalid webhook payload'
+      });
+    }
+
+    // Zoom sends this when the endpoint is registered and periodically re-checks it
+    if (event.event === 'endpoint.url_validation') {
+      return res.status(200).json(
+        zoomService.generateUrlValidationResponse(event.payload.plainToken, secret)
+      );
+    }
+
+    // The body carries event_ts, so identical bytes mean the same delivery
+    const deliveryId = crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    if (!(await webhookReplayStore.claim(deliveryId))) {
+      // Acknowledge so Zoom stops retrying, but don't process it again
+      return res.status(200).json({
+        message: 'Duplicate delivery ignored'
+      });
+    }
+
+    req.zoomEvent = event;
+    req.zoomDeliveryId = deliveryId;
+    next();
+  } catch (error) {
+    console.error('Zoom webhook verification error:', error);
+    res.status(500).json({
+      error: 'Webhook verification failed'
+    });
+  }
+};
+
+// Server-to-Server app (meeting and participant events)
+const verifyZoomWebhook = createZoomWebhookVerifier(() => zoomService.webhookSecret);
+
+// User-level OAuth app (app_deauthorized, and meeting events for organizers' own accounts)
+const verifyZoomOAuthWebhook = createZoomWebhookVerifier(() => zoomService.oauthWebhookSecret);
+
+// Process a verified Zoom webhook event
+const processZoomWebhook = async (req, res) => {
+  try {
+    await zoomService.processWebhookEvent(req.zoomEvent);
+
+    res.status(200).json({
+      message: 'Webhook processed'
+    });
+  } catch (error) {
+    console.error('Zoom webhook processing error:', error);
+    await webhookReplayStore.release(req.zoomDeliveryId);
+    res.status(500).json({
+      error: 'Webhook processing failed'
+    });
+  }
+};
+
+module.exports = {
+  createZoomWebhookVerifier,
+  verifyZoomWebhook,
+  verifyZoomOAuthWebhook,
+  processZoomWebhook
+};
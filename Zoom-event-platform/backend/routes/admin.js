@@ -0,0 +1,190 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { PrismaClient } = require('@prisma/client');
+const jobQueue = require('../services/jobQueue');
+const zoomSyncService = require('../services/zoomSyncService');
+const entitlementService = require('../services/entitlementService');
+const { EntitlementError } = require('../services/entitlementService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Only users with the admin role may use these routes
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { role: true }
+    });
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Admin access required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({
+      error: 'Failed to verify admin access',
+      message: error.message
+    });
+  }
+};
+
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/jobs
+// @desc    List background jobs, optionally filtered by status and type
+// @access  Admin
+router.get('/jobs', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    const { jobs, total } = await jobQueue.list({
+      status,
+      type,
+      skip: parseInt(skip),
+      take: parseInt(limit)
+    });
+
+    res.json({
+      jobs,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to get jobs',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:id/retry
+// @desc    Re-run a failed or dead job
+// @access  Admin
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.retry(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'No failed or dead job with this id'
+      });
+    }
+
+    res.json({
+      message: 'Job queued for retry',
+      job
+    });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      error: 'Failed to retry job',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/zoom/reconcile
+// @desc    Report drift between upcoming events and Zoom meetings
+// @access  Admin
+router.get('/zoom/reconcile', async (req, res) => {
+  try {
+    const report = await zoomSyncService.reconcile();
+
+    res.json(report);
+  } catch (error) {
+    console.error('Zoom reconcile error:', error);
+    res.status(500).json({
+      error: 'Failed to reconcile with Zoom',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/zoom/reconcile
+// @desc    Repair drift between upcoming events and Zoom meetings
+// @access  Admin
+router.post('/zoom/reconcile', async (req, res) => {
+  try {
+    const report = await zoomSyncService.reconcile({
+      repair: true,
+      deleteOrphans: req.body.deleteOrphans === true
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Zoom reconcile error:', error);
+    res.status(500).json({
+      error: 'Failed to reconcile with Zoom',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/organizations/:orgId/entitlements
+// @desc    An organization's plan, limits and usage
+// @access  Admin
+router.get('/organizations/:orgId/entitlements', async (req, res) => {
+  try {
+    const { subscription: _, ...entitlements } = await entitlementService.getEntitlements(parseInt(req.params.orgId));
+
+    res.json(entitlements);
+  } catch (error) {
+    console.error('Get entitlements error:', error);
+    res.status(500).json({
+      error: 'Failed to get entitlements',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/organizations/:orgId/entitlements
+// @desc    Change an organization's plan or expiry, and set limit overrides
+// @access  Admin
+router.put('/organizations/:orgId/entitlements', async (req, res) => {
+  try {
+    const organizationId = parseInt(req.params.orgId);
+    const { plan, expiresAt, overrides } = req.body;
+
+    if (plan) {
+      await entitlementService.changePlan(organizationId, plan, {
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      });
+    }
+
+    if (overrides) {
+      await entitlementService.setOverrides(organizationId, overrides);
+    }
+
+    const { subscription: _, ...entitlements } = await entitlementService.getEntitlements(organizationId);
+
+    res.json({
+      message: 'Entitlements updated',
+      entitlements
+    });
+  } catch (error) {
+    if (error instanceof EntitlementError) {
+      return res.status(error.status).json({
+        error: 'Invalid entitlements',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Update entitlements error:', error);
+    res.status(500).json({
+      error: 'Failed to update entitlements',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
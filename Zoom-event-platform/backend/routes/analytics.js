@@ -0,0 +1,124 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const { PrismaClient } = require('@prisma/client');
+const analyticsService = require('../services/analyticsService');
+const { AnalyticsError } = require('../services/analyticsService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Load the organization's event for the request, or send a 404
+const loadEvent = async (req, res) => {
+  const event = await prisma.event.findUnique({
+    where: {
+      id: parseInt(req.params.id),
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!event) {
+    res.status(404).json({
+      error: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// @route   GET /api/analytics/dashboard
+// @desc    Rollup of the organization's events starting in a date range (default: last 30 days)
+// @access  Private (viewer)
+router.get('/dashboard', [
+  authenticateToken,
+  authorize('viewer'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const dashboard = await analyticsService.getDashboard(req.organization.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json(dashboard);
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(error.status).json({
+        error: 'Invalid date range',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Get dashboard analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to get dashboard analytics',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/events/:id
+// @desc    Concurrency timeline, peak, minutes attended, retention, lateness and attendance rate
+// @access  Private (viewer)
+router.get('/events/:id', [
+  authenticateToken,
+  authorize('viewer'),
+  query('interval').optional().isInt({ min: 1, max: 60 }).withMessage('interval must be 1-60 minutes').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const analytics = await analyticsService.getEventAnalytics(event, {
+      intervalMinutes: req.query.interval
+    });
+
+    res.json(analytics);
+  } catch (error) {
+    console.error('Get event analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to get event analytics',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/events/:id/realtime
+// @desc    Participants in the meeting right now and the latest metric rows
+// @access  Private (viewer)
+router.get('/events/:id/realtime', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    res.json(await analyticsService.getRealtime(event));
+  } catch (error) {
+    console.error('Get realtime analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to get realtime analytics',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
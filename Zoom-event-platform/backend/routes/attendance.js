@@ -0,0 +1,151 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const { PrismaClient } = require('@prisma/client');
+const attendanceReportService = require('../services/attendanceReportService');
+const { AttendanceReportError } = require('../services/attendanceReportService');
+const { ZoomApiError } = require('../services/zoomService');
+
+// Mounted at /api/events/:eventId/attendance
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Load the organization's event for the request, or send a 404
+const loadEvent = async (req, res) => {
+  const event = await prisma.event.findUnique({
+    where: {
+      id: parseInt(req.params.eventId),
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!event) {
+    res.status(404).json({
+      error: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// File name for an export, from the event title and date
+const exportFilename = (event, extension) => {
+  const slug = String(event.title || 'event')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'event';
+
+  return `${slug}-attendance-${new Date(event.startTime).toISOString().slice(0, 10)}.${extension}`;
+};
+
+// @route   GET /api/events/:eventId/attendance
+// @desc    Registered vs attended report, with minutes attended and no-shows
+// @access  Private (viewer)
+router.get('/', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const report = await attendanceReportService.buildReport(event);
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get attendance report error:', error);
+    res.status(500).json({
+      error: 'Failed to get attendance report',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/events/:eventId/attendance/export
+// @desc    Download the attendance report (?format=csv|xlsx|json)
+// @access  Private (viewer)
+router.get('/export', [
+  authenticateToken,
+  authorize('viewer'),
+  query('format').optional().isIn(['csv', 'xlsx', 'json']).withMessage('Format must be csv, xlsx or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const format = req.query.format || 'csv';
+    const report = await attendanceReportService.buildReport(event);
+
+    res.attachment(exportFilename(event, format));
+
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(await attendanceReportService.toXlsx(report));
+    }
+
+    if (format === 'json') {
+      return res.json(report);
+    }
+
+    res.type('text/csv; charset=utf-8');
+    res.send(attendanceReportService.toCsv(report));
+  } catch (error) {
+    console.error('Export attendance report error:', error);
+    res.status(500).json({
+      error: 'Failed to export attendance report',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/events/:eventId/attendance/import
+// @desc    Re-import Zoom's participant report for the event's last meeting
+// @access  Private (organizer)
+router.post('/import', authenticateToken, authorize('organizer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const result = await attendanceReportService.importParticipantReport({ eventId: event.id });
+
+    res.json({
+      message: 'Participant report imported successfully',
+      ...result,
+      report: await attendanceReportService.buildReport(
+        await prisma.event.findUnique({ where: { id: event.id } })
+      )
+    });
+  } catch (error) {
+    if (error instanceof AttendanceReportError) {
+      return res.status(error.status).json({
+        error: 'Cannot import participant report',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error instanceof ZoomApiError) {
+      return res.status(502).json({
+        error: 'Failed to import participant report',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Import participant report error:', error);
+    res.status(500).json({
+      error: 'Failed to import participant report',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,17 +4,97 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../middleware/auth');
+const authSessionService = require('../services/authSessionService');
+const { AuthSessionError } = require('../services/authSessionService');
+const accountTokenService = require('../services/accountTokenService');
+const { AccountTokenError } = require('../services/accountTokenService');
+const twoFactorService = require('../services/twoFactorService');
+const { TwoFactorError } = require('../services/twoFactorService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+// Device details recorded on a session
+const deviceFrom = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Session of the request's access token; authenticateToken has verified it
+const currentSessionId = (req) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  return jwt.decode(token)?.sid || null;
+};
+
+const sendSessionError = (res, error, fallback) => {
+  if (error instanceof AuthSessionError) {
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+const sendAccountTokenError = (res, error, fallback) => {
+  if (error instanceof AccountTokenError) {
+    if (error.details?.retryAfter) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  sendSessionError(res, error, fallback);
+};
+
+const sendTwoFactorError = (res, error, fallback) => {
+  if (error instanceof TwoFactorError) {
+    if (error.details?.retryAfter) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code,
+      ...error.details
+    });
+  }
+
+  sendSessionError(res, error, fallback);
+};
+
+// User fields safe to return; secrets stay on the server
+const publicUser = ({ password, twoFactorSecret, twoFactorLastStep, ...user }) => ({
+  ...user,
+  twoFactorEnabled: Boolean(user.twoFactorEnabledAt)
+});
+
+// The authenticated user with the fields 2FA checks need, or a 404
+const loadUser = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id }
+  });
+
+  if (!user) {
+    res.status(404).json({
+      error: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
 };
 
 // @route   POST /api/auth/register
@@ -74,12 +154,19 @@ router.post('/register', [
       }
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Registration succeeds even if the email can't go out; it can be resent
+    try {
+      await accountTokenService.issue(user, 'email_verification');
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Signed in on this device straight away
+    const tokens = await authSessionService.create(user.id, deviceFrom(req));
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user
     });
 
@@ -133,19 +220,30 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // With 2FA on, the password only earns a challenge; tokens come from /login/2fa
+    if (user.twoFactorEnabledAt) {
+      const challenge = await twoFactorService.createChallenge(user);
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        ...challenge
+      });
+    }
 
-    // Return user data (without password)
-    const { password: _, ...userData } = user;
+    const tokens = await authSessionService.create(user.id, deviceFrom(req));
 
     res.json({
       message: 'Login successful',
-      token,
-      user: userData
+      ...tokens,
+      user: publicUser(user)
     });
 
   } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return sendTwoFactorError(res, error, 'Login failed');
+    }
+
     console.error('Login error:', error);
     res.status(500).json({
       error: 'Login failed',
@@ -154,6 +252,45 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with an authentication code or a recovery code
+// @access  Public (challenge token)
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(({ code, recoveryCode } = {}) => Boolean(code || recoveryCode))
+    .withMessage('An authentication code or a recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { user, method } = await twoFactorService.completeChallenge(req.body.challengeToken, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    const tokens = await authSessionService.create(user.id, deviceFrom(req));
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: publicUser(user),
+      ...(method === 'recovery_code' && {
+        recoveryCodesRemaining: (await twoFactorService.getStatus(user.id)).recoveryCodesRemaining
+      })
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Login failed');
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -170,6 +307,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         subscriptionTier: true,
         subscriptionStatus: true,
         isEmailVerified: true,
+        twoFactorEnabledAt: true,
         createdAt: true,
         updatedAt: true
       }
@@ -181,7 +319,7 @@ router.get('/me', authenticateToken, async (req, res) => {
       });
     }
 
-    res.json(user);
+    res.json(publicUser(user));
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({
@@ -191,32 +329,392 @@ router.get('/me', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', authenticateToken, async (req, res) => {
+// @desc    Trade a refresh token for a new access and refresh token
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const token = generateToken(req.user.id);
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tokens = await authSessionService.refresh(req.body.refreshToken, { ipAddress: req.ip });
+
     res.json({
       message: 'Token refreshed successfully',
-      token
+      ...tokens
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(500).json({
-      error: 'Token refresh failed'
-    });
+    sendSessionError(res, error, 'Token refresh failed');
   }
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    End the session the refresh token belongs to
+// @access  Public (refresh token)
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await authSessionService.logout(req.body.refreshToken);
+
+    res.json({
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Logout failed');
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    The user's signed-in devices
 // @access  Private
-router.post('/logout', authenticateToken, (req, res) => {
-  // In a more advanced setup, you might blacklist the token here
-  res.json({
-    message: 'Logout successful'
-  });
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const current = currentSessionId(req);
+    const sessions = await authSessionService.listForUser(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === current }))
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to get sessions');
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign a device out
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await authSessionService.revokeForUser(req.user.id, parseInt(req.params.sessionId));
+
+    res.json({
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to revoke session');
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device (?all=true includes this one)
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await authSessionService.revokeAll(req.user.id, {
+      except: req.query.all === 'true' ? null : currentSessionId(req)
+    });
+
+    res.json({
+      message: 'Sessions revoked',
+      revoked
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to revoke sessions');
+  }
+});
+
+// @route   POST /api/auth/verify-email/request
+// @desc    Send (or resend) the email verification link
+// @access  Private
+router.post('/verify-email/request', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const { expiresAt } = await accountTokenService.requestEmailVerification(user);
+
+    res.status(202).json({
+      message: `Verification email sent to ${user.email}`,
+      expiresAt
+    });
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to send verification email');
+  }
+});
+
+// @route   POST /api/auth/verify-email/confirm
+// @desc    Verify the email address with the token from the link
+// @access  Public (token)
+router.post('/verify-email/confirm', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await accountTokenService.confirmEmailVerification(req.body.token);
+
+    res.json({
+      message: 'Email verified successfully',
+      email: user.email,
+      isEmailVerified: true
+    });
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Email verification failed');
+  }
+});
+
+// @route   POST /api/auth/password-reset/request
+// @desc    Email a password reset link; the response is the same whether or
+//          not an account uses the address
+// @access  Public
+router.post('/password-reset/request', [
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    try {
+      await accountTokenService.requestPasswordReset(req.body.email);
+    } catch (error) {
+      // A 429 here would reveal that the address has an account; the limit
+      // still stops the emails going out
+      if (!(error instanceof AccountTokenError && error.code === 'RATE_LIMITED')) throw error;
+    }
+
+    res.status(202).json({
+      message: 'If an account uses that email, a password reset link is on its way'
+    });
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to request password reset');
+  }
+});
+
+// @route   POST /api/auth/password-reset/confirm
+// @desc    Set a new password with the token from the link; signs out every device
+// @access  Public (token)
+router.post('/password-reset/confirm', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await accountTokenService.confirmPasswordReset(req.body.token, req.body.newPassword);
+
+    res.json({
+      message: 'Password reset successfully; sign in with your new password'
+    });
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Password reset failed');
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status, recovery codes left and organizations requiring it
+// @access  Private
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.json(status);
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to get two-factor status');
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: a new secret and its otpauth:// URI for a QR code
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const { secret, otpauthUri } = await twoFactorService.setup(user);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to set up two-factor authentication');
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code; returns recovery codes once
+// @access  Private
+router.post('/2fa/enable', [
+  authenticateToken,
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const recoveryCodes = await twoFactorService.enable(user, req.body.code);
+
+    res.json({
+      message: 'Two-factor authentication enabled; store the recovery codes somewhere safe',
+      recoveryCodes
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to enable two-factor authentication');
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (password and a code)
+// @access  Private
+router.post('/2fa/disable', [
+  authenticateToken,
+  body('password').exists().withMessage('Password is required'),
+  body().custom(({ code, recoveryCode } = {}) => Boolean(code || recoveryCode))
+    .withMessage('An authentication code or a recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    await twoFactorService.disable(user, {
+      password: req.body.password,
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (a code confirms); the old ones stop working
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  authenticateToken,
+  body().custom(({ code, recoveryCode } = {}) => Boolean(code || recoveryCode))
+    .withMessage('An authentication code or a recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    res.json({
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes
+    });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Failed to generate recovery codes');
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password; signs out every device and starts a new session here
+// @access  Private
+router.put('/password', [
+  authenticateToken,
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user || !user.password || !(await bcrypt.compare(req.body.currentPassword, user.password))) {
+      return res.status(401).json({
+        error: 'Password change failed',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await bcrypt.hash(req.body.newPassword, 12) }
+    });
+
+    // Whoever knew the old password may hold a session; end them all
+    await authSessionService.revokeAll(user.id, { reason: 'password_changed' });
+    const tokens = await authSessionService.create(user.id, deviceFrom(req));
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Password change failed');
+  }
 });
 
 module.exports = router;
\ No newline at end of file
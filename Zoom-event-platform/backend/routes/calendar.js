@@ -0,0 +1,90 @@
+const express = require('express');
+const crypto = require('crypto');
+const { authenticateToken } = require('../middleware/auth');
+const { PrismaClient } = require('@prisma/client');
+const calendarService = require('../services/calendarService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Absolute URL for the feed, as seen by the client
+const feedUrl = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/api/calendar/feed/${token}.ics`;
+};
+
+// @route   POST /api/calendar/feed
+// @desc    Create (or rotate) the user's calendar feed URL
+// @access  Private
+router.post('/feed', authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    // Only the hash is stored; rotating invalidates the previous URL
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarFeedTokenHash: calendarService.hashToken(token) }
+    });
+
+    res.status(201).json({
+      message: 'Calendar feed created',
+      url: feedUrl(req, token)
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to create calendar feed',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Revoke the user's calendar feed URL
+// @access  Private
+router.delete('/feed', authenticateToken, async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { calendarFeedTokenHash: null }
+    });
+
+    res.json({
+      message: 'Calendar feed revoked'
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke calendar feed',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    Subscribable feed of the user's organized and registered events
+// @access  Public (feed token)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { calendarFeedTokenHash: calendarService.hashToken(req.params.token) }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Calendar feed not found'
+      });
+    }
+
+    res.type('text/calendar; charset=utf-8');
+    res.send(await calendarService.userFeed(user));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      error: 'Failed to build calendar feed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const { PrismaClient } = require('@prisma/client');
+const realtimeService = require('../services/realtimeService');
+const analyticsService = require('../services/analyticsService');
+
+// Mounted at /api/events/:eventId/live
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Comment line sent this often so proxies don't close an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// One Server-Sent Events message
+const writeEvent = (res, id, type, data) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// @route   POST /api/events/:eventId/live/ticket
+// @desc    Get a short-lived ticket for opening the event's live stream
+// @access  Private (viewer)
+router.post('/ticket', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: {
+        id: parseInt(req.params.eventId),
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    res.json(realtimeService.createTicket(req.user.id, event.id));
+  } catch (error) {
+    console.error('Create live ticket error:', error);
+    res.status(500).json({
+      error: 'Failed to create live ticket',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/events/:eventId/live?ticket=
+// @desc    Server-Sent Events stream of joins, leaves, the participant count,
+//          status changes and registrations. Starts with a snapshot.
+// @access  Private (stream ticket)
+router.get('/', async (req, res) => {
+  try {
+    const userId = realtimeService.verifyTicket(req.query.ticket, req.params.eventId);
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Invalid or expired stream ticket'
+      });
+    }
+
+    // The ticket's user must still belong to the event's organization
+    const event = await prisma.event.findFirst({
+      where: {
+        id: parseInt(req.params.eventId),
+        organization: { members: { some: { userId } } }
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stops nginx buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let sequence = 0;
+    res.write('retry: 5000\n\n');
+
+    // Subscribe before the snapshot so nothing published in between is lost
+    const unsubscribe = realtimeService.subscribe(event.id, (message) => {
+      writeEvent(res, ++sequence, message.type, message);
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    const snapshot = await analyticsService.getRealtime(event);
+    writeEvent(res, ++sequence, 'snapshot', {
+      type: 'snapshot',
+      eventId: event.id,
+      data: {
+        status: snapshot.status,
+        currentParticipants: snapshot.currentParticipants,
+        currentAttendees: event.currentAttendees
+      },
+      at: snapshot.timestamp.toISOString()
+    });
+  } catch (error) {
+    console.error('Live stream error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      error: 'Failed to open live stream',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
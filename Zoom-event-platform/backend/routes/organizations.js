@@ -0,0 +1,283 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
+const { OrganizationError, ROLES } = require('../services/organizationService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Load the user's membership of the organization in the URL, or send a 404
+// (or a 403 when their role is below `role`). Throws TWO_FACTOR_REQUIRED when
+// the organization requires 2FA and the user hasn't turned it on.
+const loadMembership = async (req, res, role = 'viewer', { requireTwoFactor = true } = {}) => {
+  const [membership, user] = await Promise.all([
+    organizationService.getMembership(parseInt(req.params.orgId), req.user.id),
+    prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, twoFactorEnabledAt: true }
+    })
+  ]);
+
+  if (!membership || !user) {
+    res.status(404).json({
+      error: 'Organization not found'
+    });
+    return null;
+  }
+
+  if (requireTwoFactor) {
+    organizationService.assertTwoFactor(membership.organization, user);
+  }
+
+  if (!organizationService.hasRole(membership.role, role)) {
+    res.status(403).json({
+      error: `Requires the ${role} role in this organization`,
+      code: 'INSUFFICIENT_ROLE',
+      role: membership.role
+    });
+    return null;
+  }
+
+  return { ...membership, user };
+};
+
+const sendOrganizationError = (res, error, fallback) => {
+  if (error instanceof OrganizationError) {
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// @route   GET /api/organizations
+// @desc    Organizations the user belongs to, with their role in each
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const organizations = await organizationService.listForUser(req.user.id);
+
+    res.json({ organizations });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to get organizations');
+  }
+});
+
+// @route   POST /api/organizations
+// @desc    Create a shared organization; the creator becomes its owner
+// @access  Private
+router.post('/', [
+  authenticateToken,
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const organization = await organizationService.create(req.user, { name: req.body.name });
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: { ...organization, role: 'owner' }
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to create organization');
+  }
+});
+
+// @route   GET /api/organizations/:orgId
+// @desc    Get an organization and the user's role in it
+// @access  Private (member)
+router.get('/:orgId', authenticateToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    res.json({
+      organization: { ...membership.organization, role: membership.role }
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to get organization');
+  }
+});
+
+// @route   PUT /api/organizations/:orgId
+// @desc    Rename an organization, or (owners) require 2FA of its members
+// @access  Private (admin; owner for requireTwoFactor)
+router.put('/:orgId', [
+  authenticateToken,
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+  body('requireTwoFactor').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, requireTwoFactor } = req.body;
+    const membership = await loadMembership(req, res, requireTwoFactor === undefined ? 'admin' : 'owner');
+    if (!membership) return;
+
+    if (requireTwoFactor) {
+      await organizationService.assertCanRequireTwoFactor(membership.organization, membership.user);
+    }
+
+    const organization = await organizationService.update(membership.organizationId, { name, requireTwoFactor });
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization: { ...organization, role: membership.role }
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to update organization');
+  }
+});
+
+// @route   DELETE /api/organizations/:orgId
+// @desc    Delete a shared organization with its events
+// @access  Private (owner)
+router.delete('/:orgId', authenticateToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'owner');
+    if (!membership) return;
+
+    await organizationService.remove(membership.organization);
+
+    res.json({
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to delete organization');
+  }
+});
+
+// @route   GET /api/organizations/:orgId/members
+// @desc    List the organization's members and their roles
+// @access  Private (member)
+router.get('/:orgId/members', authenticateToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const members = await organizationService.listMembers(membership.organizationId);
+
+    res.json({ members });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to get members');
+  }
+});
+
+// @route   POST /api/organizations/:orgId/members
+// @desc    Add an existing user by email with a role
+// @access  Private (admin; owner for owner and admin roles)
+router.post('/:orgId/members', [
+  authenticateToken,
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  body('role').optional().isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const membership = await loadMembership(req, res, 'admin');
+    if (!membership) return;
+
+    const member = await organizationService.addMember(membership.organization, membership.role, {
+      email: req.body.email,
+      role: req.body.role
+    });
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      member
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to add member');
+  }
+});
+
+// @route   PATCH /api/organizations/:orgId/members/:userId
+// @desc    Change a member's role
+// @access  Private (admin; owner for owner and admin roles)
+router.patch('/:orgId/members/:userId', [
+  authenticateToken,
+  body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const membership = await loadMembership(req, res, 'admin');
+    if (!membership) return;
+
+    const member = await organizationService.updateMemberRole(
+      membership.organizationId,
+      membership.role,
+      parseInt(req.params.userId),
+      req.body.role
+    );
+
+    res.json({
+      message: 'Member updated successfully',
+      member
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to update member');
+  }
+});
+
+// @route   DELETE /api/organizations/:orgId/members/:userId
+// @desc    Remove a member; any member may remove themselves to leave
+// @access  Private (admin, or the member)
+router.delete('/:orgId/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    // Members can always leave, even without the 2FA the organization requires
+    const membership = await loadMembership(req, res, userId === req.user.id ? 'viewer' : 'admin', {
+      requireTwoFactor: userId !== req.user.id
+    });
+    if (!membership) return;
+
+    await organizationService.removeMember(
+      membership.organizationId,
+      { userId: req.user.id, role: membership.role },
+      userId
+    );
+
+    res.json({
+      message: userId === req.user.id ? 'You left the organization' : 'Member removed successfully'
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Failed to remove member');
+  }
+});
+
+module.exports = router;
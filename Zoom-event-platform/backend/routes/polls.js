@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const { PrismaClient } = require('@prisma/client');
+const pollService = require('../services/pollService');
+const { PollError } = require('../services/pollService');
+
+// Mounted at /api/events/:eventId/polls
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Load the organization's event for the request, or send a 404
+const loadEvent = async (req, res) => {
+  const event = await prisma.event.findUnique({
+    where: {
+      id: parseInt(req.params.eventId),
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!event) {
+    res.status(404).json({
+      error: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+const sendPollError = (res, error, fallback) => {
+  if (error instanceof PollError) {
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// @route   GET /api/events/:eventId/polls
+// @desc    Get the event's polls with their results
+// @access  Private (viewer)
+router.get('/', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const polls = await pollService.listForEvent(event.id);
+
+    res.json({ polls });
+  } catch (error) {
+    sendPollError(res, error, 'Failed to get polls');
+  }
+});
+
+// @route   POST /api/events/:eventId/polls
+// @desc    Create a draft poll
+// @access  Private (moderator)
+router.post('/', [
+  authenticateToken,
+  authorize('moderator'),
+  body('question').trim().isLength({ min: 1, max: 500 }).withMessage('Question is required'),
+  body('type').optional().isIn(['single', 'multiple']).withMessage('Type must be single or multiple'),
+  body('options').isArray({ min: 2, max: 10 }).withMessage('Between 2 and 10 options are required'),
+  body('options.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Options must be non-empty text'),
+  body('sessionId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Session must be a valid id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const { question, type, options, sessionId } = req.body;
+    const poll = await pollService.create(event.id, { question, type, options, sessionId });
+
+    res.status(201).json({
+      message: 'Poll created successfully',
+      poll: await pollService.results(poll)
+    });
+  } catch (error) {
+    sendPollError(res, error, 'Failed to create poll');
+  }
+});
+
+// @route   PUT /api/events/:eventId/polls/:pollId
+// @desc    Edit a draft poll
+// @access  Private (moderator)
+router.put('/:pollId', [
+  authenticateToken,
+  authorize('moderator'),
+  body('question').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Question cannot be empty'),
+  body('type').optional().isIn(['single', 'multiple']).withMessage('Type must be single or multiple'),
+  body('options').optional().isArray({ min: 2, max: 10 }).withMessage('Between 2 and 10 options are required'),
+  body('options.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Options must be non-empty text'),
+  body('sessionId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Session must be a valid id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const { question, type, options, sessionId } = req.body;
+    const poll = await pollService.update(event.id, parseInt(req.params.pollId), { question, type, options, sessionId });
+
+    res.json({
+      message: 'Poll updated successfully',
+      poll: await pollService.results(poll)
+    });
+  } catch (error) {
+    sendPollError(res, error, 'Failed to update poll');
+  }
+});
+
+// @route   POST /api/events/:eventId/polls/:pollId/open
+// @desc    Open a poll for responses
+// @access  Private (moderator)
+router.post('/:pollId/open', authenticateToken, authorize('moderator'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const poll = await pollService.setStatus(event.id, parseInt(req.params.pollId), 'open');
+
+    res.json({
+      message: 'Poll opened',
+      poll
+    });
+  } catch (error) {
+    sendPollError(res, error, 'Failed to open poll');
+  }
+});
+
+// @route   POST /api/events/:eventId/polls/:pollId/close
+// @desc    Stop taking responses and share the results with attendees
+// @access  Private (moderator)
+router.post('/:pollId/close', authenticateToken, authorize('moderator'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const poll = await pollService.setStatus(event.id, parseInt(req.params.pollId), 'closed');
+
+    res.json({
+      message: 'Poll closed',
+      poll
+    });
+  } catch (error) {
+    sendPollError(res, error, 'Failed to close poll');
+  }
+});
+
+// @route   GET /api/events/:eventId/polls/:pollId/results
+// @desc    Get a poll's results
+// @access  Private (viewer)
+router.get('/:pollId/results', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const poll = await pollService.getForEvent(event.id, parseInt(req.params.pollId));
+
+    res.json(await pollService.results(poll));
+  } catch (error) {
+    sendPollError(res, error, 'Failed to get poll results');
+  }
+});
+
+// @route   DELETE /api/events/:eventId/polls/:pollId
+// @desc    Delete a poll and its responses
+// @access  Private (moderator)
+router.delete('/:pollId', authenticateToken, authorize('moderator'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    await pollService.remove(event.id, parseInt(req.params.pollId));
+
+    res.json({
+      message: 'Poll deleted successfully'
+    });
+  } catch (error) {
+    sendPollError(res, error, 'Failed to delete poll');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,717 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const registrationService = require('../services/registrationService');
+const { RegistrationError } = require('../services/registrationService');
+const sessionService = require('../services/sessionService');
+const calendarService = require('../services/calendarService');
+const { SessionError } = require('../services/sessionService');
+const meetingJoinService = require('../services/meetingJoinService');
+const { MeetingJoinError } = require('../services/meetingJoinService');
+const recordingService = require('../services/recordingService');
+const { RecordingError } = require('../services/recordingService');
+const questionService = require('../services/questionService');
+const { QuestionError } = require('../services/questionService');
+const pollService = require('../services/pollService');
+const { PollError } = require('../services/pollService');
+const entitlementService = require('../services/entitlementService');
+const { EntitlementError } = require('../services/entitlementService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Find an event that is open for public registration
+const findPublicEvent = (slug) => {
+  return prisma.event.findFirst({
+    where: {
+      slug,
+      isPublic: true,
+      status: { not: 'cancelled' }
+    }
+  });
+};
+
+// @route   GET /api/public/events/:slug
+// @desc    Get public event details
+// @access  Public
+router.get('/events/:slug', async (req, res) => {
+  try {
+    const event = await findPublicEvent(req.params.slug);
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    res.json({
+      title: event.title,
+      description: event.description,
+      slug: event.slug,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      timezone: event.timezone,
+      status: event.status,
+      spotsRemaining: Math.max(0, event.maxAttendees - event.currentAttendees),
+      waitlistEnabled: event.waitlistEnabled
+    });
+  } catch (error) {
+    console.error('Get public event error:', error);
+    res.status(500).json({
+      error: 'Failed to get event',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/public/events/:slug/register
+// @desc    Self-register for an event
+// @access  Public
+router.post('/events/:slug/register', [
+  body('email').isEmail().normalizeEmail(),
+  body('firstName').trim().isLength({ min: 1 }),
+  body('lastName').trim().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await findPublicEvent(req.params.slug);
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    if (event.endTime <= new Date()) {
+      return res.status(400).json({
+        error: 'Registration closed',
+        message: 'This event has already ended'
+      });
+    }
+
+    // Same plan checks as organizer-added attendees; a full event still waitlists
+    const entitlements = await entitlementService.getEntitlements(event.organizationId);
+    entitlementService.assertActive(entitlements);
+
+    const { email, firstName, lastName } = req.body;
+    const { attendee, token, waitlisted } = await registrationService.register(event, { email, firstName, lastName }, {
+      attendeeLimit: entitlements.limits.attendeesPerEvent
+    });
+
+    res.status(201).json({
+      message: waitlisted ? 'Event is full, you have been added to the waitlist' : 'Registration successful',
+      // Shown once; the attendee uses it to view or cancel their registration
+      registrationToken: token,
+      registration: {
+        ...registrationService.toPublicRegistration(attendee, event),
+        waitlistPosition: await registrationService.getWaitlistRank(attendee)
+      }
+    });
+  } catch (error) {
+    // The organizer's plan details aren't shown to the public
+    if (error instanceof EntitlementError) {
+      return res.status(error.status).json({
+        error: 'Registration closed',
+        message: 'This event is not accepting registrations right now',
+        code: error.code
+      });
+    }
+
+    if (error instanceof RegistrationError) {
+      return res.status(error.status).json({
+        error: error.code === 'EVENT_FULL' ? 'Event is full' : 'Registration failed',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Public registration error:', error);
+    res.status(500).json({
+      error: 'Registration failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/public/registrations/:token
+// @desc    View a registration
+// @access  Public (registration token)
+router.get('/registrations/:token', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    res.json({
+      ...registrationService.toPublicRegistration(attendee),
+      waitlistPosition: await registrationService.getWaitlistRank(attendee)
+    });
+  } catch (error) {
+    console.error('Get registration error:', error);
+    res.status(500).json({
+      error: 'Failed to get registration',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/public/registrations/:token/calendar.ics
+// @desc    Add the event to a calendar, with the attendee's own join link
+// @access  Public (registration token)
+router.get('/registrations/:token/calendar.ics', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee || ['cancelled', 'removed', 'waitlisted'].includes(attendee.status)) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`${attendee.event.slug || 'event'}.ics`);
+    res.send(calendarService.eventCalendar(attendee.event, {
+      joinUrl: registrationService.joinUrlFor(attendee)
+    }));
+  } catch (error) {
+    console.error('Registration calendar export error:', error);
+    res.status(500).json({
+      error: 'Failed to export calendar',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/public/registrations/:token/join
+// @desc    Get a Meeting SDK join signature for the registered attendee
+// @access  Public (registration token)
+router.post('/registrations/:token/join', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const joinConfig = await meetingJoinService.forAttendee(attendee);
+
+    res.json(joinConfig);
+  } catch (error) {
+    if (error instanceof MeetingJoinError) {
+      return res.status(error.status).json({
+        error: 'Cannot join meeting',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Join meeting error:', error);
+    res.status(500).json({
+      error: 'Failed to join meeting',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/public/registrations/:token/recordings
+// @desc    Published recordings of the event, each with an expiring link
+// @access  Public (registration token)
+router.get('/registrations/:token/recordings', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const recordings = await recordingService.listForAttendee(attendee);
+
+    res.json({ recordings });
+  } catch (error) {
+    if (error instanceof RecordingError) {
+      return res.status(error.status).json({
+        error: 'Cannot access recordings',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Get recordings error:', error);
+    res.status(500).json({
+      error: 'Failed to get recordings',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/public/registrations/:token/questions
+// @desc    Approved questions of the event, plus the attendee's own (?sessionId=)
+// @access  Public (registration token)
+router.get('/registrations/:token/questions', [
+  query('sessionId').optional().isInt({ min: 1 }).withMessage('Session must be a valid id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const questions = await questionService.listForAttendee(attendee, { sessionId: req.query.sessionId });
+
+    res.json({ questions });
+  } catch (error) {
+    console.error('Get questions error:', error);
+    res.status(500).json({
+      error: 'Failed to get questions',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/public/registrations/:token/questions
+// @desc    Ask a question; it is shown to others once a moderator approves it
+// @access  Public (registration token)
+router.post('/registrations/:token/questions', [
+  body('body').trim().isLength({ min: 1, max: 1000 }).withMessage('Question must be 1 to 1000 characters'),
+  body('sessionId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Session must be a valid id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const question = await questionService.ask(attendee, {
+      body: req.body.body,
+      sessionId: req.body.sessionId
+    });
+
+    res.status(201).json({
+      message: 'Question submitted for moderation',
+      question: questionService.toPublicQuestion(question, attendee.id)
+    });
+  } catch (error) {
+    if (error instanceof QuestionError) {
+      return res.status(error.status).json({
+        error: 'Cannot submit question',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Ask question error:', error);
+    res.status(500).json({
+      error: 'Failed to submit question',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/public/registrations/:token/questions/:questionId/upvote
+// @desc    Upvote an approved question
+// @access  Public (registration token)
+router.post('/registrations/:token/questions/:questionId/upvote', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const question = await questionService.upvote(attendee, parseInt(req.params.questionId));
+
+    res.json({
+      message: 'Question upvoted',
+      upvoteCount: question.upvoteCount
+    });
+  } catch (error) {
+    if (error instanceof QuestionError) {
+      return res.status(error.status).json({
+        error: 'Cannot upvote question',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Upvote question error:', error);
+    res.status(500).json({
+      error: 'Failed to upvote question',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/public/registrations/:token/questions/:questionId/upvote
+// @desc    Take back an upvote
+// @access  Public (registration token)
+router.delete('/registrations/:token/questions/:questionId/upvote', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const question = await questionService.removeUpvote(attendee, parseInt(req.params.questionId));
+
+    res.json({
+      message: 'Upvote removed',
+      upvoteCount: question.upvoteCount
+    });
+  } catch (error) {
+    if (error instanceof QuestionError) {
+      return res.status(error.status).json({
+        error: 'Cannot remove upvote',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Remove upvote error:', error);
+    res.status(500).json({
+      error: 'Failed to remove upvote',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/public/registrations/:token/polls
+// @desc    Open and closed polls with the attendee's choices; results once closed
+// @access  Public (registration token)
+router.get('/registrations/:token/polls', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const polls = await pollService.listForAttendee(attendee);
+
+    res.json({ polls });
+  } catch (error) {
+    console.error('Get polls error:', error);
+    res.status(500).json({
+      error: 'Failed to get polls',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/public/registrations/:token/polls/:pollId/responses
+// @desc    Answer an open poll; answering again replaces the earlier choice
+// @access  Public (registration token)
+router.post('/registrations/:token/polls/:pollId/responses', [
+  body('optionIds').isArray({ min: 1, max: 10 }).withMessage('Choose at least one option'),
+  body('optionIds.*').isInt({ min: 1 }).withMessage('Options must be valid ids').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const optionIds = await pollService.respond(attendee, parseInt(req.params.pollId), req.body.optionIds);
+
+    res.status(201).json({
+      message: 'Response recorded',
+      myChoices: optionIds
+    });
+  } catch (error) {
+    if (error instanceof PollError) {
+      return res.status(error.status).json({
+        error: 'Cannot record response',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Poll response error:', error);
+    res.status(500).json({
+      error: 'Failed to record response',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/public/registrations/:token
+// @desc    Cancel a registration
+// @access  Public (registration token)
+router.delete('/registrations/:token', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const cancelled = await registrationService.cancel(attendee.id);
+
+    res.json({
+      message: 'Registration cancelled',
+      registration: registrationService.toPublicRegistration(cancelled, attendee.event)
+    });
+  } catch (error) {
+    if (error instanceof RegistrationError) {
+      return res.status(error.status).json({
+        error: 'Cancellation failed',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Cancel registration error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel registration',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/public/registrations/:token/sessions
+// @desc    Get the event agenda with the attendee's session sign-ups
+// @access  Public (registration token)
+router.get('/registrations/:token/sessions', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const sessions = await prisma.session.findMany({
+      where: { eventId: attendee.eventId },
+      orderBy: [{ position: 'asc' }, { startTime: 'asc' }],
+      include: {
+        registrations: {
+          where: { attendeeId: attendee.id },
+          select: { id: true }
+        }
+      }
+    });
+
+    res.json({
+      sessions: sessions.map(({ registrations, ...session }) => ({
+        id: session.id,
+        title: session.title,
+        description: session.description,
+        track: session.track,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        spotsRemaining: session.capacity === null ? null : Math.max(0, session.capacity - session.registeredCount),
+        registered: registrations.length > 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get registration sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to get sessions',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/public/registrations/:token/sessions/:sessionId
+// @desc    Sign up for a session
+// @access  Public (registration token)
+router.post('/registrations/:token/sessions/:sessionId', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const session = await prisma.session.findFirst({
+      where: {
+        id: parseInt(req.params.sessionId),
+        eventId: attendee.eventId
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    await sessionService.register(session, attendee);
+
+    res.status(201).json({
+      message: 'Registered for session'
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        error: error.code === 'SESSION_FULL' ? 'Session is full' : 'Session registration failed',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Session registration error:', error);
+    res.status(500).json({
+      error: 'Session registration failed',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/public/registrations/:token/sessions/:sessionId
+// @desc    Leave a session
+// @access  Public (registration token)
+router.delete('/registrations/:token/sessions/:sessionId', async (req, res) => {
+  try {
+    const attendee = await registrationService.findByToken(req.params.token);
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    await sessionService.unregister(parseInt(req.params.sessionId), attendee.id);
+
+    res.json({
+      message: 'Removed from session'
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        error: 'Failed to leave session',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Leave session error:', error);
+    res.status(500).json({
+      error: 'Failed to leave session',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/public/recordings/:accessToken
+// @desc    Recording behind an attendee's expiring link
+// @access  Public (recording link)
+router.get('/recordings/:accessToken', async (req, res) => {
+  try {
+    const { recording } = await recordingService.resolveAccessToken(req.params.accessToken);
+
+    res.json({
+      ...recordingService.toPublicRecording(recording, req.params.accessToken),
+      event: {
+        title: recording.event.title,
+        startTime: recording.event.startTime,
+        timezone: recording.event.timezone
+      }
+    });
+  } catch (error) {
+    if (error instanceof RecordingError) {
+      return res.status(error.status).json({
+        error: 'Cannot access recording',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Get recording error:', error);
+    res.status(500).json({
+      error: 'Failed to get recording',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/public/recordings/:accessToken/files/:fileId
+// @desc    Play a recording file (Range requests supported)
+// @access  Public (recording link)
+router.get('/recordings/:accessToken/files/:fileId', async (req, res) => {
+  try {
+    const { recording } = await recordingService.resolveAccessToken(req.params.accessToken);
+    const response = await recordingService.openFile(recording, req.params.fileId, {
+      range: req.get('range'),
+      event: recording.event
+    });
+
+    res.set('Cache-Control', 'private, no-store');
+    recordingService.pipeFile(response, res);
+  } catch (error) {
+    if (error instanceof RecordingError) {
+      return res.status(error.status).json({
+        error: 'Cannot access recording',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Stream recording error:', error);
+    res.status(500).json({
+      error: 'Failed to get recording file',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const { PrismaClient } = require('@prisma/client');
+const questionService = require('../services/questionService');
+const { QuestionError } = require('../services/questionService');
+
+// Mounted at /api/events/:eventId/questions
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Load the organization's event for the request, or send a 404
+const loadEvent = async (req, res) => {
+  const event = await prisma.event.findUnique({
+    where: {
+      id: parseInt(req.params.eventId),
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!event) {
+    res.status(404).json({
+      error: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+const sendQuestionError = (res, error, fallback) => {
+  if (error instanceof QuestionError) {
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// @route   GET /api/events/:eventId/questions
+// @desc    Get the event's questions for moderation (?status=&sessionId=)
+// @access  Private (moderator)
+router.get('/', [
+  authenticateToken,
+  authorize('moderator'),
+  query('status').optional().isIn(['pending', 'approved', 'hidden']).withMessage('Status must be pending, approved or hidden'),
+  query('sessionId').optional().isInt({ min: 1 }).withMessage('Session must be a valid id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const questions = await questionService.listForModerator(event.id, {
+      status: req.query.status,
+      sessionId: req.query.sessionId
+    });
+
+    res.json({ questions });
+  } catch (error) {
+    sendQuestionError(res, error, 'Failed to get questions');
+  }
+});
+
+// @route   PATCH /api/events/:eventId/questions/:questionId
+// @desc    Approve, hide, pin or answer a question
+// @access  Private (moderator)
+router.patch('/:questionId', [
+  authenticateToken,
+  authorize('moderator'),
+  body('status').optional().isIn(['pending', 'approved', 'hidden']).withMessage('Status must be pending, approved or hidden'),
+  body('pinned').optional().isBoolean().withMessage('Pinned must be true or false').toBoolean(),
+  body('answer').optional({ nullable: true }).isString().trim().isLength({ max: 5000 }).withMessage('Answer is too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const { status, pinned, answer } = req.body;
+    const question = await questionService.moderate(event.id, parseInt(req.params.questionId), { status, pinned, answer });
+
+    res.json({
+      message: 'Question updated successfully',
+      question: questionService.toModeratorQuestion(question)
+    });
+  } catch (error) {
+    sendQuestionError(res, error, 'Failed to update question');
+  }
+});
+
+module.exports = router;
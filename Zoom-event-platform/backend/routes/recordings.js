@@ -0,0 +1,182 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const { PrismaClient } = require('@prisma/client');
+const recordingService = require('../services/recordingService');
+const { RecordingError } = require('../services/recordingService');
+const { ZoomApiError } = require('../services/zoomService');
+
+// Mounted at /api/events/:eventId/recordings
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Load the organization's event for the request, or send a 404
+const loadEvent = async (req, res) => {
+  const event = await prisma.event.findUnique({
+    where: {
+      id: parseInt(req.params.eventId),
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!event) {
+    res.status(404).json({
+      error: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+const sendRecordingError = (res, error, fallback) => {
+  if (error instanceof RecordingError) {
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  if (error instanceof ZoomApiError) {
+    return res.status(502).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// @route   GET /api/events/:eventId/recordings
+// @desc    Get the event's cloud recordings
+// @access  Private (viewer)
+router.get('/', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const recordings = await recordingService.listForEvent(event.id);
+
+    res.json({
+      recordings: recordings.map(r => recordingService.toOrganizerRecording(r))
+    });
+  } catch (error) {
+    sendRecordingError(res, error, 'Failed to get recordings');
+  }
+});
+
+// @route   GET /api/events/:eventId/recordings/:recordingId/files/:fileId
+// @desc    Play or download a recording file (Range requests supported)
+// @access  Private (viewer)
+router.get('/:recordingId/files/:fileId', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const recording = await recordingService.getForEvent(event.id, parseInt(req.params.recordingId));
+    const response = await recordingService.openFile(recording, req.params.fileId, {
+      range: req.get('range'),
+      event
+    });
+
+    recordingService.pipeFile(response, res);
+  } catch (error) {
+    sendRecordingError(res, error, 'Failed to get recording file');
+  }
+});
+
+// @route   POST /api/events/:eventId/recordings/:recordingId/publish
+// @desc    Make a recording available to registered attendees
+// @access  Private (organizer)
+router.post('/:recordingId/publish', [
+  authenticateToken,
+  authorize('organizer'),
+  body('notify').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const { recording, notified } = await recordingService.publish(event, parseInt(req.params.recordingId), {
+      notify: req.body.notify !== false
+    });
+
+    res.json({
+      message: 'Recording published successfully',
+      recording: recordingService.toOrganizerRecording(recording),
+      notified
+    });
+  } catch (error) {
+    sendRecordingError(res, error, 'Failed to publish recording');
+  }
+});
+
+// @route   POST /api/events/:eventId/recordings/:recordingId/unpublish
+// @desc    Withdraw a recording from attendees
+// @access  Private (organizer)
+router.post('/:recordingId/unpublish', authenticateToken, authorize('organizer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const recording = await recordingService.unpublish(event, parseInt(req.params.recordingId));
+
+    res.json({
+      message: 'Recording unpublished successfully',
+      recording: recordingService.toOrganizerRecording(recording)
+    });
+  } catch (error) {
+    sendRecordingError(res, error, 'Failed to unpublish recording');
+  }
+});
+
+// @route   DELETE /api/events/:eventId/recordings/:recordingId
+// @desc    Delete a recording, and from Zoom with ?fromZoom=true (action=trash|delete)
+// @access  Private (organizer)
+router.delete('/:recordingId', [
+  authenticateToken,
+  authorize('organizer'),
+  query('fromZoom').optional().isBoolean().toBoolean(),
+  query('action').optional().isIn(['trash', 'delete'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    await recordingService.remove(event, parseInt(req.params.recordingId), {
+      fromZoom: req.query.fromZoom === true,
+      action: req.query.action || 'trash'
+    });
+
+    res.json({
+      message: 'Recording deleted successfully'
+    });
+  } catch (error) {
+    sendRecordingError(res, error, 'Failed to delete recording');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,391 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const { PrismaClient } = require('@prisma/client');
+const sessionService = require('../services/sessionService');
+const { SessionError } = require('../services/sessionService');
+
+// Mounted at /api/events/:eventId/sessions
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Load the organization's event for the request, or send a 404
+const loadEvent = async (req, res) => {
+  const event = await prisma.event.findUnique({
+    where: {
+      id: parseInt(req.params.eventId),
+      organizationId: req.organization.id
+    }
+  });
+
+  if (!event) {
+    res.status(404).json({
+      error: 'Event not found'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+// Load a session belonging to the event, or send a 404
+const loadSession = async (req, res, event) => {
+  const session = await prisma.session.findFirst({
+    where: {
+      id: parseInt(req.params.sessionId),
+      eventId: event.id
+    }
+  });
+
+  if (!session) {
+    res.status(404).json({
+      error: 'Session not found'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+const sendSessionError = (res, error, fallback) => {
+  if (error instanceof SessionError) {
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code,
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// @route   GET /api/events/:eventId/sessions
+// @desc    Get the event agenda
+// @access  Private (viewer)
+router.get('/', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const sessions = await prisma.session.findMany({
+      where: { eventId: event.id },
+      orderBy: [{ position: 'asc' }, { startTime: 'asc' }],
+      include: {
+        _count: {
+          select: { registrations: true }
+        }
+      }
+    });
+
+    res.json({ sessions });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to get sessions');
+  }
+});
+
+// @route   POST /api/events/:eventId/sessions
+// @desc    Add a session to the agenda
+// @access  Private (organizer)
+router.post('/', [
+  authenticateToken,
+  authorize('organizer'),
+  body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required'),
+  body('track').optional({ nullable: true }).trim(),
+  body('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const { title, description, track, capacity } = req.body;
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(req.body.endTime);
+
+    await sessionService.validateSchedule(event, { startTime, endTime, track: track || null });
+
+    const session = await prisma.session.create({
+      data: {
+        title,
+        description,
+        startTime,
+        endTime,
+        track: track || null,
+        capacity: capacity ? parseInt(capacity) : null,
+        position: await sessionService.nextPosition(event.id),
+        eventId: event.id
+      }
+    });
+
+    res.status(201).json({
+      message: 'Session created successfully',
+      session
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to create session');
+  }
+});
+
+// @route   PUT /api/events/:eventId/sessions/reorder
+// @desc    Reorder the agenda
+// @access  Private (organizer)
+router.put('/reorder', [
+  authenticateToken,
+  authorize('organizer'),
+  body('sessionIds').isArray().withMessage('sessionIds must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const sessions = await sessionService.reorder(event.id, req.body.sessionIds);
+
+    res.json({
+      message: 'Sessions reordered successfully',
+      sessions
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to reorder sessions');
+  }
+});
+
+// @route   PUT /api/events/:eventId/sessions/:sessionId
+// @desc    Update a session
+// @access  Private (organizer)
+router.put('/:sessionId', [
+  authenticateToken,
+  authorize('organizer'),
+  body('title').optional().trim().isLength({ min: 1 }),
+  body('startTime').optional().isISO8601(),
+  body('endTime').optional().isISO8601(),
+  body('track').optional({ nullable: true }).trim(),
+  body('capacity').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const session = await loadSession(req, res, event);
+    if (!session) return;
+
+    const data = {};
+    if (req.body.title !== undefined) data.title = req.body.title;
+    if (req.body.description !== undefined) data.description = req.body.description;
+    if (req.body.startTime) data.startTime = new Date(req.body.startTime);
+    if (req.body.endTime) data.endTime = new Date(req.body.endTime);
+    if (req.body.track !== undefined) data.track = req.body.track || null;
+
+    if (req.body.capacity !== undefined) {
+      const capacity = req.body.capacity ? parseInt(req.body.capacity) : null;
+
+      if (capacity !== null && capacity < session.registeredCount) {
+        return res.status(400).json({
+          error: 'Invalid capacity',
+          message: `${session.registeredCount} attendees are already registered for this session`
+        });
+      }
+
+      data.capacity = capacity;
+    }
+
+    if (data.startTime || data.endTime || data.track !== undefined) {
+      await sessionService.validateSchedule(event, {
+        startTime: data.startTime || session.startTime,
+        endTime: data.endTime || session.endTime,
+        track: data.track !== undefined ? data.track : session.track
+      }, session.id);
+    }
+
+    const updatedSession = await prisma.session.update({
+      where: { id: session.id },
+      data
+    });
+
+    res.json({
+      message: 'Session updated successfully',
+      session: updatedSession
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to update session');
+  }
+});
+
+// @route   DELETE /api/events/:eventId/sessions/:sessionId
+// @desc    Delete a session
+// @access  Private (organizer)
+router.delete('/:sessionId', authenticateToken, authorize('organizer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const session = await loadSession(req, res, event);
+    if (!session) return;
+
+    await prisma.session.delete({
+      where: { id: session.id }
+    });
+
+    res.json({
+      message: 'Session deleted successfully'
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to delete session');
+  }
+});
+
+// @route   GET /api/events/:eventId/sessions/:sessionId/registrations
+// @desc    Get attendees registered for a session
+// @access  Private (viewer)
+router.get('/:sessionId/registrations', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const session = await loadSession(req, res, event);
+    if (!session) return;
+
+    const registrations = await prisma.sessionRegistration.findMany({
+      where: { sessionId: session.id },
+      orderBy: { registeredAt: 'asc' },
+      include: {
+        attendee: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            status: true
+          }
+        }
+      }
+    });
+
+    res.json({
+      capacity: session.capacity,
+      registeredCount: session.registeredCount,
+      registrations
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to get session registrations');
+  }
+});
+
+// @route   POST /api/events/:eventId/sessions/:sessionId/registrations
+// @desc    Register an event attendee for a session
+// @access  Private (organizer)
+router.post('/:sessionId/registrations', [
+  authenticateToken,
+  authorize('organizer'),
+  body('attendeeId').isInt().withMessage('attendeeId is required').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const session = await loadSession(req, res, event);
+    if (!session) return;
+
+    const attendee = await prisma.attendee.findFirst({
+      where: {
+        id: req.body.attendeeId,
+        eventId: event.id
+      }
+    });
+
+    if (!attendee) {
+      return res.status(404).json({
+        error: 'Attendee not found'
+      });
+    }
+
+    const registration = await sessionService.register(session, attendee);
+
+    res.status(201).json({
+      message: 'Attendee registered for session',
+      registration
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to register for session');
+  }
+});
+
+// @route   DELETE /api/events/:eventId/sessions/:sessionId/registrations/:attendeeId
+// @desc    Remove an attendee from a session
+// @access  Private (organizer)
+router.delete('/:sessionId/registrations/:attendeeId', authenticateToken, authorize('organizer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const session = await loadSession(req, res, event);
+    if (!session) return;
+
+    await sessionService.unregister(session.id, parseInt(req.params.attendeeId));
+
+    res.json({
+      message: 'Attendee removed from session'
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to remove session registration');
+  }
+});
+
+// @route   GET /api/events/:eventId/sessions/:sessionId/attendance
+// @desc    Get session attendance from the meeting's join/leave data
+// @access  Private (viewer)
+router.get('/:sessionId/attendance', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const session = await loadSession(req, res, event);
+    if (!session) return;
+
+    const attendance = await sessionService.computeAttendance(session, event);
+
+    res.json(attendance);
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to get session attendance');
+  }
+});
+
+module.exports = router;
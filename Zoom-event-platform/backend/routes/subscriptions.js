@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const entitlementService = require('../services/entitlementService');
+const billingService = require('../services/billingService');
+const { BillingError, PAID_PLANS } = require('../services/billingService');
+
+const router = express.Router();
+
+const sendBillingError = (res, error, fallback) => {
+  if (error instanceof BillingError) {
+    return res.status(error.status).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// @route   GET /api/subscriptions/plans
+// @desc    Plan definitions and their limits
+// @access  Public
+router.get('/plans', (req, res) => {
+  res.json({
+    plans: entitlementService.listPlans()
+  });
+});
+
+// @route   GET /api/subscriptions/current
+// @desc    The organization's subscription, its billing period and state
+// @access  Private (viewer)
+router.get('/current', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const { subscription: _, ...entitlements } = await entitlementService.getEntitlements(req.organization.id);
+
+    res.json({ subscription: entitlements });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to get subscription',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/subscriptions/check-limits
+// @desc    Limits, usage this billing period and what the organization can do now
+// @access  Private (viewer)
+router.get('/check-limits', authenticateToken, authorize('viewer'), async (req, res) => {
+  try {
+    const limits = await entitlementService.checkLimits(req.organization.id);
+
+    res.json(limits);
+  } catch (error) {
+    console.error('Check limits error:', error);
+    res.status(500).json({
+      error: 'Failed to check limits',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/checkout
+// @desc    Start a hosted checkout for a paid plan
+// @access  Private (admin)
+router.post('/checkout', [
+  authenticateToken,
+  authorize('admin'),
+  body('plan').isIn(PAID_PLANS).withMessage(`Plan must be one of ${PAID_PLANS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const session = await billingService.createCheckoutSession(req.organization, req.user.id, req.body.plan);
+
+    res.status(201).json({
+      message: 'Checkout started',
+      checkoutUrl: session.url,
+      sessionId: session.id
+    });
+  } catch (error) {
+    sendBillingError(res, error, 'Failed to start checkout');
+  }
+});
+
+// @route   POST /api/subscriptions/upgrade
+// @desc    Change plan: prorated for paid subscriptions, otherwise via checkout
+// @access  Private (admin)
+router.post('/upgrade', [
+  authenticateToken,
+  authorize('admin'),
+  body('plan').isIn(PAID_PLANS).withMessage(`Plan must be one of ${PAID_PLANS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const subscription = await entitlementService.getSubscription(req.organization.id);
+
+    if (!subscription.providerSubscriptionId || ['cancelled', 'expired'].includes(subscription.status)) {
+      const session = await billingService.createCheckoutSession(req.organization, req.user.id, req.body.plan);
+
+      return res.status(201).json({
+        message: 'Checkout started',
+        checkoutUrl: session.url,
+        sessionId: session.id
+      });
+    }
+
+    const { pending, paymentUrl } = await billingService.changePlan(req.organization.id, req.body.plan);
+    const { subscription: _, ...entitlements } = await entitlementService.getEntitlements(req.organization.id);
+
+    // Upgrades whose invoice isn't paid yet keep the current plan until it is
+    if (pending) {
+      return res.status(202).json({
+        message: 'Plan change is waiting for payment',
+        paymentPending: true,
+        paymentUrl,
+        subscription: entitlements
+      });
+    }
+
+    res.json({
+      message: 'Plan changed successfully',
+      subscription: entitlements
+    });
+  } catch (error) {
+    sendBillingError(res, error, 'Failed to change plan');
+  }
+});
+
+// @route   GET /api/subscriptions/upgrade/preview?plan=
+// @desc    Prorated cost of changing a paid subscription's plan now
+// @access  Private (admin)
+router.get('/upgrade/preview', [
+  authenticateToken,
+  authorize('admin'),
+  query('plan').isIn(PAID_PLANS).withMessage(`Plan must be one of ${PAID_PLANS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const preview = await billingService.previewPlanChange(req.organization.id, req.query.plan);
+
+    res.json(preview);
+  } catch (error) {
+    sendBillingError(res, error, 'Failed to preview plan change');
+  }
+});
+
+// @route   POST /api/subscriptions/cancel
+// @desc    Cancel at the end of the paid period, or now with immediately: true
+// @access  Private (admin)
+router.post('/cancel', [
+  authenticateToken,
+  authorize('admin'),
+  body('immediately').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await billingService.cancel(req.organization.id, { atPeriodEnd: req.body.immediately !== true });
+    const { subscription: _, ...entitlements } = await entitlementService.getEntitlements(req.organization.id);
+
+    res.json({
+      message: 'Subscription cancelled',
+      subscription: entitlements
+    });
+  } catch (error) {
+    sendBillingError(res, error, 'Failed to cancel subscription');
+  }
+});
+
+// @route   POST /api/subscriptions/resume
+// @desc    Undo a cancellation before the period ends
+// @access  Private (admin)
+router.post('/resume', authenticateToken, authorize('admin'), async (req, res) => {
+  try {
+    await billingService.resume(req.organization.id);
+    const { subscription: _, ...entitlements } = await entitlementService.getEntitlements(req.organization.id);
+
+    res.json({
+      message: 'Subscription resumed',
+      subscription: entitlements
+    });
+  } catch (error) {
+    sendBillingError(res, error, 'Failed to resume subscription');
+  }
+});
+
+module.exports = router;
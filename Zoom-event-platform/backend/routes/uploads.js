@@ -0,0 +1,215 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/organization');
+const { PrismaClient } = require('@prisma/client');
+const entitlementService = require('../services/entitlementService');
+const { EntitlementError } = require('../services/entitlementService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MB = 1024 * 1024;
+// Served by express.static in server.js
+const UPLOAD_DIR = 'uploads';
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(UPLOAD_DIR, { recursive: true }, (error) => cb(error, UPLOAD_DIR));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+// Largest file the plan still has room for, or undefined when unlimited
+const uploadLimitBytes = ({ limits, usage }) => {
+  const sizes = [
+    limits.maxUploadMb === -1 ? Infinity : limits.maxUploadMb * MB,
+    usage.storageRemainingBytes === null ? Infinity : usage.storageRemainingBytes
+  ];
+  const limit = Math.min(...sizes);
+
+  return Number.isFinite(limit) ? limit : undefined;
+};
+
+// Receive the single `file` field, aborting once it passes `fileSize` bytes
+const receiveFile = (req, res, fileSize) => new Promise((resolve, reject) => {
+  multer({ storage, limits: { fileSize, files: 1 } }).single('file')(req, res, (error) => {
+    if (error) return reject(error);
+    resolve(req.file);
+  });
+});
+
+const removeFile = (file) => {
+  if (file) fs.promises.unlink(file.path).catch(() => {});
+};
+
+const sendUploadError = (res, error, fallback) => {
+  if (error instanceof EntitlementError) {
+    return res.status(error.status).json({
+      error: 'Plan limit reached',
+      message: error.message,
+      code: error.code,
+      ...error.details
+    });
+  }
+
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      error: fallback,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// @route   POST /api/uploads/events/:eventId
+// @desc    Upload a resource to an event (multipart `file`, optional `title`, `description`)
+// @access  Private (organizer)
+router.post('/events/:eventId', [
+  authenticateToken,
+  authorize('organizer'),
+  param('eventId').isInt().withMessage('Invalid event id').toInt()
+], async (req, res) => {
+  let file;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const event = await prisma.event.findUnique({
+      where: {
+        id: req.params.eventId,
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    // Refuse before reading the body when the plan has lapsed or storage is full,
+    // and stop reading once the file outgrows what the plan has room for
+    const entitlements = await entitlementService.assertCanUpload(req.organization.id, 0);
+    const limit = uploadLimitBytes(entitlements);
+
+    try {
+      file = await receiveFile(req, res, limit);
+    } catch (error) {
+      // Reports whichever limit the file went over
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        await entitlementService.assertCanUpload(req.organization.id, limit + 1);
+      }
+      throw error;
+    }
+
+    if (!file) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'file is required'
+      });
+    }
+
+    await Promise.all([
+      body('title').optional().trim().isLength({ min: 1, max: 200 }).run(req),
+      body('description').optional().trim().isLength({ max: 2000 }).run(req)
+    ]);
+
+    const fieldErrors = validationResult(req);
+    if (!fieldErrors.isEmpty()) {
+      removeFile(file);
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: fieldErrors.array()
+      });
+    }
+
+    // Concurrent uploads may have used the room since the first check
+    await entitlementService.assertCanUpload(req.organization.id, file.size);
+
+    const resource = await prisma.resource.create({
+      data: {
+        title: req.body.title || file.originalname,
+        description: req.body.description,
+        filename: file.filename,
+        originalName: file.originalname,
+        size: BigInt(file.size),
+        mimetype: file.mimetype,
+        url: `/${UPLOAD_DIR}/${file.filename}`,
+        eventId: event.id,
+        uploadedBy: req.user.id
+      }
+    });
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      resource: { ...resource, size: Number(resource.size) }
+    });
+  } catch (error) {
+    removeFile(file);
+    sendUploadError(res, error, 'Failed to upload file');
+  }
+});
+
+// @route   DELETE /api/uploads/:resourceId
+// @desc    Delete an uploaded resource, freeing its storage
+// @access  Private (organizer)
+router.delete('/:resourceId', [
+  authenticateToken,
+  authorize('organizer'),
+  param('resourceId').isInt().withMessage('Invalid resource id').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Recording files are managed with their recording
+    const resource = await prisma.resource.findFirst({
+      where: {
+        id: req.params.resourceId,
+        recordingFileId: null,
+        event: { organizationId: req.organization.id }
+      }
+    });
+
+    if (!resource) {
+      return res.status(404).json({
+        error: 'Resource not found'
+      });
+    }
+
+    await prisma.resource.delete({ where: { id: resource.id } });
+    removeFile({ path: path.join(UPLOAD_DIR, resource.filename) });
+
+    res.json({
+      message: 'Resource deleted successfully'
+    });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to delete resource');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const zoomOAuthService = require('../services/zoomOAuthService');
+const { ZoomOAuthError } = require('../services/zoomOAuthService');
+
+const router = express.Router();
+
+// Where the browser lands after Zoom's consent page
+const settingsUrl = (params) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${base}/settings/zoom?${new URLSearchParams(params)}`;
+};
+
+// @route   GET /api/zoom/oauth/authorize
+// @desc    Get the Zoom consent URL to connect the user's Zoom account
+// @access  Private
+router.get('/authorize', authenticateToken, async (req, res) => {
+  try {
+    if (!zoomOAuthService.isConfigured()) {
+      return res.status(503).json({
+        error: 'Zoom OAuth is not configured'
+      });
+    }
+
+    res.json({
+      url: zoomOAuthService.getAuthorizationUrl(req.user.id)
+    });
+  } catch (error) {
+    console.error('Zoom authorize error:', error);
+    res.status(500).json({
+      error: 'Failed to start Zoom authorization',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/zoom/oauth/callback
+// @desc    Zoom redirects here with an authorization code; it is handed to
+//          the frontend, which completes the flow as the signed-in user
+// @access  Public
+router.get('/callback', (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error || !code || !state) {
+    return res.redirect(settingsUrl({ error: error || 'missing_code' }));
+  }
+
+  res.redirect(settingsUrl({ code, state }));
+});
+
+// @route   POST /api/zoom/oauth/callback
+// @desc    Connect the Zoom account with the code and state from the redirect
+// @access  Private (the state must have been issued to this user)
+router.post('/callback', [
+  authenticateToken,
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = zoomOAuthService.verifyState(req.body.state, req.user.id);
+    const connection = await zoomOAuthService.connect(userId, req.body.code);
+
+    res.json({
+      message: 'Zoom account connected',
+      connection: zoomOAuthService.toPublicConnection(connection)
+    });
+  } catch (error) {
+    if (error instanceof ZoomOAuthError) {
+      return res.status(error.status && error.status < 500 ? error.status : 502).json({
+        error: 'Failed to connect Zoom account',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Zoom OAuth callback error:', error);
+    res.status(500).json({
+      error: 'Failed to connect Zoom account',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/zoom/oauth/connection
+// @desc    Get the user's connected Zoom account
+// @access  Private
+router.get('/connection', authenticateToken, async (req, res) => {
+  try {
+    const connection = await zoomOAuthService.getConnection(req.user.id);
+
+    res.json({
+      connected: Boolean(connection),
+      connection: zoomOAuthService.toPublicConnection(connection)
+    });
+  } catch (error) {
+    console.error('Get Zoom connection error:', error);
+    res.status(500).json({
+      error: 'Failed to get Zoom connection',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/zoom/oauth/connection
+// @desc    Disconnect the user's Zoom account and revoke its tokens
+// @access  Private
+router.delete('/connection', authenticateToken, async (req, res) => {
+  try {
+    const disconnected = await zoomOAuthService.disconnect(req.user.id);
+
+    if (!disconnected) {
+      return res.status(404).json({
+        error: 'No Zoom account connected'
+      });
+    }
+
+    res.json({
+      message: 'Zoom account disconnected'
+    });
+  } catch (error) {
+    console.error('Disconnect Zoom error:', error);
+    res.status(500).json({
+      error: 'Failed to disconnect Zoom account',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
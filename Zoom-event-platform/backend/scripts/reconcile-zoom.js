@@ -0,0 +1,45 @@
+// Compare upcoming events with Zoom and report (or repair) any drift.
+//
+//   node scripts/reconcile-zoom.js                    report only
+//   node scripts/reconcile-zoom.js --repair           re-sync events from the database
+//   node scripts/reconcile-zoom.js --repair --delete-orphans
+//                                                     also delete Zoom meetings no event references
+//
+// Exits with 1 when drift is left unrepaired or an account couldn't be checked,
+// so it can run from cron or CI.
+require('dotenv').config();
+const zoomSyncService = require('../services/zoomSyncService');
+
+const args = process.argv.slice(2);
+const repair = args.includes('--repair');
+const deleteOrphans = args.includes('--delete-orphans');
+
+const main = async () => {
+  const report = await zoomSyncService.reconcile({ repair, deleteOrphans });
+
+  console.log(`Checked ${report.checkedEvents} upcoming events against ${report.checkedMeetings} Zoom meetings`);
+
+  for (const item of report.drift) {
+    const subject = item.eventId ? `event ${item.eventId}` : `meeting ${item.zoomMeetingId}`;
+    const detail = item.differences ? ` (${item.differences.join(', ')})` : (item.error ? ` (${item.error})` : '');
+    const outcome = repair ? (item.repaired ? ' -> repaired' : ` -> not repaired${item.repairError ? `: ${item.repairError}` : ''}`) : '';
+
+    console.log(`${item.type}: ${subject}${detail}${outcome}`);
+  }
+
+  for (const { ownerUserId, error } of report.errors) {
+    console.log(`Could not list meetings for ${ownerUserId ? `user ${ownerUserId}` : 'the platform account'}: ${error}`);
+  }
+
+  const remaining = report.drift.filter(item => !item.repaired);
+  console.log(remaining.length === 0 ? 'No drift remaining' : `${remaining.length} drift item(s) remaining`);
+
+  return remaining.length === 0 && report.errors.length === 0 ? 0 : 1;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Reconcile failed:', error);
+    process.exit(1);
+  });
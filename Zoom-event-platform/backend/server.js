@@ -2,7 +2,10 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { verifyZoomWebhook, processZoomWebhook } = require('./middleware/zoomWebhook');
+const { verifyZoomWebhook, verifyZoomOAuthWebhook, processZoomWebhook } = require('./middleware/zoomWebhook');
+const { verifyBillingWebhook, processBillingWebhook } = require('./middleware/billingWebhook');
+const jobQueue = require('./services/jobQueue');
+const jobHandlers = require('./services/jobHandlers');
 require('dotenv').config();
 
 const app = express();
@@ -46,6 +49,11 @@ if (process.env.NODE_ENV === 'production') {
   }));
 }
 
+// Webhook endpoints (before rate limiting and JSON parsing, which would consume the signed raw body)
+app.post('/api/webhooks/zoom', express.raw({ type: 'application/json' }), verifyZoomWebhook, processZoomWebhook);
+app.post('/api/webhooks/zoom/oauth', express.raw({ type: 'application/json' }), verifyZoomOAuthWebhook, processZoomWebhook);
+app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), verifyBillingWebhook, processBillingWebhook);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -54,6 +62,9 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Prisma returns BigInt for byte sizes, which JSON.stringify can't encode
+app.set('json replacer', (key, value) => (typeof value === 'bigint' ? Number(value) : value));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -71,17 +82,25 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Zoom webhook endpoint (before rate limiting)
-app.post('/api/webhooks/zoom', express.raw({ type: 'application/json' }), verifyZoomWebhook, processZoomWebhook);
-
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/organizations', require('./routes/organizations'));
 app.use('/api/events', require('./routes/events'));
+app.use('/api/events/:eventId/sessions', require('./routes/sessions'));
+app.use('/api/events/:eventId/recordings', require('./routes/recordings'));
+app.use('/api/events/:eventId/attendance', require('./routes/attendance'));
+app.use('/api/events/:eventId/live', require('./routes/live'));
+app.use('/api/events/:eventId/questions', require('./routes/questions'));
+app.use('/api/events/:eventId/polls', require('./routes/polls'));
+app.use('/api/zoom/oauth', require('./routes/zoomOAuth'));
 app.use('/api/zoom', require('./routes/zoom'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/subscriptions', require('./routes/subscriptions'));
 app.use('/api/uploads', require('./routes/uploads'));
+app.use('/api/public', require('./routes/public'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/admin', require('./routes/admin'));
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -108,6 +127,12 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🌐 API URL: http://localhost:${PORT}`);
+
+  // Every instance runs a worker unless disabled; jobs are never run twice
+  jobHandlers.registerAll();
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    jobQueue.start();
+  }
 });
 
 module.exports = app;
\ No newline at end of file
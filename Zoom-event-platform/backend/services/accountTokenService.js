@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const authSessionService = require('./authSessionService');
+
+const prisma = new PrismaClient();
+
+const PURPOSES = {
+  email_verification: {
+    template: 'emailVerification',
+    path: '/verify-email',
+    ttlMs: () => parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48', 10) * 60 * 60 * 1000
+  },
+  password_reset: {
+    template: 'passwordReset',
+    path: '/reset-password',
+    ttlMs: () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10) * 60 * 1000
+  }
+};
+
+// Token request or confirmation that can't be honoured; routes turn it into a response
+class AccountTokenError extends Error {
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = 'AccountTokenError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Account tokens are signed with a key derived from JWT_SECRET and carry an
+// audience per purpose, so code that only checks JWT_SECRET signatures (access
+// tokens) rejects them, and one purpose's token can't stand in for another's.
+const signingKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('account-token').digest();
+const audience = (purpose) => `account:${purpose}`;
+
+const invalidToken = () => new AccountTokenError('This link is invalid or has already been used', { code: 'INVALID_TOKEN' });
+
+// Email verification and password reset. Links carry a signed JWT naming the
+// user, the purpose and a token id; the AccountToken row makes it single-use.
+class AccountTokenService {
+  constructor() {
+    this.rateLimit = parseInt(process.env.ACCOUNT_EMAIL_RATE_LIMIT || '3', 10);
+    this.rateWindowMs = parseInt(process.env.ACCOUNT_EMAIL_RATE_WINDOW_MINUTES || '60', 10) * 60 * 1000;
+  }
+
+  // Requests for this email and purpose within the window, or a 429
+  async assertWithinRateLimit(email, purpose) {
+    const since = new Date(Date.now() - this.rateWindowMs);
+
+    const recent = await prisma.accountToken.findMany({
+      where: { email, purpose, createdAt: { gt: since } },
+      select: { createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (recent.length >= this.rateLimit) {
+      const retryAfter = Math.ceil((recent[0].createdAt.getTime() + this.rateWindowMs - Date.now()) / 1000);
+
+      throw new AccountTokenError('Too many requests for this email; try again later', {
+        status: 429,
+        code: 'RATE_LIMITED',
+        details: { retryAfter: Math.max(retryAfter, 1) }
+      });
+    }
+  }
+
+  // Issue a token and email its link. Earlier unused tokens for the same
+  // purpose stop working, so only the latest email's link is live.
+  async issue(user, purpose) {
+    const { template, path, ttlMs } = PURPOSES[purpose];
+    await this.assertWithinRateLimit(user.email, purpose);
+
+    // Under the user's row lock, so concurrent requests can't both leave a live token
+    const { token, expiresAt } = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "User" WHERE "id" = ${user.id} FOR UPDATE`;
+
+      await tx.accountToken.updateMany({
+        where: { userId: user.id, purpose, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      return this.createToken(user, purpose, ttlMs(), tx);
+    });
+
+    await notificationService.send(template, user.email, {
+      user,
+      url: `${process.env.FRONTEND_URL}${path}?token=${encodeURIComponent(token)}`,
+      expiresAt
+    }, { userId: user.id });
+
+    return { expiresAt };
+  }
+
+  // Signed token backed by a new AccountToken row; `client` may be a transaction
+  async createToken(user, purpose, ttlMs, client = prisma) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMs);
+
+    await client.accountToken.create({
+      data: { jti, purpose, email: user.email, expiresAt, userId: user.id }
+    });
+
+    const token = jwt.sign(
+      { sub: user.id, purpose, jti },
+      signingKey(),
+      { expiresIn: Math.floor(ttlMs / 1000), audience: audience(purpose) }
+    );
+
+    return { token, expiresAt };
+  }
+
+  // The token's row and its user, while the token is unused and unexpired
+  async verify(token, purpose) {
+    let payload;
+    try {
+      payload = jwt.verify(String(token), signingKey(), { audience: audience(purpose) });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AccountTokenError('This link has expired; request a new one', { status: 410, code: 'TOKEN_EXPIRED' });
+      }
+      throw invalidToken();
+    }
+
+    if (payload.purpose !== purpose || !payload.jti) {
+      throw invalidToken();
+    }
+
+    const record = await prisma.accountToken.findUnique({
+      where: { jti: payload.jti },
+      include: { user: true }
+    });
+
+    if (!record || record.purpose !== purpose || record.userId !== payload.sub
+      || record.usedAt || record.expiresAt <= new Date()) {
+      throw invalidToken();
+    }
+
+    return record;
+  }
+
+  // Check a token and mark it used. Returns the token row and its user.
+  async consume(token, purpose) {
+    const record = await this.verify(token, purpose);
+
+    if (!(await this.revoke(record.id))) {
+      throw invalidToken();
+    }
+
+    return record;
+  }
+
+  // Mark a token used. Guarded on usedAt so a token can't be used twice, even
+  // concurrently; false if it already was or has expired.
+  async revoke(id) {
+    const { count } = await prisma.accountToken.updateMany({
+      where: { id, usedAt: null, expiresAt: { gt: new Date() } },
+      data: { usedAt: new Date() }
+    });
+
+    return count === 1;
+  }
+
+  // Send (or resend) the verification email
+  async requestEmailVerification(user) {
+    if (user.isEmailVerified) {
+      throw new AccountTokenError('Email is already verified', { status: 409, code: 'ALREADY_VERIFIED' });
+    }
+
+    return this.issue(user, 'email_verification');
+  }
+
+  async confirmEmailVerification(token) {
+    const record = await this.consume(token, 'email_verification');
+
+    // The address changed after the link was sent; the new one isn't proven
+    if (record.email !== record.user.email) {
+      throw invalidToken();
+    }
+
+    return prisma.user.update({
+      where: { id: record.userId },
+      data: { isEmailVerified: true }
+    });
+  }
+
+  // Email a reset link if an account uses this address. Callers respond the
+  // same either way, so the response doesn't reveal which emails have accounts.
+  async requestPasswordReset(email) {
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (!user) return null;
+
+    return this.issue(user, 'password_reset');
+  }
+
+  // Set a new password from a reset link and sign out every device
+  async confirmPasswordReset(token, newPassword) {
+    const record = await this.consume(token, 'password_reset');
+
+    if (record.email !== record.user.email) {
+      throw invalidToken();
+    }
+
+    const user = await prisma.user.update({
+      where: { id: record.userId },
+      data: {
+        password: await bcrypt.hash(newPassword, 12),
+        // Following the emailed link proves the address
+        isEmailVerified: true
+      }
+    });
+
+    await authSessionService.revokeAll(user.id, { reason: 'password_reset' });
+
+    return user;
+  }
+}
+
+module.exports = new AccountTokenService();
+module.exports.AccountTokenError = AccountTokenError;
@@ -0,0 +1,457 @@
+const { PrismaClient } = require('@prisma/client');
+const questionService = require('./questionService');
+const pollService = require('./pollService');
+
+const prisma = new PrismaClient();
+
+// Registrations counted against attendance; waitlisted and cancelled people never had a seat
+const REGISTERED_STATUSES = ['registered', 'joined', 'left', 'no_show'];
+
+// Join-lateness buckets, in minutes after the scheduled start
+const LATENESS_BUCKETS = [
+  { label: 'early', max: 0 },
+  { label: '0-5', max: 5 },
+  { label: '5-10', max: 10 },
+  { label: '10-15', max: 15 },
+  { label: '15-30', max: 30 },
+  { label: '30+', max: Infinity }
+];
+
+// The timeline is bucketed so it never has more points than this
+const MAX_TIMELINE_POINTS = 500;
+
+// Retention is sampled every this many percent of the meeting
+const RETENTION_STEP_PERCENT = 5;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Analytics request that can't be honoured; routes turn it into a response
+class AnalyticsError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// A participant is their attendee row when matched, otherwise their Zoom identity
+const personKey = (segment) => (segment.attendeeId ? `a:${segment.attendeeId}` : `p:${segment.participantKey}`);
+
+class AnalyticsService {
+  // When the meeting actually ran. Scheduled times fill in what Zoom didn't
+  // report, widened to cover every recorded join and leave.
+  meetingWindow(event, segments = [], now = new Date()) {
+    let start = new Date(event.actualStartTime || event.startTime).getTime();
+    let end = event.actualEndTime || (event.status === 'live' ? now : event.endTime);
+    end = new Date(end).getTime();
+
+    for (const segment of segments) {
+      if (segment.joinedAt) start = Math.min(start, new Date(segment.joinedAt).getTime());
+      if (segment.leftAt) end = Math.max(end, new Date(segment.leftAt).getTime());
+    }
+
+    return { start: new Date(start), end: new Date(Math.max(end, start)) };
+  }
+
+  // Each person's presence as non-overlapping [start, end] spans in ms,
+  // clipped to the meeting window; open segments run to the window's end
+  presenceByPerson(segments, window) {
+    const byPerson = new Map();
+
+    for (const segment of segments) {
+      if (!segment.joinedAt) continue;
+
+      const start = Math.max(new Date(segment.joinedAt).getTime(), window.start.getTime());
+      const end = Math.min(new Date(segment.leftAt || window.end).getTime(), window.end.getTime());
+      if (end <= start) continue;
+
+      const key = personKey(segment);
+      if (!byPerson.has(key)) byPerson.set(key, []);
+      byPerson.get(key).push([start, end]);
+    }
+
+    // Merge overlapping spans so two devices count as one person
+    for (const [key, spans] of byPerson) {
+      spans.sort((a, b) => a[0] - b[0]);
+
+      const merged = [];
+      for (const span of spans) {
+        const last = merged[merged.length - 1];
+        if (last && span[0] <= last[1]) {
+          last[1] = Math.max(last[1], span[1]);
+        } else {
+          merged.push([...span]);
+        }
+      }
+
+      byPerson.set(key, merged);
+    }
+
+    return byPerson;
+  }
+
+  // People present at each instant, as change points: [{ at, count }]
+  concurrencySteps(presence) {
+    const changes = [];
+
+    for (const spans of presence.values()) {
+      for (const [start, end] of spans) {
+        changes.push([start, 1], [end, -1]);
+      }
+    }
+
+    // Leaves before joins at the same instant, so a handover isn't counted twice
+    changes.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    const steps = [];
+    let count = 0;
+
+    for (const [at, delta] of changes) {
+      count += delta;
+
+      if (steps.length && steps[steps.length - 1].at === at) {
+        steps[steps.length - 1].count = count;
+      } else {
+        steps.push({ at, count });
+      }
+    }
+
+    return steps;
+  }
+
+  peak(steps) {
+    return steps.reduce(
+      (best, step) => (step.count > best.count ? { count: step.count, at: new Date(step.at) } : best),
+      { count: 0, at: null }
+    );
+  }
+
+  // Concurrent participants sampled over the meeting. Each point is the
+  // maximum reached within its bucket, so short peaks aren't lost.
+  concurrencyTimeline(steps, window, intervalMinutes) {
+    const durationMs = window.end - window.start;
+    const minInterval = Math.ceil(durationMs / MAX_TIMELINE_POINTS / MINUTE_MS) || 1;
+    const interval = Math.max(intervalMinutes || 1, minInterval) * MINUTE_MS;
+
+    const timeline = [];
+    let index = 0;
+    let current = 0;
+
+    for (let bucketStart = window.start.getTime(); bucketStart < window.end.getTime() || timeline.length === 0; bucketStart += interval) {
+      const bucketEnd = bucketStart + interval;
+
+      // Count at the start of the bucket
+      while (index < steps.length && steps[index].at <= bucketStart) {
+        current = steps[index++].count;
+      }
+
+      let max = current;
+      while (index < steps.length && steps[index].at < bucketEnd) {
+        current = steps[index++].count;
+        max = Math.max(max, current);
+      }
+
+      timeline.push({ time: new Date(bucketStart), participants: max });
+
+      if (durationMs <= 0) break;
+    }
+
+    return { intervalMinutes: interval / MINUTE_MS, points: timeline };
+  }
+
+  // Share of participants present at every RETENTION_STEP_PERCENT of the meeting
+  retentionCurve(presence, window) {
+    const total = presence.size;
+    const durationMs = window.end - window.start;
+    const curve = [];
+
+    for (let percent = 0; percent <= 100; percent += RETENTION_STEP_PERCENT) {
+      // The final sample is taken just before the end, when people are still inside
+      const at = window.start.getTime() + Math.min(durationMs * percent / 100, Math.max(durationMs - 1000, 0));
+
+      let present = 0;
+      for (const spans of presence.values()) {
+        if (spans.some(([start, end]) => start <= at && at < end)) present++;
+      }
+
+      curve.push({
+        percent,
+        time: new Date(at),
+        participants: present,
+        retention: total ? round1(present / total * 100) : 0
+      });
+    }
+
+    return curve;
+  }
+
+  // How late people first joined, against the scheduled start
+  latenessDistribution(segments, event) {
+    const firstJoins = new Map();
+
+    for (const segment of segments) {
+      if (!segment.joinedAt) continue;
+
+      const key = personKey(segment);
+      const joinedAt = new Date(segment.joinedAt).getTime();
+      if (!firstJoins.has(key) || joinedAt < firstJoins.get(key)) {
+        firstJoins.set(key, joinedAt);
+      }
+    }
+
+    const minutesLate = [...firstJoins.values()].map(at => (at - new Date(event.startTime).getTime()) / MINUTE_MS);
+    const buckets = LATENESS_BUCKETS.map(b => ({ bucket: b.label, participants: 0 }));
+
+    for (const minutes of minutesLate) {
+      const index = minutes < 0 ? 0 : LATENESS_BUCKETS.findIndex((b, i) => i > 0 && minutes < b.max);
+      buckets[index].participants++;
+    }
+
+    return {
+      buckets,
+      medianMinutesLate: round1(median(minutesLate.map(m => Math.max(m, 0)))),
+      onTimeRate: minutesLate.length
+        ? round1(minutesLate.filter(m => m < LATENESS_BUCKETS[1].max).length / minutesLate.length * 100)
+        : 0
+    };
+  }
+
+  // Minutes each person attended, overlapping segments counted once
+  minutesByPerson(presence) {
+    return [...presence.values()].map(spans => spans.reduce((total, [start, end]) => total + end - start, 0) / MINUTE_MS);
+  }
+
+  // Every metric for one event from its segments and registrations
+  computeEventMetrics(event, segments, registered, { intervalMinutes } = {}) {
+    const window = this.meetingWindow(event, segments);
+    const presence = this.presenceByPerson(segments, window);
+    const steps = this.concurrencySteps(presence);
+    const minutes = this.minutesByPerson(presence);
+    const attendedRegistrants = new Set(segments.filter(s => s.joinedAt && s.attendeeId).map(s => s.attendeeId)).size;
+
+    return {
+      window,
+      participants: presence.size,
+      peak: this.peak(steps),
+      minutes: {
+        average: round1(average(minutes)),
+        median: round1(median(minutes)),
+        total: Math.round(minutes.reduce((sum, m) => sum + m, 0))
+      },
+      attendance: {
+        registered,
+        attended: attendedRegistrants,
+        noShows: Math.max(registered - attendedRegistrants, 0),
+        guests: presence.size - attendedRegistrants,
+        rate: registered ? round1(attendedRegistrants / registered * 100) : 0
+      },
+      concurrency: this.concurrencyTimeline(steps, window, intervalMinutes),
+      retention: this.retentionCurve(presence, window),
+      lateness: this.latenessDistribution(segments, event)
+    };
+  }
+
+  // Full analytics for one of the organizer's events
+  async getEventAnalytics(event, { intervalMinutes } = {}) {
+    const [segments, registered, questions, polls] = await Promise.all([
+      prisma.attendanceSegment.findMany({
+        where: { eventId: event.id, joinedAt: { not: null } }
+      }),
+      prisma.attendee.count({
+        where: { eventId: event.id, status: { in: REGISTERED_STATUSES } }
+      }),
+      questionService.summary(event.id),
+      pollService.summary(event.id)
+    ]);
+
+    const { window, ...metrics } = this.computeEventMetrics(event, segments, registered, { intervalMinutes });
+
+    return {
+      event: {
+        id: event.id,
+        title: event.title,
+        status: event.status,
+        startTime: event.startTime,
+        endTime: event.endTime,
+        actualStartTime: event.actualStartTime,
+        actualEndTime: event.actualEndTime
+      },
+      window,
+      ...metrics,
+      engagement: { questions, polls }
+    };
+  }
+
+  // Live view of a running event
+  async getRealtime(event) {
+    const [current, recent] = await Promise.all([
+      prisma.attendanceSegment.findMany({
+        where: { eventId: event.id, joinedAt: { not: null }, leftAt: null },
+        select: { attendeeId: true, participantKey: true }
+      }),
+      prisma.analytics.findMany({
+        where: { eventId: event.id },
+        orderBy: { timestamp: 'desc' },
+        take: 20
+      })
+    ]);
+
+    return {
+      eventId: event.id,
+      status: event.status,
+      currentParticipants: new Set(current.map(personKey)).size,
+      recentMetrics: recent,
+      timestamp: new Date()
+    };
+  }
+
+  // Date range for the dashboard, defaulting to the last 30 days
+  parseRange({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+
+    if (start >= end) {
+      throw new AnalyticsError('from must be before to', { code: 'INVALID_RANGE' });
+    }
+
+    if (end - start > 366 * DAY_MS) {
+      throw new AnalyticsError('The date range may not exceed 366 days', { code: 'RANGE_TOO_LONG' });
+    }
+
+    return { from: start, to: end };
+  }
+
+  // Organization rollup over the events starting in a date range: totals,
+  // per-event summaries and a daily series
+  async getDashboard(organizationId, range = {}) {
+    const { from, to } = this.parseRange(range);
+
+    const events = await prisma.event.findMany({
+      where: {
+        organizationId,
+        status: { not: 'cancelled' },
+        startTime: { gte: from, lt: to }
+      },
+      orderBy: { startTime: 'asc' }
+    });
+
+    const eventIds = events.map(e => e.id);
+
+    const [segments, registrations, questions, polls] = await Promise.all([
+      prisma.attendanceSegment.findMany({
+        where: { eventId: { in: eventIds }, joinedAt: { not: null } }
+      }),
+      prisma.attendee.groupBy({
+        by: ['eventId'],
+        where: { eventId: { in: eventIds }, status: { in: REGISTERED_STATUSES } },
+        _count: { _all: true }
+      }),
+      prisma.question.groupBy({
+        by: ['eventId'],
+        where: { eventId: { in: eventIds } },
+        _count: { _all: true }
+      }),
+      prisma.poll.findMany({
+        where: { eventId: { in: eventIds } },
+        select: { id: true, eventId: true }
+      })
+    ]);
+
+    // One response per attendee per poll, however many options they picked
+    const pollResponses = await prisma.pollVote.groupBy({
+      by: ['pollId', 'attendeeId'],
+      where: { pollId: { in: polls.map(p => p.id) } }
+    });
+
+    const segmentsByEvent = new Map(eventIds.map(id => [id, []]));
+    segments.forEach(s => segmentsByEvent.get(s.eventId).push(s));
+
+    const registeredByEvent = new Map(registrations.map(r => [r.eventId, r._count._all]));
+    const questionsByEvent = new Map(questions.map(q => [q.eventId, q._count._all]));
+
+    const pollEvent = new Map(polls.map(p => [p.id, p.eventId]));
+    const responsesByEvent = new Map();
+    for (const { pollId } of pollResponses) {
+      const eventId = pollEvent.get(pollId);
+      responsesByEvent.set(eventId, (responsesByEvent.get(eventId) || 0) + 1);
+    }
+
+    const summaries = events.map(event => {
+      const metrics = this.computeEventMetrics(event, segmentsByEvent.get(event.id), registeredByEvent.get(event.id) || 0);
+
+      return {
+        id: event.id,
+        title: event.title,
+        status: event.status,
+        startTime: event.startTime,
+        participants: metrics.participants,
+        peakParticipants: metrics.peak.count,
+        averageMinutes: metrics.minutes.average,
+        totalMinutes: metrics.minutes.total,
+        questions: questionsByEvent.get(event.id) || 0,
+        pollResponses: responsesByEvent.get(event.id) || 0,
+        ...metrics.attendance
+      };
+    });
+
+    const sum = (key) => summaries.reduce((total, s) => total + s[key], 0);
+    const registered = sum('registered');
+    const attended = sum('attended');
+    const participants = sum('participants');
+
+    // One point per UTC day of the range
+    const daily = new Map();
+    for (let day = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()); day < to.getTime(); day += DAY_MS) {
+      daily.set(new Date(day).toISOString().slice(0, 10), { events: 0, registered: 0, attended: 0, participants: 0 });
+    }
+
+    for (const summary of summaries) {
+      const point = daily.get(new Date(summary.startTime).toISOString().slice(0, 10));
+      if (!point) continue;
+
+      point.events++;
+      point.registered += summary.registered;
+      point.attended += summary.attended;
+      point.participants += summary.participants;
+    }
+
+    return {
+      range: { from, to },
+      totals: {
+        events: summaries.length,
+        completedEvents: summaries.filter(s => s.status === 'completed').length,
+        registered,
+        attended,
+        noShows: sum('noShows'),
+        participants,
+        attendanceRate: registered ? round1(attended / registered * 100) : 0,
+        // Weighted by participant, not averaged per event
+        averageMinutes: participants ? round1(sum('totalMinutes') / participants) : 0,
+        totalMinutes: sum('totalMinutes'),
+        peakParticipants: summaries.reduce((max, s) => Math.max(max, s.peakParticipants), 0),
+        questions: sum('questions'),
+        pollResponses: sum('pollResponses')
+      },
+      daily: [...daily].map(([date, point]) => ({ date, ...point })),
+      events: summaries
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
+module.exports.AnalyticsError = AnalyticsError;
@@ -0,0 +1,316 @@
+const { PrismaClient } = require('@prisma/client');
+const zoomService = require('./zoomService');
+const attendanceService = require('./attendanceService');
+const { mergeSegments } = require('./attendanceService');
+const questionService = require('./questionService');
+const pollService = require('./pollService');
+
+const prisma = new PrismaClient();
+
+// Registrations counted in the report; waitlisted and cancelled people never had a seat
+const REPORTED_STATUSES = ['registered', 'joined', 'left', 'no_show'];
+
+// Columns of the CSV and XLSX exports
+const EXPORT_COLUMNS = [
+  { header: 'Type', key: 'type', width: 12 },
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Email', key: 'email', width: 32 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Attended', key: 'attended', width: 10 },
+  { header: 'First Joined', key: 'firstJoinedAt', width: 24 },
+  { header: 'Last Left', key: 'lastLeftAt', width: 24 },
+  { header: 'Minutes Attended', key: 'minutesAttended', width: 18 },
+  { header: 'Join Count', key: 'joinCount', width: 12 },
+  { header: 'Questions Asked', key: 'questionsAsked', width: 16 },
+  { header: 'Polls Answered', key: 'pollsAnswered', width: 15 }
+];
+
+// Report request that can't be honoured; routes turn it into a response
+class AttendanceReportError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'AttendanceReportError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const displayName = (person) => (
+  [person.firstName, person.lastName].filter(Boolean).join(' ') || person.name || ''
+);
+
+// One CSV cell. Text starting with a formula character is prefixed so spreadsheet apps don't run it.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AttendanceReportService {
+  // Pull Zoom's participant report for the meeting instance and apply it,
+  // then recalculate attendance for everyone it touched
+  async importParticipantReport({ eventId, meetingUuid }) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId }
+    });
+
+    if (!event) return null;
+
+    const uuid = meetingUuid || event.zoomMeetingUuid;
+    if (!uuid) {
+      throw new AttendanceReportError('The meeting has not run yet', { status: 409, code: 'NO_MEETING_INSTANCE' });
+    }
+
+    const zoom = await zoomService.forMeeting(event);
+    let participants;
+
+    try {
+      participants = await zoom.getPastMeetingParticipants(uuid);
+    } catch (error) {
+      // Zoom answers "meeting not found" until the report is generated. Unlike
+      // the 404 ZoomApiError, this error isn't marked unretryable, so the job tries again.
+      if (error.status === 404 || error.code === 3001) {
+        throw new AttendanceReportError('Zoom has not generated the participant report yet', {
+          status: 409,
+          code: 'REPORT_NOT_READY'
+        });
+      }
+      throw error;
+    }
+
+    const attendees = await attendanceService.applyParticipantReport(event, participants);
+
+    await prisma.event.update({
+      where: { id: event.id },
+      data: { attendanceImportedAt: new Date() }
+    });
+
+    return {
+      participants: participants.length,
+      attendeesUpdated: attendees.length
+    };
+  }
+
+  // Registered vs attended for an event, with each person's segments merged
+  // into total minutes and their Q&A and poll activity. Participants who
+  // didn't match a registration are guests.
+  async buildReport(event) {
+    const [attendees, segments, asked, answered, questions, polls] = await Promise.all([
+      prisma.attendee.findMany({
+        where: { eventId: event.id, status: { in: REPORTED_STATUSES } },
+        orderBy: { email: 'asc' }
+      }),
+      prisma.attendanceSegment.findMany({
+        where: { eventId: event.id, joinedAt: { not: null } },
+        orderBy: { joinedAt: 'asc' }
+      }),
+      prisma.question.groupBy({
+        by: ['attendeeId'],
+        where: { eventId: event.id },
+        _count: { _all: true }
+      }),
+      prisma.pollVote.groupBy({
+        by: ['attendeeId', 'pollId'],
+        where: { poll: { eventId: event.id } }
+      }),
+      questionService.listForModerator(event.id),
+      pollService.listForEvent(event.id)
+    ]);
+
+    const askedBy = new Map(asked.map(q => [q.attendeeId, q._count._all]));
+    const answeredBy = new Map();
+    for (const { attendeeId } of answered) {
+      answeredBy.set(attendeeId, (answeredBy.get(attendeeId) || 0) + 1);
+    }
+
+    // Open segments of a meeting that is still running count up to now
+    const until = event.actualEndTime || new Date();
+
+    const summarize = (personSegments) => {
+      const lastLeave = personSegments
+        .filter(s => s.leftAt)
+        .reduce((latest, s) => (!latest || s.leftAt > latest ? s.leftAt : latest), null);
+
+      return {
+        attended: personSegments.length > 0,
+        firstJoinedAt: personSegments[0]?.joinedAt || null,
+        lastLeftAt: lastLeave,
+        minutesAttended: Math.round(mergeSegments(personSegments, until) / 60),
+        joinCount: personSegments.length
+      };
+    };
+
+    const byAttendee = new Map();
+    const byGuest = new Map();
+
+    for (const segment of segments) {
+      const groups = segment.attendeeId ? byAttendee : byGuest;
+      const key = segment.attendeeId || segment.participantKey;
+
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(segment);
+    }
+
+    const registered = attendees.map(attendee => ({
+      attendeeId: attendee.id,
+      name: displayName(attendee),
+      email: attendee.email,
+      status: attendee.status,
+      ...summarize(byAttendee.get(attendee.id) || []),
+      questionsAsked: askedBy.get(attendee.id) || 0,
+      pollsAnswered: answeredBy.get(attendee.id) || 0
+    }));
+
+    const guests = [...byGuest.values()].map(guestSegments => ({
+      name: guestSegments[0].name || '',
+      email: guestSegments.find(s => s.email)?.email || null,
+      ...summarize(guestSegments)
+    }));
+
+    const attended = registered.filter(r => r.attended);
+    const totalMinutes = [...attended, ...guests].reduce((sum, r) => sum + r.minutesAttended, 0);
+    const participantCount = attended.length + guests.length;
+
+    return {
+      event: {
+        id: event.id,
+        title: event.title,
+        startTime: event.startTime,
+        endTime: event.endTime,
+        actualStartTime: event.actualStartTime,
+        actualEndTime: event.actualEndTime,
+        attendanceImportedAt: event.attendanceImportedAt
+      },
+      summary: {
+        registered: registered.length,
+        attended: attended.length,
+        noShows: registered.length - attended.length,
+        guests: guests.length,
+        attendanceRate: registered.length ? Math.round((attended.length / registered.length) * 100) : 0,
+        averageMinutes: participantCount ? Math.round(totalMinutes / participantCount) : 0
+      },
+      attendees: registered,
+      noShows: registered.filter(r => !r.attended),
+      guests,
+      questions,
+      polls: polls.filter(p => p.status !== 'draft')
+    };
+  }
+
+  // One flat row per person, for the CSV and XLSX exports
+  exportRows(report) {
+    return [
+      ...report.attendees.map(r => ({ ...r, type: 'Registered' })),
+      ...report.guests.map(r => ({ ...r, type: 'Guest', status: 'guest' }))
+    ].map(r => ({
+      type: r.type,
+      name: r.name,
+      email: r.email,
+      status: r.status,
+      attended: r.attended ? 'Yes' : 'No',
+      firstJoinedAt: r.firstJoinedAt,
+      lastLeftAt: r.lastLeftAt,
+      minutesAttended: r.minutesAttended,
+      joinCount: r.joinCount,
+      questionsAsked: r.questionsAsked,
+      pollsAnswered: r.pollsAnswered
+    }));
+  }
+
+  toCsv(report) {
+    const lines = [
+      EXPORT_COLUMNS.map(c => csvCell(c.header)).join(','),
+      ...this.exportRows(report).map(row => EXPORT_COLUMNS.map(c => csvCell(row[c.key])).join(','))
+    ];
+
+    // CRLF and a BOM so Excel opens it as UTF-8
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  // Workbook with the per-person sheet, a summary sheet, and the event's
+  // questions and poll results
+  async toXlsx(report) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Attendance');
+    sheet.columns = EXPORT_COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    sheet.addRows(this.exportRows(report));
+
+    for (const key of ['firstJoinedAt', 'lastLeftAt']) {
+      sheet.getColumn(key).numFmt = 'yyyy-mm-dd hh:mm:ss';
+    }
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [
+      { header: 'Metric', key: 'metric', width: 24 },
+      { header: 'Value', key: 'value', width: 32 }
+    ];
+    summary.getRow(1).font = { bold: true };
+    summary.addRows([
+      { metric: 'Event', value: report.event.title },
+      { metric: 'Scheduled start', value: report.event.startTime },
+      { metric: 'Registered', value: report.summary.registered },
+      { metric: 'Attended', value: report.summary.attended },
+      { metric: 'No-shows', value: report.summary.noShows },
+      { metric: 'Guests', value: report.summary.guests },
+      { metric: 'Attendance rate (%)', value: report.summary.attendanceRate },
+      { metric: 'Average minutes', value: report.summary.averageMinutes },
+      { metric: 'Questions asked', value: report.questions.length },
+      { metric: 'Polls run', value: report.polls.length }
+    ]);
+
+    const questions = workbook.addWorksheet('Questions');
+    questions.columns = [
+      { header: 'Question', key: 'body', width: 60 },
+      { header: 'Asked By', key: 'askedBy', width: 32 },
+      { header: 'Status', key: 'status', width: 12 },
+      { header: 'Pinned', key: 'pinned', width: 8 },
+      { header: 'Upvotes', key: 'upvoteCount', width: 10 },
+      { header: 'Answer', key: 'answer', width: 60 },
+      { header: 'Asked At', key: 'createdAt', width: 24 }
+    ];
+    questions.getRow(1).font = { bold: true };
+    questions.addRows(report.questions.map(q => ({
+      body: q.body,
+      askedBy: q.askedBy ? q.askedBy.email : '',
+      status: q.status,
+      pinned: q.pinned ? 'Yes' : 'No',
+      upvoteCount: q.upvoteCount,
+      answer: q.answer || '',
+      createdAt: q.createdAt
+    })));
+    questions.getColumn('createdAt').numFmt = 'yyyy-mm-dd hh:mm:ss';
+
+    // One row per option, under its poll's question
+    const polls = workbook.addWorksheet('Polls');
+    polls.columns = [
+      { header: 'Poll', key: 'question', width: 48 },
+      { header: 'Type', key: 'type', width: 10 },
+      { header: 'Option', key: 'option', width: 36 },
+      { header: 'Votes', key: 'votes', width: 8 },
+      { header: 'Percent of Respondents', key: 'percent', width: 22 },
+      { header: 'Respondents', key: 'respondents', width: 12 }
+    ];
+    polls.getRow(1).font = { bold: true };
+    polls.addRows(report.polls.flatMap(poll => poll.options.map(option => ({
+      question: poll.question,
+      type: poll.type,
+      option: option.text,
+      votes: option.votes,
+      percent: option.percent,
+      respondents: poll.respondents
+    }))));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new AttendanceReportService();
+module.exports.AttendanceReportError = AttendanceReportError;
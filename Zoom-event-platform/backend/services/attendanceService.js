@@ -0,0 +1,513 @@
+const { PrismaClient } = require('@prisma/client');
+const jobQueue = require('./jobQueue');
+const realtimeService = require('./realtimeService');
+
+const prisma = new PrismaClient();
+
+// Prisma error code for unique constraint violations
+const UNIQUE_VIOLATION = 'P2002';
+
+// Prefer the Zoom timestamp on the payload, fall back to the webhook's event_ts
+const toDate = (value, fallbackTs) => {
+  if (value) {
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) return date;
+  }
+  return fallbackTs ? new Date(fallbackTs) : new Date();
+};
+
+// participant_uuid is stable across rejoins within a meeting; user_id is per join
+const participantKey = (participant) => {
+  return String(
+    participant.participant_uuid ||
+    participant.participant_user_id ||
+    participant.user_id ||
+    participant.id ||
+    participant.email ||
+    participant.user_name
+  );
+};
+
+const isUniqueViolation = (error) => error && error.code === UNIQUE_VIOLATION;
+
+// Zoom's participant report is usually ready a few minutes after the meeting ends
+const REPORT_IMPORT_DELAY_MS = 10 * 60 * 1000;
+
+// Seconds covered by a person's segments, counting overlaps (e.g. joined from
+// two devices) once. Open segments count up to `until`, or are skipped without it.
+const mergeSegments = (segments, until = null) => {
+  const spans = segments
+    .filter(s => s.joinedAt && (s.leftAt || until))
+    .map(s => [new Date(s.joinedAt).getTime(), new Date(s.leftAt || until).getTime()])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+
+  for (const [start, end] of spans) {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+    } else {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    }
+  }
+
+  if (current) total += current[1] - current[0];
+
+  return Math.round(total / 1000);
+};
+
+class AttendanceService {
+  // Find the platform event backing a Zoom meeting instance. Occurrences of a
+  // recurring meeting share its ID, so they are told apart by the instance UUID
+  // (recorded on meeting.started) or, failing that, the closest scheduled start.
+  async findEventForMeeting(meeting) {
+    if (!meeting || !meeting.id) return null;
+
+    const candidates = await prisma.event.findMany({
+      where: { zoomMeetingId: String(meeting.id) },
+      orderBy: { startTime: 'asc' }
+    });
+
+    if (candidates.length <= 1) {
+      return candidates[0] || null;
+    }
+
+    const byUuid = meeting.uuid && candidates.find(e => e.zoomMeetingUuid === meeting.uuid);
+    if (byUuid) return byUuid;
+
+    const reference = meeting.start_time ? new Date(meeting.start_time) : new Date();
+    const open = candidates.filter(e => e.status !== 'cancelled');
+
+    return (open.length ? open : candidates).reduce((closest, e) => {
+      return Math.abs(e.startTime - reference) < Math.abs(closest.startTime - reference) ? e : closest;
+    });
+  }
+
+  // Match a Zoom participant to a registered attendee, by registrant ID then email
+  async matchAttendee(eventId, participant) {
+    if (participant.registrant_id) {
+      const attendee = await prisma.attendee.findFirst({
+        where: { eventId, zoomRegistrantId: participant.registrant_id }
+      });
+      if (attendee) return attendee;
+    }
+
+    if (!participant.email) return null;
+
+    return prisma.attendee.findUnique({
+      where: {
+        email_eventId: {
+          email: participant.email.toLowerCase(),
+          eventId
+        }
+      }
+    });
+  }
+
+  // Write an Analytics row for the event
+  async recordMetric(eventId, metricType, value, timestamp = new Date()) {
+    return prisma.analytics.create({
+      data: {
+        eventId,
+        metricType,
+        value,
+        timestamp
+      }
+    });
+  }
+
+  // Number of participants currently inside the meeting
+  async countConcurrentParticipants(eventId) {
+    return prisma.attendanceSegment.count({
+      where: {
+        eventId,
+        joinedAt: { not: null },
+        leftAt: null
+      }
+    });
+  }
+
+  // Handle meeting.started
+  async handleMeetingStarted(payload, eventTs) {
+    const meeting = payload.object;
+    const event = await this.findEventForMeeting(meeting);
+
+    if (!event) {
+      console.warn(`meeting.started for unknown Zoom meeting ${meeting.id}`);
+      return null;
+    }
+
+    const startedAt = toDate(meeting.start_time, eventTs);
+
+    // Only a scheduled event can go live, so a duplicate delivery or one that
+    // arrives after meeting.ended never reopens the event
+    const { count } = await prisma.event.updateMany({
+      where: { id: event.id, status: 'scheduled' },
+      data: {
+        status: 'live',
+        actualStartTime: startedAt,
+        zoomMeetingUuid: meeting.uuid
+      }
+    });
+
+    if (count === 0) {
+      // meeting.ended got here first; keep its status but fill in the start
+      await prisma.event.updateMany({
+        where: { id: event.id, actualStartTime: null },
+        data: { actualStartTime: startedAt, zoomMeetingUuid: meeting.uuid }
+      });
+      return event;
+    }
+
+    await this.recordMetric(event.id, 'meeting_started', 0, startedAt);
+    realtimeService.publish(event.id, 'event.status', { status: 'live', actualStartTime: startedAt });
+    return event;
+  }
+
+  // Handle meeting.ended
+  async handleMeetingEnded(payload, eventTs) {
+    const meeting = payload.object;
+    const event = await this.findEventForMeeting(meeting);
+
+    if (!event) {
+      console.warn(`meeting.ended for unknown Zoom meeting ${meeting.id}`);
+      return null;
+    }
+
+    const endedAt = toDate(meeting.end_time, eventTs);
+
+    const { count } = await prisma.event.updateMany({
+      where: {
+        id: event.id,
+        status: { in: ['scheduled', 'live'] }
+      },
+      data: {
+        status: 'completed',
+        actualEndTime: endedAt,
+        zoomMeetingUuid: meeting.uuid
+      }
+    });
+
+    // Backfill the start time when meeting.started was never delivered
+    if (meeting.start_time) {
+      await prisma.event.updateMany({
+        where: { id: event.id, actualStartTime: null },
+        data: { actualStartTime: toDate(meeting.start_time, eventTs) }
+      });
+    }
+
+    if (count === 0) {
+      return event;
+    }
+
+    // Anyone still inside left when the meeting ended
+    const openSegments = await prisma.attendanceSegment.findMany({
+      where: { eventId: event.id, leftAt: null, joinedAt: { not: null } }
+    });
+
+    for (const segment of openSegments) {
+      await this.closeSegment(segment, endedAt);
+    }
+
+    const attendeeIds = [...new Set(openSegments.map(s => s.attendeeId).filter(Boolean))];
+    for (const attendeeId of attendeeIds) {
+      await this.refreshAttendee(attendeeId);
+    }
+
+    const uniqueParticipants = await prisma.attendanceSegment.groupBy({
+      by: ['participantKey'],
+      where: { eventId: event.id }
+    });
+
+    const startedAt = event.actualStartTime || toDate(meeting.start_time, eventTs);
+    const durationMinutes = Math.max(0, Math.round((endedAt - startedAt) / (1000 * 60)));
+
+    await this.recordMetric(event.id, 'meeting_ended', durationMinutes, endedAt);
+    await this.recordMetric(event.id, 'unique_participants', uniqueParticipants.length, endedAt);
+    realtimeService.publish(event.id, 'event.status', { status: 'completed', actualEndTime: endedAt });
+
+    // The scheduled no-show sweep skips live events; nobody can join now.
+    // Same key scheme as jobHandlers.eventJobKey, so deleting the event drops the jobs.
+    await jobQueue.enqueue('event.markNoShows', { eventId: event.id }, {
+      uniqueKey: `event:${event.id}:noShows`
+    });
+
+    // Fill in anything the live webhooks missed from Zoom's report
+    if (meeting.uuid) {
+      await jobQueue.enqueue('zoom.importParticipantReport', { eventId: event.id, meetingUuid: meeting.uuid }, {
+        runAt: new Date(endedAt.getTime() + REPORT_IMPORT_DELAY_MS),
+        uniqueKey: `event:${event.id}:participantReport`
+      });
+    }
+
+    return event;
+  }
+
+  // Handle meeting.participant_joined
+  async handleParticipantJoined(payload, eventTs) {
+    const meeting = payload.object;
+    const participant = meeting.participant || {};
+    const event = await this.findEventForMeeting(meeting);
+
+    if (!event) {
+      console.warn(`participant_joined for unknown Zoom meeting ${meeting.id}`);
+      return null;
+    }
+
+    const key = participantKey(participant);
+    const joinedAt = toDate(participant.join_time, eventTs);
+    const attendee = await this.matchAttendee(event.id, participant);
+
+    // An out-of-order participant_left may already be waiting for this join
+    const pending = await prisma.attendanceSegment.findFirst({
+      where: {
+        eventId: event.id,
+        participantKey: key,
+        joinedAt: null,
+        leftAt: { gte: joinedAt }
+      },
+      orderBy: { leftAt: 'asc' }
+    });
+
+    let segment;
+
+    try {
+      if (pending) {
+        segment = await prisma.attendanceSegment.update({
+          where: { id: pending.id },
+          data: {
+            joinedAt,
+            durationSeconds: Math.round((pending.leftAt - joinedAt) / 1000),
+            attendeeId: pending.attendeeId || attendee?.id
+          }
+        });
+      } else {
+        segment = await prisma.attendanceSegment.create({
+          data: {
+            eventId: event.id,
+            attendeeId: attendee?.id,
+            participantKey: key,
+            name: participant.user_name,
+            email: participant.email ? participant.email.toLowerCase() : null,
+            joinedAt
+          }
+        });
+      }
+    } catch (error) {
+      // Same join delivered twice
+      if (isUniqueViolation(error)) return event;
+      throw error;
+    }
+
+    if (segment.attendeeId) {
+      await this.refreshAttendee(segment.attendeeId);
+    }
+
+    const concurrent = await this.countConcurrentParticipants(event.id);
+    await this.recordMetric(event.id, 'participant_joined', concurrent, joinedAt);
+    realtimeService.publish(event.id, 'participant.joined', {
+      name: participant.user_name,
+      attendeeId: segment.attendeeId,
+      joinedAt,
+      currentParticipants: concurrent
+    });
+
+    return event;
+  }
+
+  // Handle meeting.participant_left
+  async handleParticipantLeft(payload, eventTs) {
+    const meeting = payload.object;
+    const participant = meeting.participant || {};
+    const event = await this.findEventForMeeting(meeting);
+
+    if (!event) {
+      console.warn(`participant_left for unknown Zoom meeting ${meeting.id}`);
+      return null;
+    }
+
+    const key = participantKey(participant);
+    const leftAt = toDate(participant.leave_time, eventTs);
+
+    const open = await prisma.attendanceSegment.findFirst({
+      where: {
+        eventId: event.id,
+        participantKey: key,
+        leftAt: null,
+        joinedAt: { lte: leftAt }
+      },
+      orderBy: { joinedAt: 'desc' }
+    });
+
+    let segment = open;
+
+    try {
+      if (open) {
+        const closed = await this.closeSegment(open, leftAt);
+        if (!closed) return event;
+      } else if (event.status === 'completed') {
+        // meeting.ended already closed this participant's segment
+        return event;
+      } else {
+        // The join hasn't arrived yet; park the leave until it does
+        const attendee = await this.matchAttendee(event.id, participant);
+        segment = await prisma.attendanceSegment.create({
+          data: {
+            eventId: event.id,
+            attendeeId: attendee?.id,
+            participantKey: key,
+            name: participant.user_name,
+            email: participant.email ? participant.email.toLowerCase() : null,
+            leftAt
+          }
+        });
+      }
+    } catch (error) {
+      // Same leave delivered twice
+      if (isUniqueViolation(error)) return event;
+      throw error;
+    }
+
+    if (segment.attendeeId) {
+      await this.refreshAttendee(segment.attendeeId);
+    }
+
+    const concurrent = await this.countConcurrentParticipants(event.id);
+    await this.recordMetric(event.id, 'participant_left', concurrent, leftAt);
+    realtimeService.publish(event.id, 'participant.left', {
+      name: participant.user_name,
+      attendeeId: segment.attendeeId,
+      leftAt,
+      currentParticipants: concurrent
+    });
+
+    if (open) {
+      await this.recordMetric(event.id, 'attendance_duration', Math.round((leftAt - open.joinedAt) / 1000), leftAt);
+    }
+
+    return event;
+  }
+
+  // Close an open segment; returns false when another delivery closed it first
+  async closeSegment(segment, leftAt) {
+    const { count } = await prisma.attendanceSegment.updateMany({
+      where: { id: segment.id, leftAt: null },
+      data: {
+        leftAt,
+        durationSeconds: Math.max(0, Math.round((leftAt - segment.joinedAt) / 1000))
+      }
+    });
+
+    return count > 0;
+  }
+
+  // Replace the event's segments with Zoom's post-meeting participant report
+  // (one row per join/leave span), which also covers webhooks that never
+  // arrived. Returns the attendees whose attendance was recalculated.
+  async applyParticipantReport(event, participants) {
+    const rows = participants
+      .filter(p => p.join_time && p.status !== 'in_waiting_room')
+      .map(p => ({ ...p, email: p.user_email, user_name: p.name }));
+
+    // An empty report would only erase what the webhooks recorded
+    if (rows.length === 0) return [];
+
+    const attendeeIds = new Set();
+    const matched = new Map();
+    const seen = new Set();
+    const data = [];
+
+    for (const row of rows) {
+      const key = participantKey(row);
+      const joinedAt = toDate(row.join_time);
+      const leftAt = row.leave_time ? toDate(row.leave_time) : null;
+
+      if (seen.has(`${key}:${joinedAt.getTime()}`)) continue;
+      seen.add(`${key}:${joinedAt.getTime()}`);
+
+      if (!matched.has(key)) {
+        matched.set(key, await this.matchAttendee(event.id, row));
+      }
+      const attendee = matched.get(key);
+      if (attendee) attendeeIds.add(attendee.id);
+
+      data.push({
+        eventId: event.id,
+        attendeeId: attendee?.id,
+        participantKey: key,
+        name: row.name,
+        email: row.email ? row.email.toLowerCase() : null,
+        joinedAt,
+        leftAt,
+        durationSeconds: leftAt ? Math.max(0, Math.round((leftAt - joinedAt) / 1000)) : null
+      });
+    }
+
+    const previous = await prisma.attendanceSegment.findMany({
+      where: { eventId: event.id, attendeeId: { not: null } },
+      select: { attendeeId: true },
+      distinct: ['attendeeId']
+    });
+    previous.forEach(s => attendeeIds.add(s.attendeeId));
+
+    await prisma.$transaction([
+      prisma.attendanceSegment.deleteMany({ where: { eventId: event.id } }),
+      prisma.attendanceSegment.createMany({ data, skipDuplicates: true })
+    ]);
+
+    const refreshed = [];
+    for (const attendeeId of attendeeIds) {
+      refreshed.push(await this.refreshAttendee(attendeeId) || await this.clearAttendance(attendeeId));
+    }
+
+    return refreshed.filter(Boolean);
+  }
+
+  // Undo attendance the report no longer backs (the webhooks had matched a
+  // participant it doesn't list). Back to registered, so the no-show sweep
+  // that follows the import picks them up.
+  async clearAttendance(attendeeId) {
+    const { count } = await prisma.attendee.updateMany({
+      where: { id: attendeeId, status: { in: ['joined', 'left'] } },
+      data: {
+        status: 'registered',
+        joinedAt: null,
+        leftAt: null,
+        minutesAttended: 0
+      }
+    });
+
+    return count > 0 ? prisma.attendee.findUnique({ where: { id: attendeeId } }) : null;
+  }
+
+  // Derive the attendee's status, first join / last leave and minutes attended from their segments
+  async refreshAttendee(attendeeId) {
+    const segments = await prisma.attendanceSegment.findMany({
+      where: { attendeeId, joinedAt: { not: null } },
+      orderBy: { joinedAt: 'asc' }
+    });
+
+    if (segments.length === 0) return null;
+
+    const isInside = segments.some(s => !s.leftAt);
+    const lastLeave = segments
+      .filter(s => s.leftAt)
+      .reduce((latest, s) => (!latest || s.leftAt > latest ? s.leftAt : latest), null);
+
+    return prisma.attendee.update({
+      where: { id: attendeeId },
+      data: {
+        status: isInside ? 'joined' : 'left',
+        joinedAt: segments[0].joinedAt,
+        leftAt: isInside ? null : lastLeave,
+        minutesAttended: Math.round(mergeSegments(segments) / 60)
+      }
+    });
+  }
+}
+
+module.exports = new AttendanceService();
+module.exports.mergeSegments = mergeSegments;
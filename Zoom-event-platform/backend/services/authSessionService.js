@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ended sessions are kept this long so users can see recent sign-outs
+const ENDED_RETENTION_DAYS = 30;
+
+// Sign-in, refresh or revocation that can't be honoured; routes turn it into a response
+class AuthSessionError extends Error {
+  constructor(message, { status = 401, code } = {}) {
+    super(message);
+    this.name = 'AuthSessionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const ACTIVE_WHERE = () => ({
+  revokedAt: null,
+  expiresAt: { gt: new Date() }
+});
+
+// Short-lived access tokens (JWTs) paired with opaque refresh tokens that
+// rotate on every use. Each sign-in is a session; revoking it stops its
+// refresh token straight away and its access token once that expires.
+class AuthSessionService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+    // Concurrent refreshes from two tabs present the same token; not theft
+    this.reuseGraceSeconds = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS || '10', 10);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // JWT for API calls; sid tells the user's devices apart
+  signAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  // A new refresh token for the session; only its hash is stored
+  async issueRefreshToken(sessionId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await prisma.refreshToken.create({
+      data: { sessionId, tokenHash: this.hashToken(token) }
+    });
+
+    return token;
+  }
+
+  // Token pair for a response
+  tokensFor(session, refreshToken) {
+    return {
+      token: this.signAccessToken(session.userId, session.id),
+      refreshToken,
+      expiresIn: this.accessTokenTtl,
+      sessionId: session.id
+    };
+  }
+
+  refreshExpiry(now = new Date()) {
+    return new Date(now.getTime() + this.refreshTokenTtlDays * DAY_MS);
+  }
+
+  // Sign a user in on a device
+  async create(userId, { userAgent, ipAddress } = {}) {
+    const session = await prisma.authSession.create({
+      data: {
+        userId,
+        userAgent: userAgent ? userAgent.slice(0, 500) : null,
+        ipAddress,
+        lastIp: ipAddress,
+        expiresAt: this.refreshExpiry()
+      }
+    });
+
+    const refreshToken = await this.issueRefreshToken(session.id);
+    await this.prune(userId);
+
+    return this.tokensFor(session, refreshToken);
+  }
+
+  // Trade a refresh token for a new pair. A token presented twice has leaked,
+  // so the whole session is revoked and neither copy works again.
+  async refresh(refreshToken, { ipAddress } = {}) {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: this.hashToken(String(refreshToken)) },
+      include: { session: true }
+    });
+
+    if (!stored) {
+      throw new AuthSessionError('Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const { session } = stored;
+    const now = new Date();
+
+    if (session.revokedAt || session.expiresAt <= now) {
+      throw new AuthSessionError('Session has ended; sign in again', { code: 'SESSION_ENDED' });
+    }
+
+    if (stored.usedAt) {
+      return this.handleReuse(stored, session);
+    }
+
+    // Guarded on usedAt so two requests can't both rotate the same token
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: now }
+    });
+
+    if (count === 0) {
+      return this.handleReuse(await prisma.refreshToken.findUnique({ where: { id: stored.id } }), session);
+    }
+
+    const next = await this.issueRefreshToken(session.id);
+
+    const [updated] = await prisma.$transaction([
+      prisma.authSession.update({
+        where: { id: session.id },
+        data: {
+          lastUsedAt: now,
+          ...(ipAddress && { lastIp: ipAddress }),
+          expiresAt: this.refreshExpiry(now)
+        }
+      }),
+      // Rotated tokens are only kept as long as a live one would be
+      prisma.refreshToken.deleteMany({
+        where: {
+          sessionId: session.id,
+          usedAt: { lt: new Date(now.getTime() - this.refreshTokenTtlDays * DAY_MS) }
+        }
+      })
+    ]);
+
+    return this.tokensFor(updated, next);
+  }
+
+  async handleReuse(stored, session) {
+    if (Date.now() - stored.usedAt.getTime() < this.reuseGraceSeconds * 1000) {
+      throw new AuthSessionError('Refresh token was just rotated; use the new one', {
+        status: 409,
+        code: 'REFRESH_IN_PROGRESS'
+      });
+    }
+
+    await this.revoke(session.id, 'token_reuse');
+    console.warn(`Refresh token reuse on session ${session.id} of user ${session.userId}; session revoked`);
+
+    throw new AuthSessionError('Refresh token was already used; sign in again', { code: 'REFRESH_TOKEN_REUSED' });
+  }
+
+  // End a session; ending one twice is a no-op
+  async revoke(sessionId, reason) {
+    return prisma.authSession.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+  }
+
+  // Log out the session a refresh token belongs to. Unknown tokens are
+  // ignored, so logging out is always safe to repeat.
+  async logout(refreshToken) {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: this.hashToken(String(refreshToken)) }
+    });
+
+    if (stored) {
+      await this.revoke(stored.sessionId, 'logout');
+    }
+  }
+
+  // The user's signed-in devices, most recently used first
+  async listForUser(userId) {
+    return prisma.authSession.findMany({
+      where: { userId, ...ACTIVE_WHERE() },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        lastIp: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        createdAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+  }
+
+  // Revoke one of the user's own sessions
+  async revokeForUser(userId, sessionId) {
+    const { count } = await prisma.authSession.updateMany({
+      where: { id: sessionId, userId, ...ACTIVE_WHERE() },
+      data: { revokedAt: new Date(), revokedReason: 'revoked' }
+    });
+
+    if (count === 0) {
+      throw new AuthSessionError('Session not found', { status: 404, code: 'SESSION_NOT_FOUND' });
+    }
+  }
+
+  // Revoke every session of the user, optionally keeping one (the caller's)
+  async revokeAll(userId, { except, reason = 'revoked' } = {}) {
+    const { count } = await prisma.authSession.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(except && { id: { not: except } })
+      },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    return count;
+  }
+
+  // Forget sessions that ended a while ago
+  async prune(userId) {
+    const cutoff = new Date(Date.now() - ENDED_RETENTION_DAYS * DAY_MS);
+
+    await prisma.authSession.deleteMany({
+      where: {
+        userId,
+        OR: [{ revokedAt: { lt: cutoff } }, { expiresAt: { lt: cutoff } }]
+      }
+    });
+  }
+}
+
+module.exports = new AuthSessionService();
+module.exports.AuthSessionError = AuthSessionError;
@@ -0,0 +1,493 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { PrismaClient } = require('@prisma/client');
+const entitlementService = require('./entitlementService');
+const notificationService = require('./notificationService');
+
+const prisma = new PrismaClient();
+
+// Plans that can be bought; trial is the free tier
+const PAID_PLANS = ['standard', 'pro'];
+const PLAN_RANK = { trial: 0, standard: 1, pro: 2 };
+
+// Provider subscription status -> Subscription.status
+const STATUS_MAP = {
+  active: 'active',
+  trialing: 'active',
+  past_due: 'past_due',
+  canceled: 'cancelled',
+  unpaid: 'expired',
+  incomplete_expired: 'expired'
+};
+
+// Billing request that can't be honoured, or a provider failure
+class BillingError extends Error {
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = 'BillingError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Provider params as form fields, with nested keys in bracket notation
+const encodeForm = (params, prefix, pairs = []) => {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+
+    const name = prefix ? `${prefix}[${key}]` : key;
+
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      encodeForm(value, name, pairs);
+    } else {
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value instanceof Date ? Math.floor(value / 1000) : value)}`);
+    }
+  }
+
+  return pairs.join('&');
+};
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+class BillingService {
+  constructor() {
+    // Point STRIPE_API_BASE at a local mock to test without the real provider
+    this.apiBase = process.env.STRIPE_API_BASE || 'https://api.stripe.com';
+    this.secretKey = process.env.STRIPE_SECRET_KEY;
+    this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    this.webhookToleranceSeconds = parseInt(process.env.STRIPE_WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+    this.prices = {
+      standard: process.env.STRIPE_PRICE_STANDARD,
+      pro: process.env.STRIPE_PRICE_PRO
+    };
+  }
+
+  // Call the provider API with form-encoded params
+  async request(method, path, params = {}) {
+    if (!this.secretKey) {
+      throw new BillingError('Billing is not configured', { status: 503, code: 'BILLING_NOT_CONFIGURED' });
+    }
+
+    const form = encodeForm(params);
+    const inQuery = method === 'GET' || method === 'DELETE';
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.apiBase}/v1${path}${inQuery && form ? `?${form}` : ''}`,
+        headers: {
+          Authorization: `Bearer ${this.secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        ...(!inQuery && { data: form })
+      });
+
+      return response.data;
+    } catch (error) {
+      const providerError = error.response?.data?.error;
+
+      throw new BillingError(providerError?.message || `Payment provider request failed: ${error.message}`, {
+        status: 502,
+        code: providerError?.code || 'PROVIDER_ERROR'
+      });
+    }
+  }
+
+  priceForPlan(plan) {
+    if (!PAID_PLANS.includes(plan)) {
+      throw new BillingError(`Plan must be one of ${PAID_PLANS.join(', ')}`, { code: 'INVALID_PLAN' });
+    }
+
+    if (!this.prices[plan]) {
+      throw new BillingError(`No price is configured for the ${plan} plan`, { status: 503, code: 'BILLING_NOT_CONFIGURED' });
+    }
+
+    return this.prices[plan];
+  }
+
+  planForPrice(priceId) {
+    return Object.keys(this.prices).find(plan => this.prices[plan] === priceId) || null;
+  }
+
+  // The provider customer for the organization, created on first checkout.
+  // Receipts go to the member who started it.
+  async ensureCustomer(organization, userId) {
+    const subscription = await entitlementService.getSubscription(organization.id);
+    if (subscription.providerCustomerId) return subscription.providerCustomerId;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    const customer = await this.request('POST', '/customers', {
+      email: user.email,
+      name: organization.name,
+      metadata: { organizationId: organization.id, userId }
+    });
+
+    await prisma.subscription.update({
+      where: { organizationId: organization.id },
+      data: { providerCustomerId: customer.id }
+    });
+
+    return customer.id;
+  }
+
+  // Hosted checkout for an organization without a paid subscription
+  async createCheckoutSession(organization, userId, plan) {
+    const price = this.priceForPlan(plan);
+    const subscription = await entitlementService.getSubscription(organization.id);
+
+    if (subscription.providerSubscriptionId && ['active', 'past_due'].includes(subscription.status)) {
+      throw new BillingError('You already have a paid subscription; change its plan instead', {
+        status: 409,
+        code: 'ALREADY_SUBSCRIBED'
+      });
+    }
+
+    const customer = await this.ensureCustomer(organization, userId);
+    const billingUrl = `${process.env.FRONTEND_URL}/settings/billing`;
+
+    const session = await this.request('POST', '/checkout/sessions', {
+      mode: 'subscription',
+      customer,
+      client_reference_id: organization.id,
+      line_items: [{ price, quantity: 1 }],
+      metadata: { organizationId: organization.id, plan },
+      subscription_data: { metadata: { organizationId: organization.id, plan } },
+      success_url: `${billingUrl}?checkout=success`,
+      cancel_url: `${billingUrl}?checkout=cancelled`
+    });
+
+    return { id: session.id, url: session.url };
+  }
+
+  // The organization's live provider subscription, or a 409
+  async getProviderSubscription(organizationId) {
+    const subscription = await entitlementService.getSubscription(organizationId);
+
+    if (!subscription.providerSubscriptionId) {
+      throw new BillingError('No paid subscription to change', { status: 409, code: 'NO_SUBSCRIPTION' });
+    }
+
+    return this.request('GET', `/subscriptions/${subscription.providerSubscriptionId}`);
+  }
+
+  // Price change params shared by the preview and the change itself.
+  // Upgrades are invoiced straight away for the prorated difference, and the
+  // provider only switches the price once that invoice is paid; downgrades
+  // credit the unused time to the next invoice.
+  planChangeParams(providerSubscription, currentPlan, plan) {
+    const upgrade = PLAN_RANK[plan] > PLAN_RANK[currentPlan];
+
+    return {
+      items: [{ id: providerSubscription.items.data[0].id, price: this.priceForPlan(plan) }],
+      proration_behavior: upgrade ? 'always_invoice' : 'create_prorations',
+      ...(upgrade && { payment_behavior: 'pending_if_incomplete' })
+    };
+  }
+
+  // What a mid-cycle plan change would cost now
+  async previewPlanChange(organizationId, plan) {
+    const providerSubscription = await this.getProviderSubscription(organizationId);
+    const { plan: currentPlan } = await entitlementService.getSubscription(organizationId);
+    const { items, proration_behavior: prorationBehavior } = this.planChangeParams(providerSubscription, currentPlan, plan);
+
+    const invoice = await this.request('POST', '/invoices/create_preview', {
+      customer: providerSubscription.customer,
+      subscription: providerSubscription.id,
+      subscription_details: {
+        items,
+        proration_behavior: prorationBehavior,
+        proration_date: Math.floor(Date.now() / 1000)
+      }
+    });
+
+    return {
+      plan,
+      currency: invoice.currency,
+      amountDue: invoice.amount_due,
+      prorations: (invoice.lines?.data || [])
+        .filter(line => line.proration || line.parent?.subscription_item_details?.proration)
+        .map(line => ({ description: line.description, amount: line.amount })),
+      chargedNow: prorationBehavior === 'always_invoice'
+    };
+  }
+
+  // Move a paid subscription to another paid plan, prorated. An upgrade whose
+  // invoice isn't paid straight away (declined, or needs 3-D Secure) stays
+  // pending on the old plan; paymentUrl is where to finish paying.
+  async changePlan(organizationId, plan) {
+    const providerSubscription = await this.getProviderSubscription(organizationId);
+    const { plan: currentPlan } = await entitlementService.getSubscription(organizationId);
+
+    if (currentPlan === plan) {
+      throw new BillingError(`You are already on the ${plan} plan`, { status: 409, code: 'SAME_PLAN' });
+    }
+
+    // A pending update can't carry other changes, so a scheduled
+    // cancellation is undone on its own first
+    if (providerSubscription.cancel_at_period_end) {
+      await this.request('POST', `/subscriptions/${providerSubscription.id}`, { cancel_at_period_end: false });
+    }
+
+    const updated = await this.request('POST', `/subscriptions/${providerSubscription.id}`, {
+      ...this.planChangeParams(providerSubscription, currentPlan, plan),
+      expand: ['latest_invoice']
+    });
+
+    // The price on a pending update isn't applied yet, so the sync keeps the
+    // old plan; the webhook after invoice.paid moves it. Syncing now saves
+    // waiting for the webhook when the change went through.
+    const subscription = await this.syncSubscription(updated);
+
+    return {
+      subscription,
+      pending: Boolean(updated.pending_update),
+      paymentUrl: updated.pending_update ? updated.latest_invoice?.hosted_invoice_url || null : null
+    };
+  }
+
+  // Cancel at the end of the paid period (the default), or straight away
+  async cancel(organizationId, { atPeriodEnd = true } = {}) {
+    const subscription = await entitlementService.getSubscription(organizationId);
+
+    if (!subscription.providerSubscriptionId) {
+      throw new BillingError('No paid subscription to cancel', { status: 409, code: 'NO_SUBSCRIPTION' });
+    }
+
+    const updated = atPeriodEnd
+      ? await this.request('POST', `/subscriptions/${subscription.providerSubscriptionId}`, { cancel_at_period_end: true })
+      : await this.request('DELETE', `/subscriptions/${subscription.providerSubscriptionId}`);
+
+    return this.syncSubscription(updated);
+  }
+
+  // Undo a cancellation that hasn't taken effect yet
+  async resume(organizationId) {
+    const providerSubscription = await this.getProviderSubscription(organizationId);
+
+    if (!providerSubscription.cancel_at_period_end) {
+      throw new BillingError('The subscription is not set to cancel', { status: 409, code: 'NOT_CANCELLING' });
+    }
+
+    const updated = await this.request('POST', `/subscriptions/${providerSubscription.id}`, { cancel_at_period_end: false });
+
+    return this.syncSubscription(updated);
+  }
+
+  // Check the Stripe-Signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">.
+  // Any v1 entry may match, so the secret can be rotated.
+  verifySignature(rawBody, header, secret = this.webhookSecret, toleranceSeconds = this.webhookToleranceSeconds) {
+    if (!secret || !header) return false;
+
+    const parts = String(header).split(',').map(part => part.trim().split('='));
+    const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1], 10);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    // Reject stale or future-dated requests so captured deliveries can't be replayed later
+    if (isNaN(timestamp) || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+    );
+
+    return signatures.some((signature) => {
+      const received = Buffer.from(signature);
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  }
+
+  // Build a signature header, for local mocks and tests
+  signPayload(rawBody, secret = this.webhookSecret, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Handle a verified provider event. Subscription events re-read the
+  // subscription from the provider, so deliveries arriving out of order
+  // still leave the latest state.
+  async handleEvent(event) {
+    const object = event.data?.object || {};
+
+    switch (event.type) {
+      case 'checkout.session.completed':
+        if (object.mode === 'subscription' && object.subscription) {
+          await this.linkCheckout(object);
+        }
+        break;
+
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+        await this.refreshSubscription(object.id);
+        break;
+
+      case 'invoice.paid':
+        await this.handleInvoicePaid(object);
+        break;
+
+      case 'invoice.payment_failed':
+        await this.handlePaymentFailed(object);
+        break;
+
+      default:
+        console.log(`Unhandled billing event type: ${event.type}`);
+    }
+  }
+
+  // Tie a completed checkout's subscription to the organization that started it
+  async linkCheckout(session) {
+    const organizationId = parseInt(session.client_reference_id || session.metadata?.organizationId);
+    if (!organizationId) return null;
+
+    await entitlementService.getSubscription(organizationId);
+    await prisma.subscription.update({
+      where: { organizationId },
+      data: {
+        providerCustomerId: session.customer,
+        providerSubscriptionId: session.subscription
+      }
+    });
+
+    return this.refreshSubscription(session.subscription);
+  }
+
+  async refreshSubscription(providerSubscriptionId) {
+    const providerSubscription = await this.request('GET', `/subscriptions/${providerSubscriptionId}`);
+    return this.syncSubscription(providerSubscription);
+  }
+
+  // Find the account a provider subscription belongs to
+  findAccount(providerSubscription) {
+    const organizationId = parseInt(providerSubscription.metadata?.organizationId);
+
+    return prisma.subscription.findFirst({
+      where: {
+        OR: [
+          { providerSubscriptionId: providerSubscription.id },
+          { providerCustomerId: providerSubscription.customer },
+          ...(organizationId ? [{ organizationId }] : [])
+        ]
+      }
+    });
+  }
+
+  // Copy the provider's view of a subscription onto our Subscription row.
+  // The paid-through date becomes expiresAt, so a lapsed payment gets the
+  // usual grace period before the account is restricted.
+  async syncSubscription(providerSubscription) {
+    const account = await this.findAccount(providerSubscription);
+
+    if (!account) {
+      console.warn(`No account for provider subscription ${providerSubscription.id}`);
+      return null;
+    }
+
+    // A newer subscription already replaced this one, e.g. after a re-subscribe
+    if (account.providerSubscriptionId && account.providerSubscriptionId !== providerSubscription.id &&
+      providerSubscription.status === 'canceled') {
+      return account;
+    }
+
+    // Not paid for yet; the plan changes once the first invoice is paid
+    if (providerSubscription.status === 'incomplete') {
+      return account;
+    }
+
+    const item = providerSubscription.items?.data?.[0];
+    const plan = this.planForPrice(item?.price?.id) || account.plan;
+    const status = STATUS_MAP[providerSubscription.status] || account.status;
+    // Newer API versions report the period per item
+    const periodStart = fromUnix(providerSubscription.current_period_start || item?.current_period_start);
+    const periodEnd = fromUnix(providerSubscription.current_period_end || item?.current_period_end);
+
+    const newPeriod = periodStart && periodStart.getTime() !== account.currentPeriodStart.getTime();
+    const planChanged = plan !== account.plan;
+
+    const updated = await prisma.subscription.update({
+      where: { id: account.id },
+      data: {
+        plan,
+        status,
+        providerCustomerId: providerSubscription.customer,
+        providerSubscriptionId: providerSubscription.id,
+        cancelAtPeriodEnd: Boolean(providerSubscription.cancel_at_period_end),
+        ...(status !== 'past_due' && { pastDueSince: null }),
+        ...(periodEnd && { expiresAt: status === 'cancelled' ? fromUnix(providerSubscription.ended_at) || periodEnd : periodEnd }),
+        ...(newPeriod && {
+          currentPeriodStart: periodStart,
+          currentPeriodEnd: periodEnd,
+          // A fresh period resets usage; a plan change mid-period keeps it
+          eventsUsed: 0
+        })
+      }
+    });
+
+    if (planChanged) {
+      await entitlementService.applyDowngrade(account.organizationId);
+    }
+
+    return updated;
+  }
+
+  // Renewal (or first) payment went through
+  async handleInvoicePaid(invoice) {
+    const providerSubscriptionId = invoice.subscription || invoice.parent?.subscription_details?.subscription;
+    if (!providerSubscriptionId) return null;
+
+    return this.refreshSubscription(providerSubscriptionId);
+  }
+
+  // Renewal payment failed: mark the account past due and start dunning. The
+  // provider retries the charge; the account stays usable until the grace
+  // period after the paid-through date ends.
+  async handlePaymentFailed(invoice) {
+    const providerSubscriptionId = invoice.subscription || invoice.parent?.subscription_details?.subscription;
+    if (!providerSubscriptionId) return null;
+
+    const account = await prisma.subscription.findFirst({
+      where: { providerSubscriptionId },
+      include: {
+        organization: {
+          include: { members: { where: { role: 'owner' }, include: { user: true } } }
+        }
+      }
+    });
+
+    if (!account) return null;
+
+    const updated = await prisma.subscription.update({
+      where: { id: account.id },
+      data: {
+        status: 'past_due',
+        pastDueSince: account.pastDueSince || new Date()
+      }
+    });
+
+    const { graceEndsAt } = entitlementService.resolveState(updated);
+
+    // Every owner hears about it, not just whoever set up billing
+    for (const { user } of account.organization.members) {
+      await notificationService.send('paymentFailed', user.email, {
+        user,
+        organizationName: account.organization.name,
+        amountDue: invoice.amount_due,
+        currency: invoice.currency,
+        attemptCount: invoice.attempt_count,
+        nextAttemptAt: fromUnix(invoice.next_payment_attempt),
+        graceEndsAt,
+        billingUrl: invoice.hosted_invoice_url || `${process.env.FRONTEND_URL}/settings/billing`
+      }, { userId: user.id });
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new BillingService();
+module.exports.BillingError = BillingError;
+module.exports.PAID_PLANS = PAID_PLANS;
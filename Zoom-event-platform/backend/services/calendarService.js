@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { toZonedParts, getOffsetMs } = require('./timezone');
+
+const prisma = new PrismaClient();
+
+const PRODUCT_ID = '-//Zoom Event Platform//Events//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'zoom-event-platform';
+
+// How far back feeds reach for past events and cancellations
+const FEED_HISTORY_DAYS = 90;
+
+const RRULE_FREQ = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// TEXT value escaping (RFC 5545 3.3.11)
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // Don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.slice(start, end).toString('utf8'));
+    start = end;
+    limit = 74; // continuation lines start with a space
+  }
+
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+const formatLocal = (date, timeZone) => {
+  const p = toZonedParts(date, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+// A DATE-TIME property, in the event's zone unless it is UTC
+const dateProperty = (name, date, timeZone) => {
+  if (!timeZone || timeZone === 'UTC') {
+    return `${name}:${formatUtc(date)}`;
+  }
+  return `${name};TZID=${timeZone}:${formatLocal(date, timeZone)}`;
+};
+
+const formatOffset = (offsetMs) => {
+  const sign = offsetMs < 0 ? '-' : '+';
+  const minutes = Math.abs(offsetMs) / (1000 * 60);
+  return `${sign}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+class CalendarService {
+  // Stable UIDs so updates replace the entry already in the user's calendar
+  eventUid(eventId) {
+    return `event-${eventId}@${UID_DOMAIN}`;
+  }
+
+  seriesUid(seriesId) {
+    return `series-${seriesId}@${UID_DOMAIN}`;
+  }
+
+  // Hash a feed token for storage and lookup
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // VTIMEZONE with every UTC offset change between two instants. Offsets come
+  // from Intl, so the rules match what the server uses for recurrence.
+  buildTimezone(timeZone, from, to) {
+    if (!timeZone || timeZone === 'UTC') return [];
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const hour = 60 * 60 * 1000;
+    const start = Date.UTC(new Date(from).getUTCFullYear(), 0, 1);
+    const end = Date.UTC(new Date(to).getUTCFullYear() + 1, 0, 1);
+
+    const transitions = [];
+    let previous = getOffsetMs(new Date(start), timeZone);
+
+    // Scan by day, then narrow each change down to the hour it happens
+    for (let t = start + 24 * hour; t <= end; t += 24 * hour) {
+      const offset = getOffsetMs(new Date(t), timeZone);
+      if (offset === previous) continue;
+
+      let low = t - 24 * hour;
+      let high = t;
+      while (high - low > hour) {
+        const mid = low + Math.floor((high - low) / (2 * hour)) * hour;
+        if (getOffsetMs(new Date(mid), timeZone) === previous) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+
+      transitions.push({ at: new Date(high), from: previous, to: offset });
+      previous = offset;
+    }
+
+    if (transitions.length === 0) {
+      lines.push(
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        `TZOFFSETFROM:${formatOffset(previous)}`,
+        `TZOFFSETTO:${formatOffset(previous)}`,
+        'END:STANDARD'
+      );
+    }
+
+    for (const transition of transitions) {
+      // DTSTART is the wall-clock time just before the change
+      const local = new Date(transition.at.getTime() + transition.from);
+      const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${formatUtc(local).slice(0, -1)}`,
+        `TZOFFSETFROM:${formatOffset(transition.from)}`,
+        `TZOFFSETTO:${formatOffset(transition.to)}`,
+        `END:${kind}`
+      );
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  // Description with the join link appended
+  describe(description, joinUrl) {
+    return [description, joinUrl && `Join Zoom meeting: ${joinUrl}`].filter(Boolean).join('\n\n');
+  }
+
+  // VEVENT for one event (or one occurrence overriding a series)
+  buildEventComponent(event, { joinUrl = event.zoomMeetingUrl, uid = this.eventUid(event.id), recurrenceId } = {}) {
+    const timeZone = event.timezone || 'UTC';
+    const cancelled = event.status === 'cancelled';
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${formatUtc(new Date())}`,
+      ...(recurrenceId ? [dateProperty('RECURRENCE-ID', recurrenceId, timeZone)] : []),
+      dateProperty('DTSTART', event.startTime, timeZone),
+      dateProperty('DTEND', event.endTime, timeZone),
+      `SEQUENCE:${event.sequence || 0}`,
+      `SUMMARY:${escapeText(event.title)}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+
+    const description = this.describe(event.description, joinUrl);
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+    if (joinUrl && !cancelled) {
+      lines.push(`LOCATION:${escapeText(joinUrl)}`, `URL:${joinUrl}`);
+    }
+
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  // RRULE for a series
+  buildRecurrenceRule(series) {
+    const parts = [`FREQ=${RRULE_FREQ[series.recurrenceType]}`, `INTERVAL=${series.repeatInterval || 1}`];
+
+    if (series.recurrenceType === 'weekly' && series.weeklyDays) {
+      const days = series.weeklyDays.split(',').map(d => RRULE_DAYS[parseInt(d, 10) - 1]);
+      parts.push(`BYDAY=${days.join(',')}`);
+    }
+
+    if (series.recurrenceType === 'monthly' && series.monthlyDay) {
+      parts.push(`BYMONTHDAY=${series.monthlyDay}`);
+    }
+
+    if (series.endTimes) {
+      parts.push(`COUNT=${series.endTimes}`);
+    } else if (series.endDate) {
+      parts.push(`UNTIL=${formatUtc(series.endDate)}`);
+    }
+
+    return `RRULE:${parts.join(';')}`;
+  }
+
+  // A series as one recurring VEVENT, plus overrides for edited occurrences
+  // and EXDATEs for cancelled ones
+  async buildSeriesComponents(series) {
+    const occurrences = await prisma.event.findMany({
+      where: { seriesId: series.id },
+      orderBy: { startTime: 'asc' }
+    });
+
+    const cancelled = await prisma.calendarCancellation.findMany({
+      where: { seriesId: series.id, recurrenceId: { not: null } }
+    });
+
+    const timeZone = series.timezone || 'UTC';
+    const first = series.startTime;
+    const end = new Date(first.getTime() + series.durationMinutes * 60 * 1000);
+
+    const master = {
+      title: series.title,
+      description: series.description,
+      timezone: timeZone,
+      startTime: first,
+      endTime: end,
+      sequence: series.sequence,
+      updatedAt: series.updatedAt,
+      zoomMeetingUrl: occurrences[0]?.zoomMeetingUrl
+    };
+
+    const lines = this.buildEventComponent(master, { uid: this.seriesUid(series.id) });
+    const extra = [this.buildRecurrenceRule(series)];
+
+    for (const cancellation of cancelled) {
+      extra.push(dateProperty('EXDATE', cancellation.recurrenceId, timeZone));
+    }
+
+    // Insert after DTEND so the rule sits with the dates it expands
+    const dtendIndex = lines.findIndex(l => l.startsWith('DTEND'));
+    lines.splice(dtendIndex + 1, 0, ...extra);
+
+    for (const occurrence of occurrences) {
+      // Untouched occurrences are already produced by the RRULE
+      if (!occurrence.sequence && occurrence.status !== 'cancelled') continue;
+
+      lines.push(...this.buildEventComponent(occurrence, {
+        uid: this.seriesUid(series.id),
+        recurrenceId: occurrence.originalStartTime || occurrence.startTime
+      }));
+    }
+
+    return lines;
+  }
+
+  // VEVENT for a deleted event, from its tombstone
+  buildCancellationComponent(cancellation) {
+    return this.buildEventComponent({
+      title: cancellation.summary,
+      timezone: cancellation.timezone,
+      startTime: cancellation.startTime,
+      endTime: cancellation.endTime,
+      sequence: cancellation.sequence,
+      status: 'cancelled',
+      updatedAt: cancellation.cancelledAt
+    }, { uid: cancellation.uid, joinUrl: null });
+  }
+
+  // Wrap components into a VCALENDAR document
+  buildCalendar(components, { name, timeZones = [], range } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+    for (const timeZone of new Set(timeZones)) {
+      lines.push(...this.buildTimezone(timeZone, range?.from || new Date(), range?.to || new Date()));
+    }
+
+    lines.push(...components.flat(), 'END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  // Calendar for a single event or occurrence
+  eventCalendar(event, { joinUrl } = {}) {
+    return this.buildCalendar([this.buildEventComponent(event, { joinUrl })], {
+      name: event.title,
+      timeZones: [event.timezone],
+      range: { from: event.startTime, to: event.endTime }
+    });
+  }
+
+  // Calendar for a whole series
+  async seriesCalendar(series) {
+    const lastOccurrence = await prisma.event.findFirst({
+      where: { seriesId: series.id },
+      orderBy: { endTime: 'desc' }
+    });
+
+    return this.buildCalendar([await this.buildSeriesComponents(series)], {
+      name: series.title,
+      timeZones: [series.timezone],
+      range: { from: series.startTime, to: lastOccurrence?.endTime || series.startTime }
+    });
+  }
+
+  // Subscribable feed of everything the user organizes or is registered for
+  async userFeed(user) {
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    const [organized, series, registrations, cancellations] = await Promise.all([
+      prisma.event.findMany({
+        where: { userId: user.id, seriesId: null, endTime: { gte: since } }
+      }),
+      prisma.eventSeries.findMany({
+        where: { userId: user.id }
+      }),
+      prisma.attendee.findMany({
+        where: {
+          email: user.email,
+          status: { in: ['registered', 'joined', 'left'] },
+          event: { endTime: { gte: since } }
+        },
+        include: { event: true }
+      }),
+      prisma.calendarCancellation.findMany({
+        where: {
+          cancelledAt: { gte: since },
+          recurrenceId: null,
+          OR: [
+            { organizerId: user.id },
+            { attendeeEmails: { has: user.email } }
+          ]
+        }
+      })
+    ]);
+
+    const components = [];
+    const timeZones = [];
+    const seen = new Set();
+    let to = new Date();
+
+    for (const event of organized) {
+      components.push(this.buildEventComponent(event));
+      timeZones.push(event.timezone);
+      seen.add(event.id);
+      if (event.endTime > to) to = event.endTime;
+    }
+
+    for (const s of series) {
+      components.push(await this.buildSeriesComponents(s));
+      timeZones.push(s.timezone);
+    }
+
+    for (const registration of registrations) {
+      // The organizer's own events are already in the feed
+      if (seen.has(registration.event.id) || registration.event.userId === user.id) continue;
+
+      components.push(this.buildEventComponent(registration.event, {
+        joinUrl: registration.joinUrl || registration.event.zoomMeetingUrl
+      }));
+      timeZones.push(registration.event.timezone);
+      if (registration.event.endTime > to) to = registration.event.endTime;
+    }
+
+    for (const cancellation of cancellations) {
+      components.push(this.buildCancellationComponent(cancellation));
+      timeZones.push(cancellation.timezone);
+    }
+
+    // Series can run well past the last standalone event
+    const lastOccurrence = series.length ? await prisma.event.findFirst({
+      where: { seriesId: { in: series.map(s => s.id) } },
+      orderBy: { endTime: 'desc' }
+    }) : null;
+    if (lastOccurrence && lastOccurrence.endTime > to) to = lastOccurrence.endTime;
+
+    return this.buildCalendar(components, {
+      name: 'My Zoom Events',
+      timeZones: timeZones.filter(Boolean),
+      range: { from: since, to }
+    });
+  }
+
+  // Record a deleted event so feeds can publish its cancellation
+  async recordEventCancellation(event, { notifyOrganizer = true } = {}) {
+    const attendees = await prisma.attendee.findMany({
+      where: {
+        eventId: event.id,
+        status: { in: ['registered', 'joined', 'left'] }
+      },
+      select: { email: true }
+    });
+
+    return prisma.calendarCancellation.create({
+      data: {
+        uid: this.eventUid(event.id),
+        seriesId: event.seriesId,
+        sequence: (event.sequence || 0) + 1,
+        summary: event.title,
+        startTime: event.startTime,
+        endTime: event.endTime,
+        timezone: event.timezone,
+        organizerId: notifyOrganizer ? event.userId : null,
+        attendeeEmails: attendees.map(a => a.email)
+      }
+    });
+  }
+
+  // Record a cancelled occurrence: an EXDATE on the organizer's series, and a
+  // cancellation for attendees who had it in their feed as a standalone event
+  async recordOccurrenceCancellation(event) {
+    await this.recordEventCancellation(event, { notifyOrganizer: false });
+
+    return prisma.calendarCancellation.create({
+      data: {
+        uid: this.seriesUid(event.seriesId),
+        seriesId: event.seriesId,
+        recurrenceId: event.originalStartTime || event.startTime,
+        sequence: 0,
+        summary: event.title,
+        startTime: event.startTime,
+        endTime: event.endTime,
+        timezone: event.timezone
+      }
+    });
+  }
+
+  // Record a deleted series for the organizer's feed
+  async recordSeriesCancellation(series) {
+    return prisma.calendarCancellation.create({
+      data: {
+        uid: this.seriesUid(series.id),
+        sequence: (series.sequence || 0) + 1,
+        summary: series.title,
+        startTime: series.startTime,
+        endTime: new Date(series.startTime.getTime() + series.durationMinutes * 60 * 1000),
+        timezone: series.timezone,
+        organizerId: series.userId,
+        attendeeEmails: []
+      }
+    });
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,168 @@
+// Transactional email templates. Each returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Event time in the event's own time zone
+const formatEventTime = (event) => {
+  const options = {
+    timeZone: event.timezone || 'UTC',
+    dateStyle: 'full',
+    timeStyle: 'short'
+  };
+
+  return `${new Intl.DateTimeFormat('en-US', options).format(new Date(event.startTime))} (${event.timezone || 'UTC'})`;
+};
+
+// Amount in minor units (cents) with its currency, e.g. "29.99 USD"
+const formatAmount = (amount, currency = 'usd') => `${(Number(amount || 0) / 100).toFixed(2)} ${String(currency).toUpperCase()}`;
+
+const greeting = (person) => (person && person.firstName ? `Hi ${person.firstName},` : 'Hi,');
+
+// Plain paragraphs and optional links rendered to both text and HTML
+const layout = ({ subject, paragraphs, links = [] }) => {
+  const text = [
+    ...paragraphs,
+    ...links.filter(l => l.url).map(l => `${l.label}: ${l.url}`)
+  ].join('\n\n');
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: Arial, sans-serif; line-height: 1.5; color: #222;">',
+    ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`),
+    ...links.filter(l => l.url).map(l => `<p><a href="${escapeHtml(l.url)}">${escapeHtml(l.label)}</a></p>`),
+    '</body></html>'
+  ].join('\n');
+
+  return { subject, text, html };
+};
+
+const templates = {
+  // Sent on registration, waitlisting and promotion from the waitlist
+  registrationConfirmation: ({ attendee, event, manageUrl, calendarUrl, waitlisted = false, promoted = false }) => {
+    if (waitlisted) {
+      return layout({
+        subject: `You're on the waitlist for ${event.title}`,
+        paragraphs: [
+          greeting(attendee),
+          `${event.title} is currently full, so you've been added to the waitlist. We'll email you as soon as a seat opens up.`,
+          `When: ${formatEventTime(event)}`
+        ],
+        links: [{ label: 'View or cancel your registration', url: manageUrl }]
+      });
+    }
+
+    return layout({
+      subject: promoted ? `A seat opened up: you're registered for ${event.title}` : `You're registered for ${event.title}`,
+      paragraphs: [
+        greeting(attendee),
+        promoted
+          ? `Good news: a seat opened up and you've been moved off the waitlist for ${event.title}.`
+          : `Your registration for ${event.title} is confirmed.`,
+        `When: ${formatEventTime(event)}`,
+        ...(attendee.joinUrl ? ['Your join link is personal, please don\'t share it.'] : [])
+      ],
+      links: [
+        { label: 'Join the meeting', url: attendee.joinUrl || event.zoomMeetingUrl },
+        { label: 'Add to calendar', url: calendarUrl },
+        { label: 'View or cancel your registration', url: manageUrl }
+      ]
+    });
+  },
+
+  eventReminder: ({ attendee, event, window }) => layout({
+    subject: `${window === '1h' ? 'Starting in 1 hour' : 'Tomorrow'}: ${event.title}`,
+    paragraphs: [
+      greeting(attendee),
+      `This is a reminder that ${event.title} starts ${window === '1h' ? 'in about an hour' : 'in about 24 hours'}.`,
+      `When: ${formatEventTime(event)}`
+    ],
+    links: [{ label: 'Join the meeting', url: attendee.joinUrl || event.zoomMeetingUrl }]
+  }),
+
+  eventUpdated: ({ attendee, event, changes = [] }) => layout({
+    subject: `Updated: ${event.title}`,
+    paragraphs: [
+      greeting(attendee),
+      `The organizer has updated ${event.title}.`,
+      ...(changes.length ? [`What changed: ${changes.join(', ')}.`] : []),
+      `When: ${formatEventTime(event)}`
+    ],
+    links: [{ label: 'Join the meeting', url: attendee && (attendee.joinUrl || event.zoomMeetingUrl) }]
+  }),
+
+  eventCancelled: ({ attendee, event }) => layout({
+    subject: `Cancelled: ${event.title}`,
+    paragraphs: [
+      greeting(attendee),
+      `${event.title}, scheduled for ${formatEventTime(event)}, has been cancelled by the organizer.`,
+      'Your registration has been cancelled and the join link no longer works.'
+    ]
+  }),
+
+  recordingAvailable: ({ attendee, event, recordingUrl, expiresAt }) => layout({
+    subject: `Recording available: ${event.title}`,
+    paragraphs: [
+      greeting(attendee),
+      `The recording of ${event.title} is now available.`,
+      ...(expiresAt ? [`The link below is personal and expires on ${new Date(expiresAt).toUTCString()}.`] : [])
+    ],
+    links: [{ label: 'Watch the recording', url: recordingUrl }]
+  }),
+
+  // Dunning notice for a failed subscription renewal
+  paymentFailed: ({ user, organizationName, amountDue, currency, attemptCount, nextAttemptAt, graceEndsAt, billingUrl }) => layout({
+    subject: 'Your payment didn\'t go through',
+    paragraphs: [
+      greeting(user),
+      `We couldn't collect ${formatAmount(amountDue, currency)} for ${organizationName ? `the ${organizationName} subscription` : 'your subscription'}${attemptCount > 1 ? ` (attempt ${attemptCount})` : ''}.`,
+      ...(nextAttemptAt ? [`We'll try again on ${new Date(nextAttemptAt).toUTCString()}.`] : []),
+      ...(graceEndsAt
+        ? [`Please update your payment details before ${new Date(graceEndsAt).toUTCString()} to keep creating events. Your scheduled events are not affected.`]
+        : [])
+    ],
+    links: [{ label: 'Update payment details', url: billingUrl }]
+  }),
+
+  emailVerification: ({ user, url, expiresAt }) => layout({
+    subject: 'Confirm your email address',
+    paragraphs: [
+      greeting(user),
+      `Please confirm that ${user.email} is your email address. The link works once and expires on ${new Date(expiresAt).toUTCString()}.`,
+      'If you didn\'t create an account, you can ignore this email.'
+    ],
+    links: [{ label: 'Confirm email address', url }]
+  }),
+
+  passwordReset: ({ user, url, expiresAt }) => layout({
+    subject: 'Reset your password',
+    paragraphs: [
+      greeting(user),
+      `Someone asked to reset the password for ${user.email}. The link works once and expires on ${new Date(expiresAt).toUTCString()}.`,
+      'Resetting your password signs you out on every device. If you didn\'t ask for this, you can ignore this email and your password stays the same.'
+    ],
+    links: [{ label: 'Choose a new password', url }]
+  })
+};
+
+// Render a named template
+const render = (name, data) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  render,
+  templates,
+  escapeHtml,
+  formatEventTime
+};
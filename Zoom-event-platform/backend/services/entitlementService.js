@@ -0,0 +1,448 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+// -1 means unlimited. Per-organization overrides on the Subscription row take
+// precedence over these, key by key.
+const PLANS = {
+  trial: {
+    name: 'Trial',
+    limits: {
+      eventsPerPeriod: 3, // a recurring series counts as one event
+      attendeesPerEvent: 12,
+      maxDurationMinutes: 60,
+      maxOccurrences: 4, // per recurring series
+      storageMb: 100,
+      maxUploadMb: 10
+    }
+  },
+  standard: {
+    name: 'Standard',
+    limits: {
+      eventsPerPeriod: 10,
+      attendeesPerEvent: 250,
+      maxDurationMinutes: 240,
+      maxOccurrences: 26,
+      storageMb: 5 * 1024,
+      maxUploadMb: 100
+    }
+  },
+  pro: {
+    name: 'Pro',
+    limits: {
+      eventsPerPeriod: -1,
+      attendeesPerEvent: 500,
+      maxDurationMinutes: -1,
+      maxOccurrences: -1, // up to Zoom's limit
+      storageMb: 50 * 1024,
+      maxUploadMb: 500
+    }
+  }
+};
+
+const LIMIT_KEYS = Object.keys(PLANS.trial.limits);
+
+// Entitlement check that failed; routes turn it into a response
+class EntitlementError extends Error {
+  constructor(message, { status = 403, code, details } = {}) {
+    super(message);
+    this.name = 'EntitlementError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const graceDays = () => parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '7', 10);
+const trialDays = () => parseInt(process.env.TRIAL_DAYS || '14', 10);
+
+// Same day of the month `months` later, clamped to the month's last day
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+const isUnlimited = (limit) => limit === -1;
+
+class EntitlementService {
+  // Plan definitions, for pricing pages and the check-limits endpoint
+  listPlans() {
+    return Object.entries(PLANS).map(([id, plan]) => ({ id, ...plan }));
+  }
+
+  // Plan limits with the account's overrides applied
+  resolveLimits(subscription) {
+    const plan = PLANS[subscription.plan] || PLANS.trial;
+    const overrides = subscription.overrides || {};
+    const limits = { ...plan.limits };
+
+    for (const key of LIMIT_KEYS) {
+      if (Number.isInteger(overrides[key])) limits[key] = overrides[key];
+    }
+
+    return limits;
+  }
+
+  // active, grace (expired but still usable) or expired
+  resolveState(subscription, now = new Date()) {
+    if (subscription.status === 'expired') return { state: 'expired', graceEndsAt: null };
+    if (!subscription.expiresAt) return { state: 'active', graceEndsAt: null };
+
+    const graceEndsAt = new Date(subscription.expiresAt.getTime() + graceDays() * DAY_MS);
+
+    if (now < subscription.expiresAt) return { state: 'active', graceEndsAt };
+    if (now < graceEndsAt) return { state: 'grace', graceEndsAt };
+    return { state: 'expired', graceEndsAt };
+  }
+
+  // The organization's subscription, created as a trial on first use and
+  // rolled into the current billing period
+  async getSubscription(organizationId, now = new Date()) {
+    let subscription = await prisma.subscription.findUnique({
+      where: { organizationId }
+    });
+
+    if (!subscription) {
+      try {
+        subscription = await prisma.subscription.create({
+          data: {
+            organizationId,
+            plan: 'trial',
+            expiresAt: new Date(now.getTime() + trialDays() * DAY_MS),
+            currentPeriodStart: now,
+            currentPeriodEnd: addMonths(now, 1)
+          }
+        });
+      } catch (error) {
+        // Created by a concurrent request
+        if (error.code !== 'P2002') throw error;
+        subscription = await prisma.subscription.findUnique({ where: { organizationId } });
+      }
+    }
+
+    return this.rollPeriod(subscription, now);
+  }
+
+  // Start a new billing period, resetting metered usage, once the current one ends
+  async rollPeriod(subscription, now = new Date()) {
+    if (now < subscription.currentPeriodEnd) return subscription;
+
+    let start = subscription.currentPeriodEnd;
+    let end = addMonths(start, 1);
+    while (end <= now) {
+      start = end;
+      end = addMonths(start, 1);
+    }
+
+    // Guarded on the old period so concurrent requests reset it only once
+    await prisma.subscription.updateMany({
+      where: { id: subscription.id, currentPeriodEnd: subscription.currentPeriodEnd },
+      data: { currentPeriodStart: start, currentPeriodEnd: end, eventsUsed: 0 }
+    });
+
+    return prisma.subscription.findUnique({ where: { id: subscription.id } });
+  }
+
+  // Bytes of files uploaded to the organization's events; recordings
+  // ingested from Zoom don't count
+  async storageUsed(organizationId) {
+    const { _sum } = await prisma.resource.aggregate({
+      where: { event: { organizationId }, recordingFileId: null },
+      _sum: { size: true }
+    });
+
+    return Number(_sum.size || 0);
+  }
+
+  // Everything the account is entitled to and has used this period
+  async getEntitlements(organizationId) {
+    const subscription = await this.getSubscription(organizationId);
+    const limits = this.resolveLimits(subscription);
+    const { state, graceEndsAt } = this.resolveState(subscription);
+    const storageBytes = await this.storageUsed(organizationId);
+
+    return {
+      plan: subscription.plan,
+      planName: (PLANS[subscription.plan] || PLANS.trial).name,
+      status: subscription.status,
+      state,
+      expiresAt: subscription.expiresAt,
+      graceEndsAt,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      pastDueSince: subscription.pastDueSince,
+      period: {
+        start: subscription.currentPeriodStart,
+        end: subscription.currentPeriodEnd
+      },
+      limits,
+      overrides: subscription.overrides || {},
+      usage: {
+        eventsUsed: subscription.eventsUsed,
+        eventsRemaining: isUnlimited(limits.eventsPerPeriod) ? null : Math.max(0, limits.eventsPerPeriod - subscription.eventsUsed),
+        storageBytes,
+        storageRemainingBytes: isUnlimited(limits.storageMb) ? null : Math.max(0, limits.storageMb * MB - storageBytes)
+      },
+      subscription
+    };
+  }
+
+  // New events, attendees and uploads need a subscription that hasn't lapsed
+  assertActive(entitlements) {
+    if (entitlements.state === 'expired') {
+      throw new EntitlementError('Your subscription has expired', {
+        status: 402,
+        code: 'SUBSCRIPTION_EXPIRED',
+        details: { expiresAt: entitlements.expiresAt, graceEndsAt: entitlements.graceEndsAt }
+      });
+    }
+  }
+
+  // Event capacity within the plan; defaults to the plan's maximum
+  checkAttendeeLimit(entitlements, maxAttendees) {
+    const limit = entitlements.limits.attendeesPerEvent;
+    // Unlimited accounts without a requested capacity get the schema default
+    const requested = maxAttendees || (isUnlimited(limit) ? undefined : limit);
+
+    if (!isUnlimited(limit) && requested > limit) {
+      throw new EntitlementError(`Your ${entitlements.planName} plan allows maximum ${limit} attendees`, {
+        code: 'ATTENDEE_LIMIT',
+        details: { requested, limit }
+      });
+    }
+
+    return requested;
+  }
+
+  checkDurationLimit(entitlements, durationMinutes) {
+    const limit = entitlements.limits.maxDurationMinutes;
+
+    if (!isUnlimited(limit) && durationMinutes > limit) {
+      throw new EntitlementError(`Your ${entitlements.planName} plan allows maximum ${limit} minutes`, {
+        code: 'DURATION_LIMIT',
+        details: { requested: durationMinutes, limit }
+      });
+    }
+  }
+
+  // Check an event before creating it. Returns the entitlements and the
+  // capacity to create it with.
+  async assertCanCreateEvent(organizationId, { maxAttendees, durationMinutes }) {
+    const entitlements = await this.getEntitlements(organizationId);
+    const limit = entitlements.limits.eventsPerPeriod;
+
+    this.assertActive(entitlements);
+
+    if (!isUnlimited(limit) && entitlements.usage.eventsUsed >= limit) {
+      throw this.eventLimitError(entitlements);
+    }
+
+    const attendeeLimit = this.checkAttendeeLimit(entitlements, maxAttendees);
+    this.checkDurationLimit(entitlements, durationMinutes);
+
+    return { entitlements, attendeeLimit };
+  }
+
+  eventLimitError(entitlements) {
+    return new EntitlementError(
+      `Your ${entitlements.planName} plan allows ${entitlements.limits.eventsPerPeriod} events per billing period`,
+      {
+        code: 'EVENT_LIMIT',
+        details: {
+          currentCount: entitlements.usage.eventsUsed,
+          limit: entitlements.limits.eventsPerPeriod,
+          resetsAt: entitlements.period.end
+        }
+      }
+    );
+  }
+
+  // Meter one event against the period. The increment is conditional, so
+  // concurrent creations can't overshoot the limit.
+  async consumeEvent(entitlements) {
+    const { subscription, limits } = entitlements;
+
+    const { count } = await prisma.subscription.updateMany({
+      where: {
+        id: subscription.id,
+        currentPeriodEnd: subscription.currentPeriodEnd,
+        ...(!isUnlimited(limits.eventsPerPeriod) && { eventsUsed: { lt: limits.eventsPerPeriod } })
+      },
+      data: { eventsUsed: { increment: 1 } }
+    });
+
+    if (count === 0) {
+      throw this.eventLimitError(await this.getEntitlements(subscription.organizationId));
+    }
+  }
+
+  // Give an event back to the period's quota, e.g. when it is deleted before
+  // it runs. Events metered in an earlier period have already reset.
+  async releaseEvent(organizationId, meteredAt) {
+    const subscription = await this.getSubscription(organizationId);
+
+    if (meteredAt < subscription.currentPeriodStart) return;
+
+    await prisma.subscription.updateMany({
+      where: { id: subscription.id, eventsUsed: { gt: 0 } },
+      data: { eventsUsed: { decrement: 1 } }
+    });
+  }
+
+  // Organizers can add attendees up to the plan's per-event limit, which may
+  // be below the event's capacity after a downgrade
+  async assertCanAddAttendee(event) {
+    const entitlements = await this.getEntitlements(event.organizationId);
+    const limit = entitlements.limits.attendeesPerEvent;
+
+    this.assertActive(entitlements);
+
+    if (!isUnlimited(limit) && event.currentAttendees >= limit) {
+      throw new EntitlementError(`Your ${entitlements.planName} plan allows maximum ${limit} attendees`, {
+        code: 'ATTENDEE_LIMIT',
+        details: { currentCount: event.currentAttendees, limit }
+      });
+    }
+
+    return entitlements;
+  }
+
+  // A file upload of `bytes` must fit the per-file and total storage limits
+  async assertCanUpload(organizationId, bytes) {
+    const entitlements = await this.getEntitlements(organizationId);
+    const { maxUploadMb, storageMb } = entitlements.limits;
+
+    this.assertActive(entitlements);
+
+    if (!isUnlimited(maxUploadMb) && bytes > maxUploadMb * MB) {
+      throw new EntitlementError(`Your ${entitlements.planName} plan allows files up to ${maxUploadMb} MB`, {
+        status: 413,
+        code: 'UPLOAD_TOO_LARGE',
+        details: { requested: bytes, limit: maxUploadMb * MB }
+      });
+    }
+
+    if (!isUnlimited(storageMb) && entitlements.usage.storageBytes + bytes > storageMb * MB) {
+      throw new EntitlementError(`Your ${entitlements.planName} plan includes ${storageMb} MB of storage`, {
+        code: 'STORAGE_LIMIT',
+        details: { used: entitlements.usage.storageBytes, requested: bytes, limit: storageMb * MB }
+      });
+    }
+
+    return entitlements;
+  }
+
+  // Summary for the check-limits endpoint: what the account can do right now
+  async checkLimits(organizationId) {
+    const entitlements = await this.getEntitlements(organizationId);
+    const { limits, usage, state } = entitlements;
+    const usable = state !== 'expired';
+
+    const { subscription, ...summary } = entitlements;
+
+    return {
+      ...summary,
+      can: {
+        createEvent: usable && (isUnlimited(limits.eventsPerPeriod) || usage.eventsUsed < limits.eventsPerPeriod),
+        addAttendees: usable,
+        upload: usable && (isUnlimited(limits.storageMb) || usage.storageRemainingBytes > 0)
+      }
+    };
+  }
+
+  // Move an account to a plan, e.g. after a purchase, and start a new period
+  async changePlan(organizationId, plan, { expiresAt = null, status = 'active' } = {}) {
+    if (!PLANS[plan]) {
+      throw new EntitlementError(`Unknown plan: ${plan}`, { status: 400, code: 'UNKNOWN_PLAN' });
+    }
+
+    const now = new Date();
+    await this.getSubscription(organizationId, now);
+
+    const subscription = await prisma.subscription.update({
+      where: { organizationId },
+      data: {
+        plan,
+        status,
+        expiresAt,
+        currentPeriodStart: now,
+        currentPeriodEnd: addMonths(now, 1),
+        eventsUsed: 0
+      }
+    });
+
+    await this.applyDowngrade(organizationId);
+
+    return subscription;
+  }
+
+  // Bring upcoming events within the account's current limits after a plan
+  // change. Nobody loses a seat: capacity above the per-event limit is lowered
+  // to the limit or to the seats already taken, whichever is higher, so no new
+  // seats open beyond the plan. Everything else about existing events is kept;
+  // the lower event quota and storage limit only stop new events and uploads.
+  async applyDowngrade(organizationId) {
+    const entitlements = await this.getEntitlements(organizationId);
+    const limit = entitlements.limits.attendeesPerEvent;
+
+    if (isUnlimited(limit)) return { eventsCapped: 0 };
+
+    const events = await prisma.event.findMany({
+      where: {
+        organizationId,
+        status: 'scheduled',
+        startTime: { gt: new Date() },
+        maxAttendees: { gt: limit }
+      },
+      select: { id: true, currentAttendees: true }
+    });
+
+    for (const event of events) {
+      await prisma.event.update({
+        where: { id: event.id },
+        data: { maxAttendees: Math.max(limit, event.currentAttendees) }
+      });
+    }
+
+    return { eventsCapped: events.length };
+  }
+
+  // Replace the account's limit overrides; null removes one
+  async setOverrides(organizationId, overrides) {
+    const unknown = Object.keys(overrides).filter(key => !LIMIT_KEYS.includes(key));
+
+    if (unknown.length > 0) {
+      throw new EntitlementError(`Unknown limits: ${unknown.join(', ')}`, { status: 400, code: 'UNKNOWN_LIMIT' });
+    }
+
+    const subscription = await this.getSubscription(organizationId);
+    const merged = { ...(subscription.overrides || {}) };
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value === null) {
+        delete merged[key];
+      } else if (Number.isInteger(value) && value >= -1) {
+        merged[key] = value;
+      } else {
+        throw new EntitlementError(`${key} must be a whole number, or -1 for unlimited`, { status: 400, code: 'INVALID_LIMIT' });
+      }
+    }
+
+    return prisma.subscription.update({
+      where: { organizationId },
+      data: { overrides: merged }
+    });
+  }
+}
+
+module.exports = new EntitlementService();
+module.exports.EntitlementError = EntitlementError;
+module.exports.PLANS = PLANS;
+module.exports.addMonths = addMonths;
@@ -0,0 +1,131 @@
+const { PrismaClient } = require('@prisma/client');
+const jobQueue = require('./jobQueue');
+const registrationService = require('./registrationService');
+const notificationService = require('./notificationService');
+const zoomSyncService = require('./zoomSyncService');
+const seriesService = require('./seriesService');
+const attendanceReportService = require('./attendanceReportService');
+
+const prisma = new PrismaClient();
+
+// Reminder emails, sent this long before startTime
+const REMINDERS = [
+  { window: '24h', offsetMs: 24 * 60 * 60 * 1000 },
+  { window: '1h', offsetMs: 60 * 60 * 1000 }
+];
+
+// Registrants still unseen this long after endTime are marked as no-shows
+const NO_SHOW_GRACE_MS = 30 * 60 * 1000;
+
+class JobHandlers {
+  // Register every job type with the queue
+  registerAll() {
+    jobQueue.register('event.reminder', (payload) => this.sendReminder(payload));
+    jobQueue.register('event.markNoShows', (payload) => this.markNoShows(payload));
+    jobQueue.register('zoom.syncRegistrant', (payload) => registrationService.syncZoomRegistrant(payload.attendeeId));
+    jobQueue.register('zoom.syncEvent', (payload) => zoomSyncService.syncEvent(payload.eventId));
+    jobQueue.register('zoom.syncSeries', (payload) => seriesService.syncZoomMeeting(payload.seriesId));
+    jobQueue.register('zoom.deleteMeeting', (payload) => zoomSyncService.deleteMeeting(payload));
+    jobQueue.register('zoom.importParticipantReport', (payload) => this.importParticipantReport(payload));
+  }
+
+  eventJobKey(eventId, name) {
+    return `event:${eventId}:${name}`;
+  }
+
+  // (Re)schedule an event's reminders and no-show sweep from its current times.
+  // Call again whenever startTime or endTime changes.
+  async scheduleEventJobs(event) {
+    const now = Date.now();
+
+    for (const { window, offsetMs } of REMINDERS) {
+      const runAt = new Date(new Date(event.startTime).getTime() - offsetMs);
+      const uniqueKey = this.eventJobKey(event.id, `reminder:${window}`);
+
+      if (runAt.getTime() > now) {
+        await jobQueue.enqueue('event.reminder', { eventId: event.id, window }, { runAt, uniqueKey });
+      } else {
+        // Too close to the start for this reminder
+        await jobQueue.cancel({ uniqueKey });
+      }
+    }
+
+    await jobQueue.enqueue('event.markNoShows', { eventId: event.id }, {
+      runAt: new Date(new Date(event.endTime).getTime() + NO_SHOW_GRACE_MS),
+      uniqueKey: this.eventJobKey(event.id, 'noShows')
+    });
+  }
+
+  // Drop an event's pending jobs when it is deleted
+  async cancelEventJobs(eventId) {
+    return jobQueue.cancel({ uniqueKeyPrefix: this.eventJobKey(eventId, '') });
+  }
+
+  // Email registered attendees ahead of the event
+  async sendReminder({ eventId, window }) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId }
+    });
+
+    // Deleted, cancelled or already started: nothing to remind about
+    if (!event || event.status !== 'scheduled' || event.startTime <= new Date()) {
+      return;
+    }
+
+    const attendees = await prisma.attendee.findMany({
+      where: { eventId, status: 'registered' }
+    });
+
+    for (const attendee of attendees) {
+      await notificationService.send('eventReminder', attendee.email, { attendee, event, window }, {
+        eventId,
+        attendeeId: attendee.id
+      });
+    }
+  }
+
+  // Apply Zoom's participant report, then mark registrants it didn't show as no-shows
+  async importParticipantReport(payload) {
+    const result = await attendanceReportService.importParticipantReport(payload);
+    if (result) {
+      await this.markNoShows(payload);
+    }
+  }
+
+  // Mark registrants who never joined as no-shows. A meeting that overruns is
+  // skipped while live, so late joiners keep their join link; meeting.ended
+  // queues the sweep again.
+  async markNoShows({ eventId }) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId }
+    });
+
+    if (!event || event.status === 'cancelled' || event.status === 'live') {
+      return;
+    }
+
+    const { count } = await prisma.attendee.updateMany({
+      where: {
+        eventId,
+        status: 'registered',
+        joinedAt: null
+      },
+      data: {
+        status: 'no_show'
+      }
+    });
+
+    if (count > 0) {
+      await prisma.analytics.create({
+        data: {
+          eventId,
+          metricType: 'no_shows',
+          value: count,
+          timestamp: new Date()
+        }
+      });
+    }
+  }
+}
+
+module.exports = new JobHandlers();
@@ -0,0 +1,229 @@
+const os = require('os');
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const RETRYABLE_STATUSES = ['pending', 'failed'];
+
+// Database-backed job queue. Jobs are claimed with FOR UPDATE SKIP LOCKED, so
+// any number of server instances can poll the same table without running a job twice.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+    this.batchSize = parseInt(process.env.JOB_BATCH_SIZE || '10', 10);
+    // A running job whose worker died is picked up again after this long
+    this.lockTimeoutMs = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || String(10 * 60 * 1000), 10);
+    this.backoffBaseMs = 30 * 1000;
+    this.backoffMaxMs = 60 * 60 * 1000;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Register the function that runs jobs of a type: handler(payload, job)
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Add a job. With a uniqueKey, an existing job that hasn't started is
+  // rescheduled instead of duplicated.
+  async enqueue(type, payload = {}, { runAt = new Date(), maxAttempts = 5, uniqueKey } = {}) {
+    if (uniqueKey) {
+      const { count } = await prisma.job.updateMany({
+        where: { uniqueKey, status: { not: 'running' } },
+        data: {
+          type,
+          payload,
+          runAt,
+          maxAttempts,
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          completedAt: null
+        }
+      });
+
+      if (count > 0) {
+        return prisma.job.findUnique({ where: { uniqueKey } });
+      }
+    }
+
+    try {
+      return await prisma.job.create({
+        data: { type, payload, runAt, maxAttempts, uniqueKey }
+      });
+    } catch (error) {
+      // Created concurrently, or currently running; either way it's queued
+      if (uniqueKey && error.code === 'P2002') {
+        return prisma.job.findUnique({ where: { uniqueKey } });
+      }
+      throw error;
+    }
+  }
+
+  // Drop jobs that haven't started yet, by exact key or key prefix
+  async cancel({ uniqueKey, uniqueKeyPrefix }) {
+    const { count } = await prisma.job.deleteMany({
+      where: {
+        status: { in: RETRYABLE_STATUSES },
+        ...(uniqueKey && { uniqueKey }),
+        ...(uniqueKeyPrefix && { uniqueKey: { startsWith: uniqueKeyPrefix } })
+      }
+    });
+
+    return count;
+  }
+
+  // Claim due jobs for this worker
+  async claim(limit = this.batchSize) {
+    const staleBefore = new Date(Date.now() - this.lockTimeoutMs);
+
+    return prisma.$queryRaw`
+      UPDATE "Job"
+      SET "status" = 'running',
+          "lockedAt" = NOW(),
+          "lockedBy" = ${this.workerId},
+          "attempts" = "attempts" + 1,
+          "updatedAt" = NOW()
+      WHERE "id" IN (
+        SELECT "id" FROM "Job"
+        WHERE ("status" IN ('pending', 'failed') AND "runAt" <= NOW())
+           OR ("status" = 'running' AND "lockedAt" < ${staleBefore})
+        ORDER BY "runAt" ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+  }
+
+  // Delay before the next attempt: exponential with jitter, capped
+  backoff(attempts) {
+    const delay = Math.min(this.backoffBaseMs * 2 ** (attempts - 1), this.backoffMaxMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // Run one claimed job and record the outcome. Updates are conditional on
+  // still holding the lock, so a job reclaimed after a stall isn't overwritten.
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      await handler(job.payload, job);
+
+      await prisma.job.updateMany({
+        where: { id: job.id, lockedBy: this.workerId },
+        data: {
+          status: 'completed',
+          completedAt: new Date(),
+          lockedAt: null,
+          lockedBy: null,
+          lastError: null
+        }
+      });
+
+      return true;
+    } catch (error) {
+      // Errors that say retrying can't help (e.g. a Zoom validation error) go straight to dead
+      const dead = job.attempts >= job.maxAttempts || error.retryable === false;
+      // Honour a rate limit's Retry-After when it is longer than our own backoff
+      const delay = Math.max(this.backoff(job.attempts), error.retryAfter || 0);
+      console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}${dead ? ', giving up' : ''}:`, error.message);
+
+      await prisma.job.updateMany({
+        where: { id: job.id, lockedBy: this.workerId },
+        data: {
+          status: dead ? 'dead' : 'failed',
+          lastError: error.message,
+          lockedAt: null,
+          lockedBy: null,
+          ...(!dead && { runAt: new Date(Date.now() + delay) })
+        }
+      });
+
+      return false;
+    }
+  }
+
+  // Claim and run one batch of due jobs
+  async poll() {
+    if (this.polling) return 0;
+    this.polling = true;
+
+    try {
+      const jobs = await this.claim();
+
+      for (const job of jobs) {
+        await this.run(job);
+      }
+
+      return jobs.length;
+    } catch (error) {
+      console.error('Job poll error:', error);
+      return 0;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Start polling in the background
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    // Don't keep the process alive just for the worker
+    this.timer.unref();
+
+    console.log(`⏱️  Job worker ${this.workerId} polling every ${this.pollIntervalMs}ms`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Jobs for the admin view, newest first
+  async list({ status, type, skip = 0, take = 50 } = {}) {
+    const where = {
+      ...(status && { status }),
+      ...(type && { type })
+    };
+
+    const [jobs, total] = await Promise.all([
+      prisma.job.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.job.count({ where })
+    ]);
+
+    return { jobs, total };
+  }
+
+  // Put a failed or dead job back in the queue with a fresh set of attempts
+  async retry(id) {
+    const { count } = await prisma.job.updateMany({
+      where: { id, status: { in: ['failed', 'dead'] } },
+      data: {
+        status: 'pending',
+        attempts: 0,
+        runAt: new Date(),
+        lastError: null
+      }
+    });
+
+    if (count === 0) return null;
+
+    return prisma.job.findUnique({ where: { id } });
+  }
+}
+
+module.exports = new JobQueue();
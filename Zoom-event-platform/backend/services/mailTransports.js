@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Every transport exposes send(message) -> { messageId }, where message is
+// { from, to, subject, text, html }.
+
+// SMTP for production, via nodemailer
+class SmtpTransport {
+  constructor(options = {}) {
+    const nodemailer = require('nodemailer');
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port: parseInt(options.port || process.env.SMTP_PORT || '587', 10),
+      secure: (options.secure ?? process.env.SMTP_SECURE) === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+// Writes each message to an .eml file, for local development
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory || process.env.MAIL_FILE_DIR || path.join('tmp', 'mail');
+  }
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@localhost>`;
+    const boundary = `boundary-${crypto.randomBytes(8).toString('hex')}`;
+
+    const eml = [
+      `Message-ID: ${messageId}`,
+      `Date: ${new Date().toUTCString()}`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text,
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      message.html,
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.promises.writeFile(path.join(this.directory, fileName), eml);
+
+    return { messageId };
+  }
+}
+
+// Keeps messages in memory, for tests
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.messages = [];
+  }
+
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@memory>`;
+    this.messages.push({ ...message, messageId });
+    return { messageId };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+const TRANSPORTS = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  memory: MemoryTransport
+};
+
+// Build the transport named by MAIL_TRANSPORT (smtp in production, file otherwise)
+const createTransport = (name = process.env.MAIL_TRANSPORT, options = {}) => {
+  const transportName = name || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+  const Transport = TRANSPORTS[transportName];
+
+  if (!Transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return new Transport(options);
+};
+
+module.exports = {
+  createTransport,
+  SmtpTransport,
+  FileTransport,
+  MemoryTransport
+};
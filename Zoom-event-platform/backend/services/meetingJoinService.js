@@ -0,0 +1,175 @@
+const { PrismaClient } = require('@prisma/client');
+const zoomService = require('./zoomService');
+const zoomOAuthService = require('./zoomOAuthService');
+
+const prisma = new PrismaClient();
+
+// Attendee statuses allowed into the meeting
+const JOINABLE_STATUSES = ['registered', 'joined', 'left'];
+
+// Join request that can't be honoured; routes turn it into a response
+class MeetingJoinError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'MeetingJoinError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const displayName = (person) => (
+  [person.firstName, person.lastName].filter(Boolean).join(' ') || person.name || person.email
+);
+
+// Builds Meeting SDK join configs whose role and identity come from our records
+// rather than from the client
+class MeetingJoinService {
+  assertJoinable(event) {
+    if (!event || event.status === 'cancelled') {
+      throw new MeetingJoinError('Event not found', { status: 404, code: 'EVENT_NOT_FOUND' });
+    }
+
+    if (event.status === 'completed') {
+      throw new MeetingJoinError('This event has ended', { status: 410, code: 'EVENT_ENDED' });
+    }
+
+    if (!event.zoomMeetingId) {
+      throw new MeetingJoinError('This event has no Zoom meeting yet', { status: 409, code: 'NO_MEETING' });
+    }
+  }
+
+  // Registrant token from the attendee's personal join URL (the tk parameter),
+  // so Zoom admits them as that registrant
+  registrantToken(joinUrl) {
+    if (!joinUrl) return undefined;
+
+    try {
+      return new URL(joinUrl).searchParams.get('tk') || undefined;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  // Fields the Meeting SDK's join() takes
+  buildJoinConfig(event, { role, userName, userEmail, tk, zak }) {
+    return {
+      ...zoomService.generateSDKJWT(event.zoomMeetingId, role),
+      userName,
+      userEmail,
+      passWord: event.zoomPassword || '',
+      ...(tk && { tk }),
+      ...(zak && { zak })
+    };
+  }
+
+  // Join config for a registered attendee
+  async forAttendee(attendee, event = attendee.event) {
+    this.assertJoinable(event);
+
+    if (!JOINABLE_STATUSES.includes(attendee.status)) {
+      throw new MeetingJoinError(
+        attendee.status === 'waitlisted' ? 'You are still on the waitlist' : 'Registration is not active',
+        { status: 403, code: 'NOT_REGISTERED' }
+      );
+    }
+
+    return this.buildJoinConfig(event, {
+      role: 0,
+      userName: displayName(attendee),
+      userEmail: attendee.email,
+      tk: this.registrantToken(attendee.joinUrl)
+    });
+  }
+
+  // Joining as host starts the meeting with organizer rights, so organizations
+  // that require 2FA require it here as well
+  async assertHostTwoFactor(event, user) {
+    if (!event.organizationId || user.twoFactorEnabledAt) return;
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: event.organizationId },
+      select: { requireTwoFactor: true }
+    });
+
+    if (organization?.requireTwoFactor) {
+      throw new MeetingJoinError('This organization requires two-factor authentication to host', {
+        status: 403,
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+  }
+
+  // Join config for an authenticated user: host if they organize or co-host
+  // the event, otherwise participant if they are registered for it under their email
+  async forUser(eventId, userId) {
+    const [event, user] = await Promise.all([
+      prisma.event.findUnique({ where: { id: eventId } }),
+      prisma.user.findUnique({ where: { id: userId } })
+    ]);
+
+    if (!user) {
+      throw new MeetingJoinError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+    }
+
+    this.assertJoinable(event);
+
+    if (event.userId === user.id) {
+      await this.assertHostTwoFactor(event, user);
+
+      // Starting as host needs a ZAK from the account that owns the meeting
+      const zoom = await zoomService.forMeeting(event);
+      const zak = await zoom.getZakToken();
+
+      return this.buildJoinConfig(event, {
+        role: 1,
+        userName: displayName(user),
+        userEmail: user.email,
+        zak
+      });
+    }
+
+    const cohost = await prisma.eventCohost.findUnique({
+      where: {
+        eventId_userId: { eventId: event.id, userId: user.id }
+      }
+    });
+
+    // Alternative hosts join as host with a ZAK from their own Zoom account;
+    // the platform account's token would sign them in as someone else
+    if (cohost && await zoomOAuthService.getConnection(user.id)) {
+      await this.assertHostTwoFactor(event, user);
+
+      const zoom = await zoomService.forUser(user.id);
+      const zak = await zoom.getZakToken();
+
+      return this.buildJoinConfig(event, {
+        role: 1,
+        userName: displayName(user),
+        userEmail: user.email,
+        zak
+      });
+    }
+
+    const attendee = await prisma.attendee.findUnique({
+      where: {
+        email_eventId: { email: user.email, eventId: event.id }
+      }
+    });
+
+    if (!attendee) {
+      if (cohost) {
+        throw new MeetingJoinError('Connect your Zoom account to join as a co-host', {
+          status: 409,
+          code: 'ZOOM_NOT_CONNECTED'
+        });
+      }
+
+      throw new MeetingJoinError('You are not registered for this event', { status: 403, code: 'NOT_REGISTERED' });
+    }
+
+    return this.forAttendee(attendee, event);
+  }
+}
+
+module.exports = new MeetingJoinService();
+module.exports.MeetingJoinError = MeetingJoinError;
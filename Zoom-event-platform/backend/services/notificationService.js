@@ -0,0 +1,134 @@
+const { PrismaClient } = require('@prisma/client');
+const { createTransport } = require('./mailTransports');
+const { render } = require('./emailTemplates');
+
+const prisma = new PrismaClient();
+
+// Attendee statuses that receive event notifications
+const NOTIFIABLE_STATUSES = ['registered', 'waitlisted', 'joined', 'left'];
+
+// Event fields attendees are told about when they change
+const NOTIFIABLE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  startTime: 'start time',
+  endTime: 'end time'
+};
+
+class NotificationService {
+  constructor() {
+    this.transport = null;
+    this.from = process.env.MAIL_FROM || 'Zoom Event Platform <no-reply@localhost>';
+  }
+
+  // Transport chosen by MAIL_TRANSPORT, created on first use
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  // Swap the transport (e.g. a MemoryTransport in tests)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Links an attendee uses to manage their registration
+  registrationLinks(token) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+    return {
+      manageUrl: `${frontendUrl}/registrations/${token}`,
+      calendarUrl: `${apiUrl}/api/public/registrations/${token}/calendar.ics`
+    };
+  }
+
+  // Human-readable list of the attendee-facing fields that differ between two versions of an event
+  describeChanges(previous, updated) {
+    return Object.entries(NOTIFIABLE_FIELDS)
+      .filter(([field]) => {
+        const before = previous[field] instanceof Date ? previous[field].getTime() : previous[field];
+        const after = updated[field] instanceof Date ? updated[field].getTime() : updated[field];
+        return before !== after;
+      })
+      .map(([, label]) => label);
+  }
+
+  // Render and send one message, recording it in the delivery log.
+  // Never throws: a failed send is recorded, not propagated to the caller.
+  async send(templateName, to, data, { eventId, attendeeId, userId } = {}) {
+    let delivery = null;
+
+    try {
+      const { subject, text, html } = render(templateName, data);
+      const transport = this.getTransport();
+
+      delivery = await prisma.emailDelivery.create({
+        data: {
+          template: templateName,
+          recipient: to,
+          subject,
+          transport: transport.name,
+          status: 'pending',
+          eventId,
+          attendeeId,
+          userId
+        }
+      });
+
+      const { messageId } = await transport.send({ from: this.from, to, subject, text, html });
+
+      return await prisma.emailDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          status: 'sent',
+          messageId,
+          sentAt: new Date()
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to send ${templateName} email to ${to}:`, error.message);
+
+      if (delivery) {
+        return prisma.emailDelivery.update({
+          where: { id: delivery.id },
+          data: {
+            status: 'failed',
+            error: error.message
+          }
+        }).catch(() => null);
+      }
+
+      return null;
+    }
+  }
+
+  // Notify everyone registered for an event. Recipients are loaded before this
+  // resolves (so it is safe to delete the event afterwards); delivery continues
+  // in the background and each message records its own outcome.
+  async notifyEventAttendees(event, templateName, data = {}) {
+    const attendees = await prisma.attendee.findMany({
+      where: {
+        eventId: event.id,
+        status: { in: NOTIFIABLE_STATUSES }
+      }
+    });
+
+    const deliver = async () => {
+      for (const attendee of attendees) {
+        await this.send(templateName, attendee.email, { ...data, attendee, event }, {
+          eventId: event.id,
+          attendeeId: attendee.id
+        });
+      }
+    };
+
+    deliver().catch(error => console.error(`Failed to notify attendees of event ${event.id}:`, error));
+
+    return attendees.length;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,348 @@
+const { PrismaClient } = require('@prisma/client');
+const zoomSyncService = require('./zoomSyncService');
+
+const prisma = new PrismaClient();
+
+// Highest first; each role can do everything the roles below it can
+const ROLES = ['owner', 'admin', 'organizer', 'moderator', 'viewer'];
+const ROLE_RANK = Object.fromEntries(ROLES.map((role, i) => [role, ROLES.length - i]));
+
+// Roles only an owner may grant, change or remove
+const OWNER_MANAGED = ['owner', 'admin'];
+
+// Organization request that can't be honoured; routes turn it into a response
+class OrganizationError extends Error {
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const slugify = (name) => String(name)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40) || 'org';
+
+const MEMBER_INCLUDE = {
+  user: { select: { id: true, email: true, name: true, avatar: true } }
+};
+
+class OrganizationService {
+  // Whether `role` is at least `required`
+  hasRole(role, required) {
+    return (ROLE_RANK[role] || 0) >= (ROLE_RANK[required] || Infinity);
+  }
+
+  // A slug not taken yet; a short suffix is added on collision
+  async uniqueSlug(name) {
+    const base = slugify(name);
+    let slug = base;
+
+    for (let attempt = 0; await prisma.organization.findUnique({ where: { slug } }); attempt++) {
+      slug = `${base}-${Math.random().toString(36).slice(2, 2 + Math.min(4 + attempt, 8))}`;
+    }
+
+    return slug;
+  }
+
+  // The user's personal workspace, created on first use. Events and series
+  // from before organizations existed move into it.
+  async ensurePersonalOrganization(user) {
+    const existing = await prisma.organization.findUnique({
+      where: { personalUserId: user.id }
+    });
+
+    if (existing) return existing;
+
+    let organization;
+    try {
+      organization = await prisma.organization.create({
+        data: {
+          name: user.name || user.email,
+          slug: await this.uniqueSlug(user.name || user.email.split('@')[0]),
+          personalUserId: user.id,
+          members: { create: { userId: user.id, role: 'owner' } }
+        }
+      });
+    } catch (error) {
+      // Created by a concurrent request; otherwise the slug was taken meanwhile
+      if (error.code !== 'P2002') throw error;
+      const created = await prisma.organization.findUnique({ where: { personalUserId: user.id } });
+      if (!created) throw error;
+      return created;
+    }
+
+    await prisma.$transaction([
+      prisma.event.updateMany({
+        where: { userId: user.id, organizationId: null },
+        data: { organizationId: organization.id }
+      }),
+      prisma.eventSeries.updateMany({
+        where: { userId: user.id, organizationId: null },
+        data: { organizationId: organization.id }
+      })
+    ]);
+
+    return organization;
+  }
+
+  // The user's membership of an organization, or null
+  async getMembership(organizationId, userId) {
+    return prisma.organizationMember.findUnique({
+      where: { organizationId_userId: { organizationId, userId } },
+      include: { organization: true }
+    });
+  }
+
+  // The organization a request acts on: the one asked for, which the user
+  // must belong to, or their personal workspace
+  async resolveForRequest(user, requestedId) {
+    if (requestedId === undefined || requestedId === null || requestedId === '') {
+      const organization = await this.ensurePersonalOrganization(user);
+      return { organization, role: 'owner' };
+    }
+
+    const organizationId = parseInt(requestedId, 10);
+    const membership = Number.isInteger(organizationId) ? await this.getMembership(organizationId, user.id) : null;
+
+    if (!membership) {
+      throw new OrganizationError('Organization not found', { status: 404, code: 'ORGANIZATION_NOT_FOUND' });
+    }
+
+    return { organization: membership.organization, role: membership.role };
+  }
+
+  // Organizations the user belongs to, with their role in each
+  async listForUser(userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    await this.ensurePersonalOrganization(user);
+
+    const memberships = await prisma.organizationMember.findMany({
+      where: { userId: user.id },
+      include: {
+        organization: {
+          include: { _count: { select: { members: true, events: true } } }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return memberships.map(({ organization, role }) => ({ ...organization, role }));
+  }
+
+  // A shared organization owned by its creator
+  async create(user, { name }) {
+    return prisma.organization.create({
+      data: {
+        name: name.trim(),
+        slug: await this.uniqueSlug(name),
+        members: { create: { userId: user.id, role: 'owner' } }
+      }
+    });
+  }
+
+  async update(organizationId, { name, requireTwoFactor }) {
+    return prisma.organization.update({
+      where: { id: organizationId },
+      data: {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(requireTwoFactor !== undefined && { requireTwoFactor })
+      }
+    });
+  }
+
+  // Turning the 2FA requirement on needs the owner to have 2FA themselves,
+  // so they can't lock themselves out
+  async assertCanRequireTwoFactor(organization, actor) {
+    if (organization.personalUserId) {
+      throw new OrganizationError('Two-factor requirements apply to shared organizations', {
+        status: 409,
+        code: 'PERSONAL_ORGANIZATION'
+      });
+    }
+
+    if (!actor.twoFactorEnabledAt) {
+      throw new OrganizationError('Enable two-factor authentication on your account first', {
+        status: 409,
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+  }
+
+  // Members of organizations that require 2FA can only act in them with it on
+  assertTwoFactor(organization, user) {
+    if (organization.requireTwoFactor && !user.twoFactorEnabledAt) {
+      throw new OrganizationError('This organization requires two-factor authentication', {
+        status: 403,
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+  }
+
+  // Shared organizations can be deleted with everything they own; personal ones stay
+  async remove(organization) {
+    if (organization.personalUserId) {
+      throw new OrganizationError('Personal workspaces cannot be deleted', { status: 409, code: 'PERSONAL_ORGANIZATION' });
+    }
+
+    // The provider would keep charging for a subscription nobody can reach
+    const paid = await prisma.subscription.findFirst({
+      where: {
+        organizationId: organization.id,
+        providerSubscriptionId: { not: null },
+        status: { in: ['active', 'past_due'] }
+      }
+    });
+
+    if (paid) {
+      throw new OrganizationError('Cancel the paid subscription before deleting the organization', {
+        status: 409,
+        code: 'SUBSCRIPTION_ACTIVE'
+      });
+    }
+
+    await prisma.organization.delete({ where: { id: organization.id } });
+  }
+
+  async listMembers(organizationId) {
+    return prisma.organizationMember.findMany({
+      where: { organizationId },
+      include: MEMBER_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  checkRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new OrganizationError(`Role must be one of ${ROLES.join(', ')}`, { code: 'INVALID_ROLE' });
+    }
+  }
+
+  // Only owners hand out or take away owner and admin
+  assertCanManage(actorRole, ...roles) {
+    if (actorRole !== 'owner' && roles.some(role => OWNER_MANAGED.includes(role))) {
+      throw new OrganizationError('Only owners can manage owners and admins', { status: 403, code: 'INSUFFICIENT_ROLE' });
+    }
+  }
+
+  // Add an existing user by email
+  async addMember(organization, actorRole, { email, role = 'viewer' }) {
+    this.checkRole(role);
+    this.assertCanManage(actorRole, role);
+
+    if (organization.personalUserId) {
+      throw new OrganizationError('Create a shared organization to invite colleagues', {
+        status: 409,
+        code: 'PERSONAL_ORGANIZATION'
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { email: email.toLowerCase() } });
+
+    if (!user) {
+      throw new OrganizationError('No user with that email', { status: 404, code: 'USER_NOT_FOUND' });
+    }
+
+    try {
+      return await prisma.organizationMember.create({
+        data: { organizationId: organization.id, userId: user.id, role },
+        include: MEMBER_INCLUDE
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new OrganizationError('User is already a member', { status: 409, code: 'ALREADY_MEMBER' });
+      }
+      throw error;
+    }
+  }
+
+  async findMember(organizationId, userId) {
+    const member = await prisma.organizationMember.findUnique({
+      where: { organizationId_userId: { organizationId, userId } },
+      include: MEMBER_INCLUDE
+    });
+
+    if (!member) {
+      throw new OrganizationError('Member not found', { status: 404, code: 'MEMBER_NOT_FOUND' });
+    }
+
+    return member;
+  }
+
+  // An organization always keeps at least one owner
+  async assertNotLastOwner(member) {
+    if (member.role !== 'owner') return;
+
+    const owners = await prisma.organizationMember.count({
+      where: { organizationId: member.organizationId, role: 'owner' }
+    });
+
+    if (owners <= 1) {
+      throw new OrganizationError('An organization needs at least one owner', { status: 409, code: 'LAST_OWNER' });
+    }
+  }
+
+  // Changing to a role below moderator also ends the member's co-hosting
+  async updateMemberRole(organizationId, actorRole, userId, role) {
+    this.checkRole(role);
+    const member = await this.findMember(organizationId, userId);
+
+    this.assertCanManage(actorRole, member.role, role);
+    if (role !== 'owner') await this.assertNotLastOwner(member);
+
+    const updated = await prisma.organizationMember.update({
+      where: { id: member.id },
+      data: { role },
+      include: MEMBER_INCLUDE
+    });
+
+    if (!this.hasRole(role, 'moderator')) {
+      await this.endCohosting(organizationId, userId);
+    }
+
+    return updated;
+  }
+
+  // Remove a member, or leave when it is the actor themselves. Their events
+  // stay with the organization; co-hosting ends with the membership.
+  async removeMember(organizationId, actor, userId) {
+    const member = await this.findMember(organizationId, userId);
+
+    if (userId !== actor.userId) this.assertCanManage(actor.role, member.role);
+    await this.assertNotLastOwner(member);
+
+    await prisma.organizationMember.delete({ where: { id: member.id } });
+    await this.endCohosting(organizationId, userId);
+
+    return member;
+  }
+
+  // Drop the user as co-host of the organization's events and take them off
+  // the Zoom meetings
+  async endCohosting(organizationId, userId) {
+    const cohosted = await prisma.eventCohost.findMany({
+      where: { userId, event: { organizationId } },
+      select: { event: { select: { id: true, zoomMeetingId: true } } }
+    });
+
+    if (cohosted.length === 0) return;
+
+    await prisma.eventCohost.deleteMany({
+      where: { userId, event: { organizationId } }
+    });
+
+    // One sync per meeting; a series' occurrences share theirs
+    const meetings = new Map(cohosted.map(({ event }) => [event.zoomMeetingId || `event:${event.id}`, event.id]));
+    for (const eventId of meetings.values()) {
+      await zoomSyncService.syncAlternativeHosts(eventId);
+    }
+  }
+}
+
+module.exports = new OrganizationService();
+module.exports.OrganizationError = OrganizationError;
+module.exports.ROLES = ROLES;
@@ -0,0 +1,336 @@
+const { PrismaClient } = require('@prisma/client');
+const realtimeService = require('./realtimeService');
+
+const prisma = new PrismaClient();
+
+// Registrations allowed to vote
+const ACTIVE_STATUSES = ['registered', 'joined', 'left'];
+
+const POLL_TYPES = ['single', 'multiple'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+// Allowed status changes: polls can be reopened after closing, but never go back to draft
+const TRANSITIONS = {
+  open: ['draft', 'closed'],
+  closed: ['open']
+};
+
+// Poll request that can't be honoured; routes turn it into a response
+class PollError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'PollError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const OPTIONS_INCLUDE = {
+  options: { orderBy: { position: 'asc' } }
+};
+
+class PollService {
+  // Check a poll definition before saving it
+  validateDefinition({ question, type = 'single', options }) {
+    if (!question || !String(question).trim()) {
+      throw new PollError('Poll question is required', { code: 'INVALID_POLL' });
+    }
+
+    if (!POLL_TYPES.includes(type)) {
+      throw new PollError(`Poll type must be one of ${POLL_TYPES.join(', ')}`, { code: 'INVALID_POLL' });
+    }
+
+    const texts = (options || []).map(o => String(o).trim()).filter(Boolean);
+
+    if (texts.length < MIN_OPTIONS || texts.length > MAX_OPTIONS) {
+      throw new PollError(`A poll needs ${MIN_OPTIONS} to ${MAX_OPTIONS} options`, { code: 'INVALID_OPTIONS' });
+    }
+
+    if (new Set(texts.map(t => t.toLowerCase())).size !== texts.length) {
+      throw new PollError('Poll options must be unique', { code: 'INVALID_OPTIONS' });
+    }
+
+    return texts;
+  }
+
+  // A session of the event, or a 404; null when no session is given
+  async findSession(eventId, sessionId) {
+    if (sessionId === undefined || sessionId === null) return null;
+
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, eventId }
+    });
+
+    if (!session) {
+      throw new PollError('Session not found', { status: 404, code: 'SESSION_NOT_FOUND' });
+    }
+
+    return session;
+  }
+
+  // A poll of the event, or a 404
+  async getForEvent(eventId, pollId) {
+    const poll = await prisma.poll.findFirst({
+      where: { id: pollId, eventId },
+      include: OPTIONS_INCLUDE
+    });
+
+    if (!poll) {
+      throw new PollError('Poll not found', { status: 404, code: 'POLL_NOT_FOUND' });
+    }
+
+    return poll;
+  }
+
+  // Create a draft poll
+  async create(eventId, { question, type = 'single', options, sessionId }) {
+    const texts = this.validateDefinition({ question, type, options });
+    const session = await this.findSession(eventId, sessionId);
+
+    const { _max } = await prisma.poll.aggregate({
+      where: { eventId },
+      _max: { position: true }
+    });
+
+    return prisma.poll.create({
+      data: {
+        question: question.trim(),
+        type,
+        eventId,
+        sessionId: session?.id,
+        position: (_max.position ?? -1) + 1,
+        options: {
+          create: texts.map((text, position) => ({ text, position }))
+        }
+      },
+      include: OPTIONS_INCLUDE
+    });
+  }
+
+  // Edit a draft; once a poll has opened its options are fixed
+  async update(eventId, pollId, changes) {
+    const poll = await this.getForEvent(eventId, pollId);
+
+    if (poll.status !== 'draft') {
+      throw new PollError('Only draft polls can be edited', { status: 409, code: 'POLL_NOT_DRAFT' });
+    }
+
+    const merged = {
+      question: changes.question ?? poll.question,
+      type: changes.type ?? poll.type,
+      options: changes.options ?? poll.options.map(o => o.text)
+    };
+    const texts = this.validateDefinition(merged);
+    const session = changes.sessionId !== undefined ? await this.findSession(eventId, changes.sessionId) : undefined;
+
+    return prisma.$transaction(async (tx) => {
+      if (changes.options) {
+        await tx.pollOption.deleteMany({ where: { pollId: poll.id } });
+        await tx.pollOption.createMany({
+          data: texts.map((text, position) => ({ text, position, pollId: poll.id }))
+        });
+      }
+
+      return tx.poll.update({
+        where: { id: poll.id },
+        data: {
+          question: merged.question.trim(),
+          type: merged.type,
+          ...(session !== undefined && { sessionId: session?.id ?? null })
+        },
+        include: OPTIONS_INCLUDE
+      });
+    });
+  }
+
+  // Open or close a poll. Closing publishes the final results.
+  async setStatus(eventId, pollId, status) {
+    const poll = await this.getForEvent(eventId, pollId);
+
+    if (!TRANSITIONS[status] || !TRANSITIONS[status].includes(poll.status)) {
+      throw new PollError(`A ${poll.status} poll cannot be ${status === 'open' ? 'opened' : 'closed'}`, {
+        status: 409,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    // Guarded on the current status so concurrent requests can't both apply
+    const { count } = await prisma.poll.updateMany({
+      where: { id: poll.id, status: poll.status },
+      data: {
+        status,
+        ...(status === 'open' && { openedAt: poll.openedAt || new Date(), closedAt: null }),
+        ...(status === 'closed' && { closedAt: new Date() })
+      }
+    });
+
+    if (count === 0) {
+      throw new PollError('The poll changed, try again', { status: 409, code: 'INVALID_TRANSITION' });
+    }
+
+    const updated = await this.getForEvent(eventId, pollId);
+    const results = await this.results(updated);
+
+    realtimeService.publish(eventId, status === 'open' ? 'poll.opened' : 'poll.closed', results);
+
+    return results;
+  }
+
+  async remove(eventId, pollId) {
+    const poll = await this.getForEvent(eventId, pollId);
+    await prisma.poll.delete({ where: { id: poll.id } });
+    return poll;
+  }
+
+  // Record the attendee's choice, replacing an earlier one while the poll is open
+  async respond(attendee, pollId, optionIds) {
+    if (!ACTIVE_STATUSES.includes(attendee.status)) {
+      throw new PollError('Registration is not active', { status: 403, code: 'NOT_REGISTERED' });
+    }
+
+    const poll = await prisma.poll.findFirst({
+      where: { id: pollId, eventId: attendee.eventId, status: { not: 'draft' } },
+      include: OPTIONS_INCLUDE
+    });
+
+    if (!poll) {
+      throw new PollError('Poll not found', { status: 404, code: 'POLL_NOT_FOUND' });
+    }
+
+    if (poll.status !== 'open') {
+      throw new PollError('This poll is closed', { status: 409, code: 'POLL_CLOSED' });
+    }
+
+    const chosen = [...new Set(optionIds.map(Number))];
+    const validIds = new Set(poll.options.map(o => o.id));
+
+    if (chosen.length === 0 || chosen.some(id => !validIds.has(id))) {
+      throw new PollError('Choose from the poll options', { code: 'INVALID_CHOICE' });
+    }
+
+    if (poll.type === 'single' && chosen.length !== 1) {
+      throw new PollError('Choose exactly one option', { code: 'INVALID_CHOICE' });
+    }
+
+    // Locking the attendee row makes their concurrent responses replace each
+    // other in turn, so a single-choice poll can't end up with two votes
+    await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "Attendee" WHERE "id" = ${attendee.id} FOR UPDATE`;
+
+      await tx.pollVote.deleteMany({ where: { pollId: poll.id, attendeeId: attendee.id } });
+      await tx.pollVote.createMany({
+        data: chosen.map(optionId => ({ pollId: poll.id, optionId, attendeeId: attendee.id })),
+        skipDuplicates: true
+      });
+    });
+
+    const results = await this.results(poll);
+    realtimeService.publish(attendee.eventId, 'poll.response', results);
+
+    return chosen;
+  }
+
+  // Votes per option. Percentages are of respondents, so in a multiple-choice
+  // poll they can add up to more than 100.
+  async results(poll) {
+    const [byOption, respondents] = await Promise.all([
+      prisma.pollVote.groupBy({
+        by: ['optionId'],
+        where: { pollId: poll.id },
+        _count: { _all: true }
+      }),
+      prisma.pollVote.groupBy({
+        by: ['attendeeId'],
+        where: { pollId: poll.id }
+      })
+    ]);
+
+    const votes = new Map(byOption.map(o => [o.optionId, o._count._all]));
+    const total = respondents.length;
+
+    return {
+      id: poll.id,
+      question: poll.question,
+      type: poll.type,
+      status: poll.status,
+      sessionId: poll.sessionId,
+      openedAt: poll.openedAt,
+      closedAt: poll.closedAt,
+      respondents: total,
+      options: poll.options.map(option => ({
+        id: option.id,
+        text: option.text,
+        votes: votes.get(option.id) || 0,
+        percent: total ? Math.round((votes.get(option.id) || 0) / total * 1000) / 10 : 0
+      }))
+    };
+  }
+
+  // Every poll of the event with its results, in display order
+  async listForEvent(eventId) {
+    const polls = await prisma.poll.findMany({
+      where: { eventId },
+      include: OPTIONS_INCLUDE,
+      orderBy: { position: 'asc' }
+    });
+
+    const results = [];
+    for (const poll of polls) {
+      results.push(await this.results(poll));
+    }
+    return results;
+  }
+
+  // Open and closed polls for an attendee with their own choices. Results are
+  // only shown once a poll closes, so early votes don't sway later ones.
+  async listForAttendee(attendee) {
+    const polls = await prisma.poll.findMany({
+      where: { eventId: attendee.eventId, status: { in: ['open', 'closed'] } },
+      include: {
+        ...OPTIONS_INCLUDE,
+        votes: {
+          where: { attendeeId: attendee.id },
+          select: { optionId: true }
+        }
+      },
+      orderBy: { position: 'asc' }
+    });
+
+    const listed = [];
+    for (const poll of polls) {
+      const base = {
+        id: poll.id,
+        question: poll.question,
+        type: poll.type,
+        status: poll.status,
+        sessionId: poll.sessionId,
+        options: poll.options.map(o => ({ id: o.id, text: o.text })),
+        myChoices: poll.votes.map(v => v.optionId)
+      };
+
+      listed.push(poll.status === 'closed' ? { ...base, results: await this.results(poll) } : base);
+    }
+    return listed;
+  }
+
+  // Counts for analytics
+  async summary(eventId) {
+    const [polls, responses, respondents, registered] = await Promise.all([
+      prisma.poll.count({ where: { eventId, status: { not: 'draft' } } }),
+      prisma.pollVote.groupBy({ by: ['pollId', 'attendeeId'], where: { poll: { eventId } } }),
+      prisma.pollVote.groupBy({ by: ['attendeeId'], where: { poll: { eventId } } }),
+      prisma.attendee.count({ where: { eventId, status: { in: [...ACTIVE_STATUSES, 'no_show'] } } })
+    ]);
+
+    return {
+      polls,
+      responses: responses.length,
+      respondents: respondents.length,
+      participationRate: registered ? Math.round(respondents.length / registered * 1000) / 10 : 0
+    };
+  }
+}
+
+module.exports = new PollService();
+module.exports.PollError = PollError;
@@ -0,0 +1,136 @@
+const { EventEmitter } = require('events');
+
+// Every backend exposes publish(topic, message), subscribe(topic, handler) ->
+// unsubscribe() and close(). Messages are JSON-serializable values; handlers
+// on every instance sharing the backend receive them.
+
+// Single process only; the default, and what tests use
+class MemoryPubSub {
+  constructor() {
+    this.name = 'memory';
+    this.emitter = new EventEmitter();
+    // One listener per open stream, so the default limit of 10 is far too low
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(topic, message) {
+    this.emitter.emit(topic, message);
+  }
+
+  subscribe(topic, handler) {
+    this.emitter.on(topic, handler);
+    return () => this.emitter.off(topic, handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+// Postgres LISTEN/NOTIFY, so instances sharing the database share messages
+// without extra infrastructure. One connection LISTENs on a single channel and
+// fans out by topic locally; NOTIFY payloads are limited to 8000 bytes.
+class PostgresPubSub {
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.connectionString = options.connectionString || process.env.PUBSUB_DATABASE_URL || process.env.DATABASE_URL;
+    this.channel = options.channel || process.env.PUBSUB_CHANNEL || 'realtime';
+
+    // Interpolated into LISTEN, which can't take a bind parameter
+    if (!/^[a-z_][a-z0-9_]*$/i.test(this.channel)) {
+      throw new Error(`Invalid pub/sub channel name: ${this.channel}`);
+    }
+
+    this.reconnectDelayMs = 5000;
+    this.local = new MemoryPubSub();
+    this.client = null;
+    this.connecting = null;
+    this.closed = false;
+  }
+
+  // Connect and LISTEN on first use; reconnects after the connection drops
+  connect() {
+    if (this.client) return Promise.resolve(this.client);
+    if (this.connecting) return this.connecting;
+
+    const { Client } = require('pg');
+    const client = new Client({ connectionString: this.connectionString });
+
+    client.on('notification', ({ payload }) => {
+      try {
+        const { topic, message } = JSON.parse(payload);
+        this.local.publish(topic, message);
+      } catch (error) {
+        console.error('Pub/sub message error:', error.message);
+      }
+    });
+
+    client.on('error', (error) => {
+      console.error('Pub/sub connection error:', error.message);
+      this.client = null;
+      client.end().catch(() => {});
+
+      if (!this.closed) {
+        setTimeout(() => this.connect().catch(() => {}), this.reconnectDelayMs).unref();
+      }
+    });
+
+    this.connecting = client.connect()
+      .then(() => client.query(`LISTEN "${this.channel}"`))
+      .then(() => {
+        this.client = client;
+        return client;
+      })
+      .catch((error) => {
+        client.end().catch(() => {});
+        throw error;
+      })
+      .finally(() => {
+        this.connecting = null;
+      });
+
+    return this.connecting;
+  }
+
+  async publish(topic, message) {
+    const client = await this.connect();
+    await client.query('SELECT pg_notify($1, $2)', [this.channel, JSON.stringify({ topic, message })]);
+  }
+
+  subscribe(topic, handler) {
+    this.connect().catch(error => console.error('Pub/sub connect error:', error.message));
+    return this.local.subscribe(topic, handler);
+  }
+
+  async close() {
+    this.closed = true;
+    await this.local.close();
+    if (this.client) {
+      await this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+const BACKENDS = {
+  memory: MemoryPubSub,
+  postgres: PostgresPubSub
+};
+
+// Build the backend named by PUBSUB_BACKEND (memory by default)
+const createPubSub = (name = process.env.PUBSUB_BACKEND, options = {}) => {
+  const backendName = name || 'memory';
+  const Backend = BACKENDS[backendName];
+
+  if (!Backend) {
+    throw new Error(`Unknown pub/sub backend: ${backendName}`);
+  }
+
+  return new Backend(options);
+};
+
+module.exports = {
+  createPubSub,
+  MemoryPubSub,
+  PostgresPubSub
+};
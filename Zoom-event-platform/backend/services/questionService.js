@@ -0,0 +1,265 @@
+const { PrismaClient } = require('@prisma/client');
+const realtimeService = require('./realtimeService');
+
+const prisma = new PrismaClient();
+
+// Registrations allowed to ask and vote
+const ACTIVE_STATUSES = ['registered', 'joined', 'left'];
+
+const MODERATION_STATUSES = ['pending', 'approved', 'hidden'];
+
+// Most useful first: pinned, then most upvoted, then oldest
+const QUESTION_ORDER = [{ pinned: 'desc' }, { upvoteCount: 'desc' }, { createdAt: 'asc' }];
+
+// Q&A request that can't be honoured; routes turn it into a response
+class QuestionError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'QuestionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class QuestionService {
+  // Attendees take part while their registration is active and the event hasn't finished
+  assertCanParticipate(attendee, event = attendee.event) {
+    if (!ACTIVE_STATUSES.includes(attendee.status)) {
+      throw new QuestionError('Registration is not active', { status: 403, code: 'NOT_REGISTERED' });
+    }
+
+    if (['cancelled', 'completed'].includes(event.status)) {
+      throw new QuestionError('Q&A is closed for this event', { status: 409, code: 'QA_CLOSED' });
+    }
+  }
+
+  // A session of the event, or a 404; null when no session is given
+  async findSession(eventId, sessionId) {
+    if (sessionId === undefined || sessionId === null) return null;
+
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, eventId }
+    });
+
+    if (!session) {
+      throw new QuestionError('Session not found', { status: 404, code: 'SESSION_NOT_FOUND' });
+    }
+
+    return session;
+  }
+
+  // Submit a question; it waits for a moderator before others see it
+  async ask(attendee, { body, sessionId }) {
+    this.assertCanParticipate(attendee);
+    const session = await this.findSession(attendee.eventId, sessionId);
+
+    const question = await prisma.question.create({
+      data: {
+        body,
+        eventId: attendee.eventId,
+        sessionId: session?.id,
+        attendeeId: attendee.id
+      }
+    });
+
+    realtimeService.publish(attendee.eventId, 'question.created', this.toModeratorQuestion({ ...question, attendee }));
+
+    return question;
+  }
+
+  // Approved questions, plus the attendee's own whatever their status
+  async listForAttendee(attendee, { sessionId } = {}) {
+    const questions = await prisma.question.findMany({
+      where: {
+        eventId: attendee.eventId,
+        ...(sessionId && { sessionId }),
+        OR: [{ status: 'approved' }, { attendeeId: attendee.id }]
+      },
+      include: {
+        votes: {
+          where: { attendeeId: attendee.id },
+          select: { id: true }
+        }
+      },
+      orderBy: QUESTION_ORDER
+    });
+
+    return questions.map(q => this.toPublicQuestion(q, attendee.id));
+  }
+
+  // Every question of the event for moderators, with who asked it
+  async listForModerator(eventId, { status, sessionId } = {}) {
+    const questions = await prisma.question.findMany({
+      where: {
+        eventId,
+        ...(status && { status }),
+        ...(sessionId && { sessionId })
+      },
+      include: { attendee: true },
+      orderBy: QUESTION_ORDER
+    });
+
+    return questions.map(q => this.toModeratorQuestion(q));
+  }
+
+  // An approved question of the attendee's event, or a 404
+  async findVotable(attendee, questionId) {
+    const question = await prisma.question.findFirst({
+      where: { id: questionId, eventId: attendee.eventId, status: 'approved' }
+    });
+
+    if (!question) {
+      throw new QuestionError('Question not found', { status: 404, code: 'QUESTION_NOT_FOUND' });
+    }
+
+    return question;
+  }
+
+  // Upvote a question once; repeating it is a no-op
+  async upvote(attendee, questionId) {
+    this.assertCanParticipate(attendee);
+    const question = await this.findVotable(attendee, questionId);
+
+    if (question.attendeeId === attendee.id) {
+      throw new QuestionError('You cannot upvote your own question', { code: 'OWN_QUESTION' });
+    }
+
+    try {
+      const [, updated] = await prisma.$transaction([
+        prisma.questionVote.create({
+          data: { questionId: question.id, attendeeId: attendee.id }
+        }),
+        prisma.question.update({
+          where: { id: question.id },
+          data: { upvoteCount: { increment: 1 } }
+        })
+      ]);
+
+      realtimeService.publish(attendee.eventId, 'question.upvoted', { id: updated.id, upvoteCount: updated.upvoteCount });
+      return updated;
+    } catch (error) {
+      // Already upvoted
+      if (error.code === 'P2002') return question;
+      throw error;
+    }
+  }
+
+  // Take back an upvote
+  async removeUpvote(attendee, questionId) {
+    const question = await this.findVotable(attendee, questionId);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.questionVote.deleteMany({
+        where: { questionId: question.id, attendeeId: attendee.id }
+      });
+
+      if (count === 0) return null;
+
+      return tx.question.update({
+        where: { id: question.id },
+        data: { upvoteCount: { decrement: 1 } }
+      });
+    });
+
+    if (!updated) return question;
+
+    realtimeService.publish(attendee.eventId, 'question.upvoted', { id: updated.id, upvoteCount: updated.upvoteCount });
+    return updated;
+  }
+
+  // Approve, hide, pin or answer a question. An empty answer clears it.
+  async moderate(eventId, questionId, { status, pinned, answer }) {
+    const question = await prisma.question.findFirst({
+      where: { id: questionId, eventId }
+    });
+
+    if (!question) {
+      throw new QuestionError('Question not found', { status: 404, code: 'QUESTION_NOT_FOUND' });
+    }
+
+    if (status !== undefined && !MODERATION_STATUSES.includes(status)) {
+      throw new QuestionError(`Status must be one of ${MODERATION_STATUSES.join(', ')}`, { code: 'INVALID_STATUS' });
+    }
+
+    const data = {};
+    if (status !== undefined) data.status = status;
+    if (pinned !== undefined) data.pinned = pinned;
+    if (answer !== undefined) {
+      data.answer = answer || null;
+      data.answeredAt = answer ? new Date() : null;
+      // Answering a pending question publishes it
+      if (answer && question.status === 'pending' && status === undefined) data.status = 'approved';
+    }
+
+    const updated = await prisma.question.update({
+      where: { id: question.id },
+      data,
+      include: { attendee: true }
+    });
+
+    realtimeService.publish(eventId, 'question.updated', this.toModeratorQuestion(updated));
+
+    return updated;
+  }
+
+  // Counts for analytics
+  async summary(eventId) {
+    const [byStatus, answered, votes, askers] = await Promise.all([
+      prisma.question.groupBy({
+        by: ['status'],
+        where: { eventId },
+        _count: { _all: true }
+      }),
+      prisma.question.count({ where: { eventId, answeredAt: { not: null } } }),
+      prisma.question.aggregate({ where: { eventId }, _sum: { upvoteCount: true } }),
+      prisma.question.groupBy({ by: ['attendeeId'], where: { eventId } })
+    ]);
+
+    const counts = Object.fromEntries(byStatus.map(s => [s.status, s._count._all]));
+
+    return {
+      total: byStatus.reduce((sum, s) => sum + s._count._all, 0),
+      pending: counts.pending || 0,
+      approved: counts.approved || 0,
+      hidden: counts.hidden || 0,
+      answered,
+      upvotes: votes._sum.upvoteCount || 0,
+      askers: askers.length
+    };
+  }
+
+  // Question as shown to attendees: anonymous, with whether it is theirs
+  toPublicQuestion(question, attendeeId) {
+    return {
+      id: question.id,
+      body: question.body,
+      status: question.status,
+      pinned: question.pinned,
+      answer: question.answer,
+      answeredAt: question.answeredAt,
+      upvoteCount: question.upvoteCount,
+      sessionId: question.sessionId,
+      createdAt: question.createdAt,
+      mine: question.attendeeId === attendeeId,
+      upvoted: Boolean(question.votes && question.votes.length)
+    };
+  }
+
+  // Question as shown to moderators, with who asked it
+  toModeratorQuestion(question) {
+    const { attendee, votes, ...rest } = question;
+
+    return {
+      ...rest,
+      askedBy: attendee ? {
+        id: attendee.id,
+        email: attendee.email,
+        firstName: attendee.firstName,
+        lastName: attendee.lastName
+      } : null
+    };
+  }
+}
+
+module.exports = new QuestionService();
+module.exports.QuestionError = QuestionError;
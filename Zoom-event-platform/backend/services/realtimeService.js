@@ -0,0 +1,73 @@
+const jwt = require('jsonwebtoken');
+const { createPubSub } = require('./pubsub');
+
+// Stream tickets only have to survive the gap between fetching one and opening the stream
+const TICKET_TTL_SECONDS = 60;
+
+// Live updates for organizers watching an event. Producers publish through
+// the pub/sub backend, so a stream on any instance sees updates handled on another.
+class RealtimeService {
+  constructor() {
+    this.pubsub = null;
+  }
+
+  // Backend chosen by PUBSUB_BACKEND, created on first use
+  getPubSub() {
+    if (!this.pubsub) {
+      this.pubsub = createPubSub();
+    }
+    return this.pubsub;
+  }
+
+  // Swap the backend (e.g. a fresh MemoryPubSub in tests)
+  setPubSub(pubsub) {
+    this.pubsub = pubsub;
+  }
+
+  topic(eventId) {
+    return `event:${eventId}`;
+  }
+
+  // Send an update to everyone watching the event. Live updates are
+  // best-effort, so this never throws or holds up the caller.
+  publish(eventId, type, data = {}) {
+    const message = { type, eventId: Number(eventId), data, at: new Date().toISOString() };
+
+    try {
+      this.getPubSub().publish(this.topic(eventId), message)
+        .catch(error => console.error(`Realtime publish error (${type}):`, error.message));
+    } catch (error) {
+      console.error(`Realtime publish error (${type}):`, error.message);
+    }
+  }
+
+  // Receive the event's updates; returns the unsubscribe function
+  subscribe(eventId, handler) {
+    return this.getPubSub().subscribe(this.topic(eventId), handler);
+  }
+
+  // Short-lived ticket for opening a stream. EventSource can't send an
+  // Authorization header, so the ticket travels in the query string instead.
+  createTicket(userId, eventId) {
+    const ticket = jwt.sign(
+      { sub: userId, eid: String(eventId), purpose: 'live_stream' },
+      process.env.JWT_SECRET,
+      { expiresIn: TICKET_TTL_SECONDS }
+    );
+
+    return { ticket, expiresIn: TICKET_TTL_SECONDS };
+  }
+
+  // User id from a ticket issued for this event, or null
+  verifyTicket(ticket, eventId) {
+    try {
+      const payload = jwt.verify(ticket, process.env.JWT_SECRET);
+      if (payload.purpose !== 'live_stream' || payload.eid !== String(eventId)) return null;
+      return payload.sub;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new RealtimeService();
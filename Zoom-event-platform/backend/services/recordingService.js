@@ -0,0 +1,397 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const zoomService = require('./zoomService');
+const attendanceService = require('./attendanceService');
+const notificationService = require('./notificationService');
+const tokenCipher = require('./tokenCipher');
+
+const prisma = new PrismaClient();
+
+// Registrations that may watch a published recording; no-shows are its main audience
+const ENTITLED_STATUSES = ['registered', 'joined', 'left', 'no_show'];
+
+// Files attendees can play, and the Resource mimetype for each
+const PLAYABLE_TYPES = {
+  MP4: 'video/mp4',
+  M4A: 'audio/mp4'
+};
+
+// Zoom's download_token is valid for 24 hours after the webhook
+const DOWNLOAD_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Recording request that can't be honoured; routes turn it into a response
+class RecordingError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'RecordingError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+class RecordingService {
+  constructor() {
+    this.linkTtlHours = parseInt(process.env.RECORDING_LINK_TTL_HOURS || '72', 10);
+  }
+
+  // Column values for one file of a recording.completed payload
+  fileData(file) {
+    const recordingStart = toDate(file.recording_start);
+    const recordingEnd = toDate(file.recording_end);
+
+    return {
+      fileType: file.file_type,
+      fileExtension: file.file_extension || null,
+      recordingType: file.recording_type || null,
+      fileSize: BigInt(file.file_size || 0),
+      durationSeconds: recordingStart && recordingEnd ? Math.round((recordingEnd - recordingStart) / 1000) : null,
+      recordingStart,
+      recordingEnd,
+      playUrl: file.play_url || null,
+      downloadUrl: file.download_url || null
+    };
+  }
+
+  // Organizer-facing Resource for a playable file
+  resourceData(recording, file, event) {
+    const extension = (file.fileExtension || file.fileType).toLowerCase();
+    const label = file.recordingType ? file.recordingType.replace(/_/g, ' ') : file.fileType;
+
+    return {
+      title: `Recording: ${recording.topic || event.title}`,
+      description: label,
+      filename: `${file.zoomFileId}.${extension}`,
+      originalName: `${recording.topic || event.title} (${label}).${extension}`,
+      size: file.fileSize,
+      mimetype: PLAYABLE_TYPES[file.fileType],
+      url: `/api/events/${event.id}/recordings/${recording.id}/files/${file.id}`,
+      eventId: event.id,
+      uploadedBy: event.userId
+    };
+  }
+
+  // Handle recording.completed: store the recording and its files against the
+  // event and list the playable files as resources. Zoom sends it again when
+  // files are added later (e.g. a transcript), so everything is upserted.
+  async handleRecordingCompleted(payload, { downloadToken, eventTs } = {}) {
+    const meeting = payload.object;
+    const event = await attendanceService.findEventForMeeting(meeting);
+
+    if (!event) {
+      console.warn(`recording.completed for unknown Zoom meeting ${meeting.id}`);
+      return null;
+    }
+
+    const data = {
+      zoomMeetingId: String(meeting.id),
+      topic: meeting.topic || null,
+      startTime: toDate(meeting.start_time) || event.startTime,
+      durationMinutes: meeting.duration || 0,
+      totalSize: BigInt(meeting.total_size || 0),
+      shareUrl: meeting.share_url || null,
+      expiresAt: toDate(meeting.auto_delete_date),
+      // Only kept when it can be stored encrypted; the account token works without it
+      ...(downloadToken && process.env.ZOOM_TOKEN_ENCRYPTION_KEY && {
+        downloadTokenEncrypted: tokenCipher.encrypt(downloadToken),
+        downloadTokenExpiresAt: new Date((eventTs || Date.now()) + DOWNLOAD_TOKEN_TTL_MS)
+      })
+    };
+
+    const recording = await prisma.recording.upsert({
+      where: { zoomMeetingUuid: meeting.uuid },
+      create: { ...data, zoomMeetingUuid: meeting.uuid, eventId: event.id },
+      update: data
+    });
+
+    for (const zoomFile of meeting.recording_files || []) {
+      // Still processing; it arrives in a later delivery
+      if (!zoomFile.id || zoomFile.status === 'processing') continue;
+
+      const file = await prisma.recordingFile.upsert({
+        where: { zoomFileId: zoomFile.id },
+        create: { ...this.fileData(zoomFile), zoomFileId: zoomFile.id, recordingId: recording.id },
+        update: this.fileData(zoomFile)
+      });
+
+      if (PLAYABLE_TYPES[file.fileType]) {
+        const resource = this.resourceData(recording, file, event);
+
+        await prisma.resource.upsert({
+          where: { recordingFileId: file.id },
+          create: { ...resource, recordingFileId: file.id },
+          update: resource
+        });
+      }
+    }
+
+    return recording;
+  }
+
+  // Handle recording.trashed and recording.deleted. A payload listing files
+  // removes just those; the recording goes once no files are left.
+  async handleRecordingDeleted(payload) {
+    const meeting = payload.object;
+    const recording = await prisma.recording.findUnique({
+      where: { zoomMeetingUuid: meeting.uuid }
+    });
+
+    if (!recording) return null;
+
+    const fileIds = (meeting.recording_files || []).map(f => f.id).filter(Boolean);
+
+    if (fileIds.length > 0) {
+      await prisma.recordingFile.deleteMany({
+        where: { recordingId: recording.id, zoomFileId: { in: fileIds } }
+      });
+
+      const remaining = await prisma.recordingFile.count({ where: { recordingId: recording.id } });
+      if (remaining > 0) return recording;
+    }
+
+    await prisma.recording.deleteMany({ where: { id: recording.id } });
+    return recording;
+  }
+
+  // Recordings of an event, newest first
+  async listForEvent(eventId, { publishedOnly = false } = {}) {
+    return prisma.recording.findMany({
+      where: {
+        eventId,
+        ...(publishedOnly && { status: 'published' })
+      },
+      include: {
+        files: { orderBy: { recordingStart: 'asc' } }
+      },
+      orderBy: { startTime: 'desc' }
+    });
+  }
+
+  // A recording of the event, or a 404
+  async getForEvent(eventId, recordingId) {
+    const recording = await prisma.recording.findFirst({
+      where: { id: recordingId, eventId },
+      include: { files: true }
+    });
+
+    if (!recording) {
+      throw new RecordingError('Recording not found', { status: 404, code: 'RECORDING_NOT_FOUND' });
+    }
+
+    return recording;
+  }
+
+  // Make the recording available to attendees. The first publish emails each
+  // entitled attendee a personal link unless notify is false.
+  async publish(event, recordingId, { notify = true } = {}) {
+    const recording = await this.getForEvent(event.id, recordingId);
+
+    const published = await prisma.recording.update({
+      where: { id: recording.id },
+      data: {
+        status: 'published',
+        publishedAt: recording.publishedAt || new Date(),
+        ...(notify && !recording.notifiedAt && { notifiedAt: new Date() })
+      },
+      include: { files: true }
+    });
+
+    const notified = notify && !recording.notifiedAt
+      ? await this.notifyAttendees(event, published)
+      : 0;
+
+    return { recording: published, notified };
+  }
+
+  // Withdraw the recording; links already sent stop working
+  async unpublish(event, recordingId) {
+    const recording = await this.getForEvent(event.id, recordingId);
+
+    return prisma.recording.update({
+      where: { id: recording.id },
+      data: { status: 'unpublished' },
+      include: { files: true }
+    });
+  }
+
+  // Remove the recording here and optionally from Zoom ('trash' or 'delete').
+  // Zoom is asked first, so a failure there leaves both sides untouched.
+  async remove(event, recordingId, { fromZoom = false, action = 'trash' } = {}) {
+    const recording = await this.getForEvent(event.id, recordingId);
+
+    if (fromZoom) {
+      const zoom = await zoomService.forMeeting(event);
+      await zoom.deleteMeetingRecordings(recording.zoomMeetingUuid, { action });
+    }
+
+    await prisma.recording.deleteMany({ where: { id: recording.id } });
+    return recording;
+  }
+
+  // Email entitled attendees their links. Recipients are loaded before this
+  // resolves; delivery continues in the background.
+  async notifyAttendees(event, recording) {
+    const attendees = await prisma.attendee.findMany({
+      where: {
+        eventId: event.id,
+        status: { in: ENTITLED_STATUSES }
+      }
+    });
+
+    const deliver = async () => {
+      for (const attendee of attendees) {
+        const { url, expiresAt } = this.createAccessLink(recording, attendee);
+
+        await notificationService.send('recordingAvailable', attendee.email, {
+          attendee,
+          event,
+          recordingUrl: url,
+          expiresAt
+        }, {
+          eventId: event.id,
+          attendeeId: attendee.id
+        });
+      }
+    };
+
+    deliver().catch(error => console.error(`Failed to send recording links for event ${event.id}:`, error));
+
+    return attendees.length;
+  }
+
+  // Signed, expiring link for one attendee to one recording
+  createAccessLink(recording, attendee) {
+    const token = jwt.sign(
+      { purpose: 'recording_access', rid: recording.id, aid: attendee.id },
+      process.env.JWT_SECRET,
+      { expiresIn: `${this.linkTtlHours}h` }
+    );
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    return {
+      token,
+      url: `${frontendUrl}/recordings/${token}`,
+      expiresAt: new Date(Date.now() + this.linkTtlHours * 60 * 60 * 1000)
+    };
+  }
+
+  // Published recordings of the attendee's event, each with a fresh link
+  async listForAttendee(attendee) {
+    if (!ENTITLED_STATUSES.includes(attendee.status)) {
+      throw new RecordingError('Registration is not active', { status: 403, code: 'NOT_ENTITLED' });
+    }
+
+    const recordings = await this.listForEvent(attendee.eventId, { publishedOnly: true });
+
+    return recordings.map(recording => {
+      const { token, expiresAt } = this.createAccessLink(recording, attendee);
+      return { ...this.toPublicRecording(recording, token), linkExpiresAt: expiresAt };
+    });
+  }
+
+  // Recording behind an access link. Entitlement is checked on every use, so
+  // unpublishing or cancelling the registration revokes links already sent.
+  async resolveAccessToken(token) {
+    let payload;
+
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+      if (payload.purpose !== 'recording_access') throw new Error('Wrong token purpose');
+    } catch (error) {
+      throw new RecordingError('This recording link is invalid or has expired', { status: 401, code: 'INVALID_LINK' });
+    }
+
+    const [recording, attendee] = await Promise.all([
+      prisma.recording.findUnique({
+        where: { id: payload.rid },
+        include: { files: true, event: true }
+      }),
+      prisma.attendee.findUnique({ where: { id: payload.aid } })
+    ]);
+
+    if (!recording || recording.status !== 'published') {
+      throw new RecordingError('Recording not found', { status: 404, code: 'RECORDING_NOT_FOUND' });
+    }
+
+    if (!attendee || attendee.eventId !== recording.eventId || !ENTITLED_STATUSES.includes(attendee.status)) {
+      throw new RecordingError('Registration is not active', { status: 403, code: 'NOT_ENTITLED' });
+    }
+
+    return { recording, attendee };
+  }
+
+  // Open a playable file of the recording as a stream from Zoom
+  async openFile(recording, fileId, { range, event } = {}) {
+    const file = recording.files.find(f => String(f.id) === String(fileId));
+
+    if (!file || !PLAYABLE_TYPES[file.fileType] || !file.downloadUrl) {
+      throw new RecordingError('Recording file not found', { status: 404, code: 'FILE_NOT_FOUND' });
+    }
+
+    const downloadToken = recording.downloadTokenEncrypted && recording.downloadTokenExpiresAt > new Date()
+      ? tokenCipher.decrypt(recording.downloadTokenEncrypted)
+      : undefined;
+
+    try {
+      const zoom = downloadToken ? zoomService : await zoomService.forMeeting(event);
+      return await zoom.downloadRecordingFile(file.downloadUrl, { range, downloadToken });
+    } catch (error) {
+      if (error.status === 404) {
+        throw new RecordingError('The recording is no longer available in Zoom', { status: 410, code: 'RECORDING_GONE' });
+      }
+      throw error;
+    }
+  }
+
+  // Pipe a file opened with openFile to the HTTP response, keeping the
+  // range and length headers so players can seek
+  pipeFile(response, res) {
+    res.status(response.status);
+
+    for (const header of ['content-type', 'content-length', 'content-range', 'accept-ranges']) {
+      if (response.headers[header]) {
+        res.set(header, response.headers[header]);
+      }
+    }
+
+    response.data.on('error', () => res.destroy());
+    res.on('close', () => response.data.destroy());
+    response.data.pipe(res);
+  }
+
+  // Recording as shown to attendees; file URLs carry the access token
+  toPublicRecording(recording, token) {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+    return {
+      id: recording.id,
+      topic: recording.topic,
+      startTime: recording.startTime,
+      durationMinutes: recording.durationMinutes,
+      files: recording.files
+        .filter(f => PLAYABLE_TYPES[f.fileType])
+        .map(f => ({
+          id: f.id,
+          fileType: f.fileType,
+          recordingType: f.recordingType,
+          mimetype: PLAYABLE_TYPES[f.fileType],
+          size: f.fileSize,
+          durationSeconds: f.durationSeconds,
+          url: `${apiUrl}/api/public/recordings/${token}/files/${f.id}`
+        }))
+    };
+  }
+
+  // Recording as shown to its organizer, without the stored download token
+  toOrganizerRecording(recording) {
+    const { downloadTokenEncrypted, downloadTokenExpiresAt, ...rest } = recording;
+    return rest;
+  }
+}
+
+module.exports = new RecordingService();
+module.exports.RecordingError = RecordingError;
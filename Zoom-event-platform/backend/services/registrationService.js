@@ -0,0 +1,514 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const zoomService = require('./zoomService');
+const notificationService = require('./notificationService');
+const jobQueue = require('./jobQueue');
+const realtimeService = require('./realtimeService');
+const { EntitlementError } = require('./entitlementService');
+
+const prisma = new PrismaClient();
+
+// Statuses that hold a seat and should have an approved Zoom registrant
+const ACTIVE_STATUSES = ['registered', 'joined', 'left'];
+
+// Registration failure that routes can turn straight into a response
+class RegistrationError extends Error {
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = 'RegistrationError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class RegistrationService {
+  // Hash a registration token for storage and lookup
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Generate a registration token; only its hash is stored
+  generateToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: this.hashToken(token) };
+  }
+
+  // Generate a shareable slug for an event's public registration page
+  generateSlug(title) {
+    const base = String(title || 'event')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 48) || 'event';
+
+    return `${base}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  // Register an attendee, reserving a seat atomically. attendeeLimit is the
+  // plan's per-event limit (-1 for unlimited), checked with the capacity.
+  async register(event, { email, firstName, lastName }, { attendeeLimit = -1 } = {}) {
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const existing = await tx.attendee.findUnique({
+          where: {
+            email_eventId: {
+              email,
+              eventId: event.id
+            }
+          }
+        });
+
+        if (existing && existing.status === 'removed') {
+          throw new RegistrationError('This registration was removed by the organizer', {
+            status: 403,
+            code: 'REGISTRATION_REMOVED'
+          });
+        }
+
+        if (existing && existing.status !== 'cancelled') {
+          throw new RegistrationError('This email is already registered for the event', {
+            code: 'ALREADY_REGISTERED'
+          });
+        }
+
+        // The conditional increment is the capacity check, so two concurrent
+        // registrations can never both take the last seat. A freed seat belongs
+        // to the waitlist, so newcomers can't jump a non-empty queue.
+        const reserved = await tx.$executeRaw`
+          UPDATE "Event"
+          SET "currentAttendees" = "currentAttendees" + 1
+          WHERE "id" = ${event.id}
+            AND "currentAttendees" < "maxAttendees"
+            AND (${attendeeLimit} = -1 OR "currentAttendees" < ${attendeeLimit})
+            AND NOT EXISTS (
+              SELECT 1 FROM "Attendee"
+              WHERE "eventId" = ${event.id} AND "status" = 'waitlisted'
+            )
+        `;
+
+        // Seats freed after a downgrade stay closed rather than going to the waitlist
+        if (reserved === 0 && attendeeLimit !== -1) {
+          const { currentAttendees, maxAttendees } = await tx.event.findUnique({ where: { id: event.id } });
+
+          if (currentAttendees >= attendeeLimit && currentAttendees < maxAttendees) {
+            throw new EntitlementError(`The plan allows maximum ${attendeeLimit} attendees`, {
+              code: 'ATTENDEE_LIMIT',
+              details: { currentCount: currentAttendees, limit: attendeeLimit }
+            });
+          }
+        }
+
+        if (reserved === 0 && !event.waitlistEnabled) {
+          throw new RegistrationError(`Maximum ${event.maxAttendees} attendees allowed`, {
+            code: 'EVENT_FULL'
+          });
+        }
+
+        const { token, tokenHash } = this.generateToken();
+        const waitlisted = reserved === 0;
+
+        const data = {
+          firstName,
+          lastName,
+          status: waitlisted ? 'waitlisted' : 'registered',
+          cancelledAt: null,
+          registrationTokenHash: tokenHash,
+          waitlistPosition: waitlisted ? await this.nextWaitlistPosition(tx, event.id) : null
+        };
+
+        // A cancelled registration is reactivated rather than duplicated, keeping
+        // its Zoom registrant and join link; new ones get theirs from Zoom below
+        const attendee = existing
+          ? await tx.attendee.update({ where: { id: existing.id }, data })
+          : await tx.attendee.create({ data: { ...data, email, eventId: event.id } });
+
+        return { attendee, token, waitlisted };
+      });
+
+      if (!result.waitlisted) {
+        result.attendee = await this.trySyncZoomRegistrant(result.attendee);
+      }
+
+      realtimeService.publish(event.id, 'registration.created', {
+        attendeeId: result.attendee.id,
+        firstName: result.attendee.firstName,
+        lastName: result.attendee.lastName,
+        status: result.attendee.status
+      });
+
+      // Sent after the Zoom sync so the confirmation carries the personal join link
+      await notificationService.send('registrationConfirmation', result.attendee.email, {
+        attendee: result.attendee,
+        event,
+        waitlisted: result.waitlisted,
+        ...notificationService.registrationLinks(result.token)
+      }, {
+        eventId: event.id,
+        attendeeId: result.attendee.id
+      });
+
+      return result;
+    } catch (error) {
+      // A concurrent registration with the same email won the unique constraint
+      if (error.code === 'P2002') {
+        throw new RegistrationError('This email is already registered for the event', {
+          code: 'ALREADY_REGISTERED'
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Look up a registration by its token
+  async findByToken(token) {
+    if (!token) return null;
+
+    return prisma.attendee.findUnique({
+      where: { registrationTokenHash: this.hashToken(token) },
+      include: {
+        event: true
+      }
+    });
+  }
+
+  // Lock the event row so seat and queue changes for one event run one at a time
+  async lockEvent(tx, eventId) {
+    await tx.$queryRaw`SELECT "id" FROM "Event" WHERE "id" = ${eventId} FOR UPDATE`;
+  }
+
+  // Position for a new waitlist entry, taken under the event lock
+  async nextWaitlistPosition(tx, eventId) {
+    await this.lockEvent(tx, eventId);
+
+    const { _max } = await tx.attendee.aggregate({
+      where: { eventId, status: 'waitlisted' },
+      _max: { waitlistPosition: true }
+    });
+
+    return (_max.waitlistPosition || 0) + 1;
+  }
+
+  // Cancel a registration; a freed seat goes to the next person on the waitlist.
+  // Organizer removals are kept as "removed" so the person can't simply re-register.
+  async cancel(attendeeId, { removed = false } = {}) {
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const attendee = await tx.attendee.findUnique({
+        where: { id: attendeeId }
+      });
+
+      if (!attendee || ['cancelled', 'removed'].includes(attendee.status)) {
+        throw new RegistrationError('Registration is already cancelled', {
+          status: 404,
+          code: 'NOT_REGISTERED'
+        });
+      }
+
+      // Guard on status so a repeated cancel never releases the seat twice
+      const { count } = await tx.attendee.updateMany({
+        where: { id: attendeeId, status: attendee.status },
+        data: {
+          status: removed ? 'removed' : 'cancelled',
+          cancelledAt: new Date(),
+          waitlistPosition: null
+        }
+      });
+
+      if (count === 0) {
+        throw new RegistrationError('Registration is already cancelled', {
+          status: 404,
+          code: 'NOT_REGISTERED'
+        });
+      }
+
+      // Give back any session seats the attendee was holding
+      const sessionRegistrations = await tx.sessionRegistration.findMany({
+        where: { attendeeId }
+      });
+
+      for (const registration of sessionRegistrations) {
+        await tx.session.update({
+          where: { id: registration.sessionId },
+          data: {
+            registeredCount: {
+              decrement: 1
+            }
+          }
+        });
+      }
+
+      await tx.sessionRegistration.deleteMany({
+        where: { attendeeId }
+      });
+
+      // Waitlisted attendees never held a seat
+      if (attendee.status !== 'waitlisted') {
+        await tx.event.update({
+          where: { id: attendee.eventId },
+          data: {
+            currentAttendees: {
+              decrement: 1
+            }
+          }
+        });
+      }
+
+      return tx.attendee.findUnique({ where: { id: attendeeId } });
+    });
+
+    const synced = await this.trySyncZoomRegistrant(cancelled);
+    realtimeService.publish(cancelled.eventId, 'registration.cancelled', {
+      attendeeId: cancelled.id,
+      status: cancelled.status
+    });
+    await this.promoteWaitlist(cancelled.eventId);
+
+    return synced;
+  }
+
+  // Move waitlisted attendees into any open seats, in queue order
+  async promoteWaitlist(eventId) {
+    const promoted = await prisma.$transaction(async (tx) => {
+      await this.lockEvent(tx, eventId);
+
+      const event = await tx.event.findUnique({
+        where: { id: eventId }
+      });
+
+      const openSeats = event ? event.maxAttendees - event.currentAttendees : 0;
+      if (openSeats <= 0) return [];
+
+      const next = await tx.attendee.findMany({
+        where: { eventId, status: 'waitlisted' },
+        orderBy: [{ waitlistPosition: 'asc' }, { id: 'asc' }],
+        take: openSeats
+      });
+
+      if (next.length === 0) return [];
+
+      const promoted = [];
+      for (const attendee of next) {
+        promoted.push(await tx.attendee.update({
+          where: { id: attendee.id },
+          data: {
+            status: 'registered',
+            waitlistPosition: null
+          }
+        }));
+      }
+
+      await tx.event.update({
+        where: { id: eventId },
+        data: {
+          currentAttendees: {
+            increment: promoted.length
+          }
+        }
+      });
+
+      return promoted;
+    });
+
+    const synced = [];
+    for (const attendee of promoted) {
+      synced.push(await this.trySyncZoomRegistrant(attendee));
+    }
+
+    if (synced.length > 0) {
+      const event = await prisma.event.findUnique({ where: { id: eventId } });
+
+      // Registration tokens are only stored hashed, so promotion emails carry
+      // the join link but not the manage link
+      for (const attendee of synced) {
+        await notificationService.send('registrationConfirmation', attendee.email, {
+          attendee,
+          event,
+          promoted: true
+        }, {
+          eventId,
+          attendeeId: attendee.id
+        });
+      }
+    }
+
+    return synced;
+  }
+
+  // Bring the attendee's Zoom registrant in line with their registration.
+  // Safe to call repeatedly: it only calls Zoom when the two disagree.
+  async syncZoomRegistrant(attendeeId) {
+    const attendee = await prisma.attendee.findUnique({
+      where: { id: attendeeId },
+      include: { event: true }
+    });
+
+    const meetingId = attendee?.event?.zoomMeetingId;
+    if (!meetingId) return attendee;
+
+    const { event: _, ...attendeeData } = attendee;
+    const registrant = { id: attendee.zoomRegistrantId, email: attendee.email };
+    // Occurrences of a series register for their own occurrence only
+    const occurrence = { occurrenceId: attendee.event.zoomOccurrenceId };
+    // Registrants live on the organizer's meeting, so use their Zoom account
+    const zoom = await zoomService.forMeeting(attendee.event);
+
+    if (ACTIVE_STATUSES.includes(attendee.status)) {
+      if (!attendee.zoomRegistrantId) {
+        const created = await zoom.addMeetingRegistrant(meetingId, attendee, occurrence);
+
+        return prisma.attendee.update({
+          where: { id: attendee.id },
+          data: {
+            zoomRegistrantId: created.registrant_id,
+            zoomRegistrantStatus: 'approved',
+            joinUrl: created.join_url
+          }
+        });
+      }
+
+      // Re-registration after a cancellation reuses the existing registrant
+      if (attendee.zoomRegistrantStatus !== 'approved') {
+        await zoom.updateRegistrantStatus(meetingId, 'approve', [registrant], occurrence);
+
+        return prisma.attendee.update({
+          where: { id: attendee.id },
+          data: { zoomRegistrantStatus: 'approved' }
+        });
+      }
+
+      return attendeeData;
+    }
+
+    if (attendee.zoomRegistrantId && attendee.zoomRegistrantStatus === 'approved') {
+      // Zoom's deny also blocks the person from registering on Zoom directly
+      const action = attendee.status === 'removed' ? 'deny' : 'cancel';
+      await zoom.updateRegistrantStatus(meetingId, action, [registrant], occurrence);
+
+      return prisma.attendee.update({
+        where: { id: attendee.id },
+        data: { zoomRegistrantStatus: action === 'deny' ? 'denied' : 'cancelled' }
+      });
+    }
+
+    return attendeeData;
+  }
+
+  // Sync with Zoom without failing the registration change that triggered it
+  async trySyncZoomRegistrant(attendee) {
+    try {
+      return await this.syncZoomRegistrant(attendee.id);
+    } catch (error) {
+      console.error(`Zoom registrant sync failed for attendee ${attendee.id}:`, error.message);
+
+      // Zoom rejected the registrant outright (e.g. registration closed)
+      if (error.retryable === false) {
+        return attendee;
+      }
+
+      // Retried in the background with backoff
+      await jobQueue.enqueue('zoom.syncRegistrant', { attendeeId: attendee.id }, {
+        runAt: new Date(Date.now() + jobQueue.backoff(1)),
+        uniqueKey: `attendee:${attendee.id}:zoomSync`
+      }).catch(queueError => console.error('Failed to queue Zoom registrant sync:', queueError.message));
+
+      return attendee;
+    }
+  }
+
+  // Waitlisted attendees in queue order
+  async getWaitlist(eventId) {
+    return prisma.attendee.findMany({
+      where: { eventId, status: 'waitlisted' },
+      orderBy: [{ waitlistPosition: 'asc' }, { id: 'asc' }]
+    });
+  }
+
+  // 1-based place in the queue (stored positions may have gaps after promotions)
+  async getWaitlistRank(attendee) {
+    if (attendee.status !== 'waitlisted') return null;
+
+    const ahead = await prisma.attendee.count({
+      where: {
+        eventId: attendee.eventId,
+        status: 'waitlisted',
+        OR: [
+          { waitlistPosition: { lt: attendee.waitlistPosition } },
+          { waitlistPosition: attendee.waitlistPosition, id: { lt: attendee.id } }
+        ]
+      }
+    });
+
+    return ahead + 1;
+  }
+
+  // Reorder the waitlist; attendeeIds must list every waitlisted attendee
+  async reorderWaitlist(eventId, attendeeIds) {
+    return prisma.$transaction(async (tx) => {
+      await this.lockEvent(tx, eventId);
+
+      const waitlisted = await tx.attendee.findMany({
+        where: { eventId, status: 'waitlisted' },
+        select: { id: true }
+      });
+
+      const current = new Set(waitlisted.map(a => String(a.id)));
+      const requested = attendeeIds.map(String);
+
+      if (requested.length !== current.size ||
+          new Set(requested).size !== requested.length ||
+          !requested.every(id => current.has(id))) {
+        throw new RegistrationError('attendeeIds must list every waitlisted attendee exactly once', {
+          code: 'INVALID_WAITLIST_ORDER'
+        });
+      }
+
+      for (let i = 0; i < waitlisted.length; i++) {
+        const attendee = waitlisted.find(a => String(a.id) === requested[i]);
+        await tx.attendee.update({
+          where: { id: attendee.id },
+          data: { waitlistPosition: i + 1 }
+        });
+      }
+
+      return tx.attendee.findMany({
+        where: { eventId, status: 'waitlisted' },
+        orderBy: { waitlistPosition: 'asc' }
+      });
+    });
+  }
+
+  // The attendee's personal Zoom link, or the meeting's own link while there
+  // is none (registrant sync failed or pending, or registration is off on the meeting)
+  joinUrlFor(attendee, event = attendee.event) {
+    return attendee.joinUrl || event?.zoomMeetingUrl || null;
+  }
+
+  // Registration details safe to show to the attendee
+  toPublicRegistration(attendee, event = attendee.event) {
+    return {
+      id: attendee.id,
+      email: attendee.email,
+      firstName: attendee.firstName,
+      lastName: attendee.lastName,
+      status: attendee.status,
+      registrationTime: attendee.registrationTime,
+      cancelledAt: attendee.cancelledAt,
+      joinUrl: ACTIVE_STATUSES.includes(attendee.status) ? this.joinUrlFor(attendee, event) : null,
+      event: event ? {
+        title: event.title,
+        description: event.description,
+        slug: event.slug,
+        startTime: event.startTime,
+        endTime: event.endTime,
+        timezone: event.timezone,
+        status: event.status
+      } : undefined
+    };
+  }
+}
+
+const registrationService = new RegistrationService();
+
+module.exports = registrationService;
+module.exports.RegistrationError = RegistrationError;
@@ -0,0 +1,572 @@
+const { PrismaClient } = require('@prisma/client');
+const zoomService = require('./zoomService');
+const registrationService = require('./registrationService');
+const calendarService = require('./calendarService');
+const notificationService = require('./notificationService');
+const zoomSyncService = require('./zoomSyncService');
+const { toZonedParts, fromZonedParts, daysInMonth } = require('./timezone');
+
+const prisma = new PrismaClient();
+
+// Zoom caps a recurring meeting at 60 occurrences
+const MAX_OCCURRENCES = 60;
+
+// Zoom recurrence types and the largest repeat_interval it accepts for each
+const RECURRENCE_TYPES = {
+  daily: { zoomType: 1, maxInterval: 90 },
+  weekly: { zoomType: 2, maxInterval: 12 },
+  monthly: { zoomType: 3, maxInterval: 3 }
+};
+
+// Series request that can't be honoured; routes turn it into a 400
+class SeriesError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message);
+    this.name = 'SeriesError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class SeriesService {
+  // Validate a recurrence rule from the request body and fill in defaults.
+  // weeklyDays uses Zoom's numbering: 1 = Sunday ... 7 = Saturday.
+  normalizeRecurrence(recurrence, startTime, timezone) {
+    const type = String(recurrence.type || '').toLowerCase();
+    const definition = RECURRENCE_TYPES[type];
+
+    if (!definition) {
+      throw new SeriesError('Recurrence type must be daily, weekly or monthly', { code: 'INVALID_RECURRENCE' });
+    }
+
+    const interval = parseInt(recurrence.interval || 1, 10);
+    if (isNaN(interval) || interval < 1 || interval > definition.maxInterval) {
+      throw new SeriesError(`A ${type} series can repeat every 1 to ${definition.maxInterval} intervals`, { code: 'INVALID_RECURRENCE' });
+    }
+
+    const hasCount = recurrence.count !== undefined && recurrence.count !== null;
+    const hasEndDate = Boolean(recurrence.endDate);
+
+    if (hasCount === hasEndDate) {
+      throw new SeriesError('Provide either an occurrence count or an end date', { code: 'INVALID_RECURRENCE' });
+    }
+
+    const rule = { type, interval };
+    const local = toZonedParts(new Date(startTime), timezone);
+
+    if (type === 'weekly') {
+      const days = recurrence.weeklyDays && recurrence.weeklyDays.length
+        ? recurrence.weeklyDays.map(d => parseInt(d, 10))
+        : [local.weekday + 1];
+
+      if (days.some(d => isNaN(d) || d < 1 || d > 7)) {
+        throw new SeriesError('weeklyDays must be between 1 (Sunday) and 7 (Saturday)', { code: 'INVALID_RECURRENCE' });
+      }
+
+      rule.weeklyDays = [...new Set(days)].sort((a, b) => a - b);
+    }
+
+    if (type === 'monthly') {
+      const monthlyDay = parseInt(recurrence.monthlyDay || local.day, 10);
+
+      if (isNaN(monthlyDay) || monthlyDay < 1 || monthlyDay > 31) {
+        throw new SeriesError('monthlyDay must be between 1 and 31', { code: 'INVALID_RECURRENCE' });
+      }
+
+      rule.monthlyDay = monthlyDay;
+    }
+
+    if (hasCount) {
+      const count = parseInt(recurrence.count, 10);
+      if (isNaN(count) || count < 1 || count > MAX_OCCURRENCES) {
+        throw new SeriesError(`Occurrence count must be between 1 and ${MAX_OCCURRENCES}`, { code: 'INVALID_RECURRENCE' });
+      }
+      rule.count = count;
+    } else {
+      const endDate = new Date(recurrence.endDate);
+      if (isNaN(endDate.getTime()) || endDate <= new Date(startTime)) {
+        throw new SeriesError('End date must be after the first occurrence', { code: 'INVALID_RECURRENCE' });
+      }
+      rule.endDate = endDate;
+    }
+
+    return rule;
+  }
+
+  // Expand a rule into occurrence start times. Occurrences keep the first
+  // one's wall-clock time in the event's time zone, so DST doesn't shift them.
+  generateOccurrences(rule, startTime, timezone, limit = MAX_OCCURRENCES) {
+    const start = new Date(startTime);
+    const local = toZonedParts(start, timezone);
+    const max = Math.min(rule.count || Infinity, limit);
+    const occurrences = [];
+
+    const at = (year, month, day) => fromZonedParts({
+      year,
+      month,
+      day,
+      hour: local.hour,
+      minute: local.minute,
+      second: local.second
+    }, timezone);
+
+    // Returns false once the series is complete
+    const accept = (date) => {
+      if (date < start) return true;
+      if (rule.endDate && date > rule.endDate) return false;
+      occurrences.push(date);
+      return occurrences.length < max;
+    };
+
+    // Upper bound on periods scanned; an end date can't run past Zoom's cap anyway
+    const maxPeriods = MAX_OCCURRENCES * 12;
+
+    for (let period = 0; period < maxPeriods; period++) {
+      if (rule.type === 'daily') {
+        if (!accept(at(local.year, local.month, local.day + period * rule.interval))) break;
+      } else if (rule.type === 'weekly') {
+        const weekStart = local.day - local.weekday + period * rule.interval * 7;
+        let done = false;
+        for (const day of rule.weeklyDays) {
+          if (!accept(at(local.year, local.month, weekStart + day - 1))) {
+            done = true;
+            break;
+          }
+        }
+        if (done) break;
+      } else {
+        const monthIndex = local.month - 1 + period * rule.interval;
+        const year = local.year + Math.floor(monthIndex / 12);
+        const month = (monthIndex % 12) + 1;
+
+        // Months without the day (e.g. the 31st) are skipped
+        if (rule.monthlyDay > daysInMonth(year, month)) continue;
+        if (!accept(at(year, month, rule.monthlyDay))) break;
+      }
+    }
+
+    return occurrences;
+  }
+
+  // Zoom's recurrence object for a normalized rule
+  toZoomRecurrence(rule) {
+    const recurrence = {
+      type: RECURRENCE_TYPES[rule.type].zoomType,
+      repeat_interval: rule.interval
+    };
+
+    if (rule.weeklyDays) recurrence.weekly_days = rule.weeklyDays.join(',');
+    if (rule.monthlyDay) recurrence.monthly_day = rule.monthlyDay;
+
+    if (rule.count) {
+      recurrence.end_times = rule.count;
+    } else {
+      recurrence.end_date_time = rule.endDate.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    return recurrence;
+  }
+
+  // Create a series, its Zoom recurring meeting and one event row per occurrence.
+  // The meeting lives in the creating user's Zoom account.
+  async createSeries({ userId, organizationId, event, rule, durationMinutes, maxOccurrences = MAX_OCCURRENCES, createZoomMeeting = true, zoomSettings = {} }) {
+    const limit = Math.min(maxOccurrences, MAX_OCCURRENCES);
+
+    // Generate one extra so an over-long series is rejected rather than truncated
+    const planned = this.generateOccurrences(rule, event.startTime, event.timezone, limit + 1);
+
+    if (planned.length === 0) {
+      throw new SeriesError('The recurrence rule produces no occurrences', { code: 'INVALID_RECURRENCE' });
+    }
+
+    if (planned.length > limit) {
+      throw new SeriesError(`Your subscription allows maximum ${limit} occurrences per series`, {
+        status: 403,
+        code: 'OCCURRENCE_LIMIT'
+      });
+    }
+
+    let zoomMeeting = null;
+    let zoomOwnerId = null;
+    let zoomError = null;
+
+    if (createZoomMeeting) {
+      try {
+        const zoom = await zoomService.forUser(userId);
+        zoomMeeting = await zoom.createMeeting(
+          this.buildZoomMeeting(event, rule, durationMinutes, zoomSettings)
+        );
+        zoomOwnerId = zoom.zoomUserId;
+      } catch (error) {
+        console.error('Zoom recurring meeting creation failed:', error);
+        // Continue creating the series without a Zoom meeting; it is retried below
+        zoomError = error;
+      }
+    }
+
+    // Zoom's occurrence list is authoritative when we have one
+    const occurrences = zoomMeeting?.occurrences?.length
+      ? zoomMeeting.occurrences
+        .filter(o => o.status !== 'deleted')
+        .map(o => ({
+          startTime: new Date(o.start_time),
+          durationMinutes: o.duration || durationMinutes,
+          occurrenceId: String(o.occurrence_id)
+        }))
+      : planned.map(startTime => ({ startTime, durationMinutes, occurrenceId: null }));
+
+    const result = await prisma.$transaction(async (tx) => {
+      const series = await tx.eventSeries.create({
+        data: {
+          title: event.title,
+          description: event.description,
+          timezone: event.timezone,
+          recurrenceType: rule.type,
+          repeatInterval: rule.interval,
+          weeklyDays: rule.weeklyDays ? rule.weeklyDays.join(',') : null,
+          monthlyDay: rule.monthlyDay,
+          endDate: rule.endDate,
+          endTimes: rule.count,
+          durationMinutes,
+          startTime: occurrences[0].startTime,
+          userId,
+          organizationId,
+          zoomMeetingId: zoomMeeting?.id?.toString(),
+          zoomOwnerId: zoomMeeting ? zoomOwnerId : null
+        }
+      });
+
+      const events = [];
+      for (const occurrence of occurrences) {
+        events.push(await tx.event.create({
+          data: {
+            ...event,
+            startTime: occurrence.startTime,
+            endTime: new Date(occurrence.startTime.getTime() + occurrence.durationMinutes * 60 * 1000),
+            slug: registrationService.generateSlug(event.title),
+            userId,
+            organizationId,
+            seriesId: series.id,
+            originalStartTime: occurrence.startTime,
+            zoomOccurrenceId: occurrence.occurrenceId,
+            zoomMeetingId: zoomMeeting?.id?.toString(),
+            zoomOwnerId: zoomMeeting ? zoomOwnerId : null,
+            zoomMeetingUrl: zoomMeeting?.join_url,
+            zoomPassword: zoomMeeting?.password,
+            zoomHostKey: zoomMeeting?.start_url,
+            zoomSyncStatus: zoomMeeting ? 'synced' : (createZoomMeeting ? 'pending' : 'none'),
+            zoomSyncedAt: zoomMeeting ? new Date() : null
+          }
+        }));
+      }
+
+      return { series, events, zoomMeeting };
+    });
+
+    if (zoomError) {
+      await zoomSyncService.queueSeriesSync(result.series.id, zoomError);
+    }
+
+    return result;
+  }
+
+  // Zoom create payload for a recurring meeting
+  buildZoomMeeting(event, rule, durationMinutes, zoomSettings = {}) {
+    return {
+      topic: event.title,
+      type: 8, // Recurring meeting with fixed time
+      start_time: new Date(event.startTime).toISOString(),
+      duration: durationMinutes,
+      timezone: event.timezone,
+      agenda: event.description,
+      recurrence: this.toZoomRecurrence(rule),
+      settings: {
+        ...zoomSyncService.defaultSettings(),
+        // Attendees register for individual occurrences
+        registration_type: 3,
+        ...zoomSettings
+      }
+    };
+  }
+
+  // Normalized rule rebuilt from a stored series
+  ruleFromSeries(series) {
+    return {
+      type: series.recurrenceType,
+      interval: series.repeatInterval,
+      ...(series.weeklyDays && { weeklyDays: series.weeklyDays.split(',').map(Number) }),
+      ...(series.monthlyDay && { monthlyDay: series.monthlyDay }),
+      ...(series.endTimes ? { count: series.endTimes } : { endDate: series.endDate })
+    };
+  }
+
+  // Create the recurring meeting for a series whose Zoom creation failed and
+  // attach its occurrences to the existing events by their original start time.
+  // Job handler for zoom.syncSeries; throws so the job retries.
+  async syncZoomMeeting(seriesId) {
+    const series = await prisma.eventSeries.findUnique({
+      where: { id: seriesId },
+      include: {
+        events: { orderBy: { startTime: 'asc' } }
+      }
+    });
+
+    if (!series || series.zoomMeetingId || series.events.length === 0) {
+      return series;
+    }
+
+    const eventIds = series.events.map(e => e.id);
+    let zoom;
+    let zoomMeeting;
+
+    try {
+      zoom = await zoomService.forUser(series.userId);
+      zoomMeeting = await zoom.createMeeting(this.buildZoomMeeting(
+        series,
+        this.ruleFromSeries(series),
+        series.durationMinutes,
+        zoomSyncService.parseSettings(series.events[0])
+      ));
+    } catch (error) {
+      await zoomSyncService.markFailed(eventIds, error);
+      throw error;
+    }
+
+    const occurrenceIds = new Map((zoomMeeting.occurrences || [])
+      .filter(o => o.status !== 'deleted')
+      .map(o => [new Date(o.start_time).getTime(), String(o.occurrence_id)]));
+    const matched = new Set();
+
+    await prisma.$transaction(async (tx) => {
+      await tx.eventSeries.update({
+        where: { id: series.id },
+        data: { zoomMeetingId: zoomMeeting.id.toString(), zoomOwnerId: zoom.zoomUserId }
+      });
+
+      for (const event of series.events) {
+        const slot = (event.originalStartTime || event.startTime).getTime();
+        const occurrenceId = occurrenceIds.get(slot) || null;
+        if (occurrenceId) matched.add(occurrenceId);
+
+        // An event without a matching occurrence stays detached rather than
+        // pointing at (and later editing) the whole recurring meeting
+        await tx.event.update({
+          where: { id: event.id },
+          data: occurrenceId ? {
+            zoomMeetingId: zoomMeeting.id.toString(),
+            zoomOccurrenceId: occurrenceId,
+            zoomOwnerId: zoom.zoomUserId,
+            zoomMeetingUrl: zoomMeeting.join_url,
+            zoomPassword: zoomMeeting.password,
+            zoomHostKey: zoomMeeting.start_url,
+            zoomSyncStatus: 'synced',
+            zoomSyncError: null,
+            zoomSyncedAt: new Date()
+          } : {
+            zoomSyncStatus: 'failed',
+            zoomSyncError: 'No matching Zoom occurrence'
+          }
+        });
+      }
+    });
+
+    // Occurrences cancelled while the meeting was missing
+    for (const [, occurrenceId] of occurrenceIds) {
+      if (!matched.has(occurrenceId)) {
+        await zoom.deleteMeeting(zoomMeeting.id, { occurrenceId })
+          .catch(() => zoomSyncService.queueMeetingDelete(zoomMeeting.id.toString(), {
+            occurrenceId,
+            userId: series.userId,
+            zoomOwnerId: zoom.zoomUserId
+          }));
+      }
+    }
+
+    for (const event of series.events) {
+      const slot = (event.originalStartTime || event.startTime).getTime();
+      if (!occurrenceIds.has(slot)) continue;
+
+      // Occurrences edited in the meantime need their own times pushed
+      if (event.originalStartTime && event.startTime.getTime() !== event.originalStartTime.getTime()) {
+        await zoomSyncService.syncEvent(event.id).catch(error => zoomSyncService.queueEventSync(event.id, error));
+      } else {
+        await zoomSyncService.syncRegistrants(event.id);
+      }
+    }
+
+    return prisma.eventSeries.findUnique({ where: { id: series.id } });
+  }
+
+  // Occurrences affected by an edit or cancellation with the given scope
+  async getScopedOccurrences(event, scope) {
+    if (scope !== 'following') {
+      return [event];
+    }
+
+    return prisma.event.findMany({
+      where: {
+        seriesId: event.seriesId,
+        startTime: { gte: event.startTime }
+      },
+      orderBy: { startTime: 'asc' }
+    });
+  }
+
+  // Apply an update to one occurrence or to it and every later one
+  async updateOccurrences(event, data, scope = 'occurrence') {
+    const targets = await this.getScopedOccurrences(event, scope);
+
+    // Time changes are applied as a shift, so later occurrences keep their spacing
+    const startShift = data.startTime ? data.startTime - event.startTime : 0;
+    const newDuration = (data.endTime || event.endTime) - (data.startTime || event.startTime);
+    const timeChanged = Boolean(data.startTime || data.endTime);
+
+    const { startTime: _start, endTime: _end, ...fields } = data;
+    const updated = [];
+
+    for (const target of targets) {
+      const startTime = new Date(target.startTime.getTime() + startShift);
+      const endTime = new Date(startTime.getTime() + newDuration);
+
+      if (target.zoomMeetingId && target.zoomOccurrenceId && (timeChanged || fields.description)) {
+        try {
+          const zoomUpdateData = {};
+          if (fields.description) zoomUpdateData.agenda = fields.description;
+          if (timeChanged) {
+            zoomUpdateData.start_time = startTime.toISOString();
+            zoomUpdateData.duration = Math.ceil(newDuration / (1000 * 60));
+          }
+
+          const zoom = await zoomService.forMeeting(target);
+          await zoom.updateMeeting(target.zoomMeetingId, zoomUpdateData, {
+            occurrenceId: target.zoomOccurrenceId
+          });
+        } catch (zoomError) {
+          console.error(`Failed to update Zoom occurrence ${target.zoomOccurrenceId}:`, zoomError);
+          // Continue with the event update; the occurrence is re-synced in the background
+          await zoomSyncService.queueEventSync(target.id, zoomError);
+        }
+      }
+
+      const updatedOccurrence = await prisma.event.update({
+        where: { id: target.id },
+        data: {
+          ...fields,
+          ...(timeChanged && { startTime, endTime }),
+          // Edited occurrences become RECURRENCE-ID overrides in calendar feeds
+          sequence: { increment: 1 }
+        }
+      });
+
+      const changes = notificationService.describeChanges(target, updatedOccurrence);
+      if (changes.length > 0) {
+        await notificationService.notifyEventAttendees(updatedOccurrence, 'eventUpdated', { changes });
+      }
+
+      updated.push(updatedOccurrence);
+    }
+
+    // The meeting topic is shared by every occurrence, so only a whole-series edit renames it
+    if (fields.title && scope === 'following' && event.zoomMeetingId && await this.isFirstOccurrence(event)) {
+      try {
+        const zoom = await zoomService.forMeeting(event);
+        await zoom.updateMeeting(event.zoomMeetingId, { topic: fields.title });
+        await prisma.eventSeries.update({
+          where: { id: event.seriesId },
+          data: { title: fields.title, sequence: { increment: 1 } }
+        });
+      } catch (zoomError) {
+        console.error('Failed to rename Zoom recurring meeting:', zoomError);
+      }
+    }
+
+    return updated;
+  }
+
+  // Cancel one occurrence or it and every later one
+  async cancelOccurrences(event, scope = 'occurrence') {
+    const targets = await this.getScopedOccurrences(event, scope);
+    // Cancelling every occurrence left ends the series too, so no empty series remains
+    const remaining = await prisma.event.count({
+      where: { seriesId: event.seriesId, id: { notIn: targets.map(t => t.id) } }
+    });
+    const wholeSeries = remaining === 0 || (scope === 'following' && await this.isFirstOccurrence(event));
+
+    if (event.zoomMeetingId) {
+      const deletions = wholeSeries
+        ? [{ occurrenceId: undefined }]
+        : targets.filter(t => t.zoomOccurrenceId).map(t => ({ occurrenceId: t.zoomOccurrenceId }));
+
+      for (const { occurrenceId } of deletions) {
+        try {
+          const zoom = await zoomService.forMeeting(event);
+          await zoom.deleteMeeting(event.zoomMeetingId, { occurrenceId });
+        } catch (zoomError) {
+          console.error('Failed to delete Zoom occurrences:', zoomError);
+          // Continue with event deletion; the delete is retried in the background
+          await zoomSyncService.queueMeetingDelete(event.zoomMeetingId, {
+            occurrenceId,
+            userId: event.userId,
+            zoomOwnerId: event.zoomOwnerId
+          });
+        }
+      }
+    }
+
+    // Recipients are collected before their registrations cascade away
+    for (const target of targets) {
+      await notificationService.notifyEventAttendees(target, 'eventCancelled');
+    }
+
+    // Tombstones let calendar feeds publish the cancellations once the rows are gone
+    if (wholeSeries) {
+      const series = await prisma.eventSeries.findUnique({
+        where: { id: event.seriesId }
+      });
+
+      for (const target of targets) {
+        await calendarService.recordEventCancellation(target, { notifyOrganizer: false });
+      }
+      await calendarService.recordSeriesCancellation(series);
+
+      // Occurrence rows cascade with the series
+      await prisma.eventSeries.delete({
+        where: { id: event.seriesId }
+      });
+    } else {
+      for (const target of targets) {
+        await calendarService.recordOccurrenceCancellation(target);
+      }
+
+      await prisma.event.deleteMany({
+        where: { id: { in: targets.map(t => t.id) } }
+      });
+
+      // New EXDATEs on the series need a higher SEQUENCE to be picked up
+      await prisma.eventSeries.update({
+        where: { id: event.seriesId },
+        data: { sequence: { increment: 1 } }
+      });
+    }
+
+    return targets;
+  }
+
+  // Whether no occurrence of the series starts before this one
+  async isFirstOccurrence(event) {
+    const earlier = await prisma.event.count({
+      where: {
+        seriesId: event.seriesId,
+        startTime: { lt: event.startTime }
+      }
+    });
+
+    return earlier === 0;
+  }
+}
+
+const seriesService = new SeriesService();
+
+module.exports = seriesService;
+module.exports.SeriesError = SeriesError;
+module.exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
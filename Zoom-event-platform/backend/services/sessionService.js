@@ -0,0 +1,232 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Attendee statuses that may sign up for sessions
+const ACTIVE_STATUSES = ['registered', 'joined', 'left'];
+
+// Agenda change that can't be made; routes turn it into a response
+class SessionError extends Error {
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Sessions without a track share the event's main track
+const sameTrack = (track) => (track ? { track } : { track: null });
+
+class SessionService {
+  // Check a session's times against the event window and other sessions in its track
+  async validateSchedule(event, { startTime, endTime, track }, excludeSessionId = null) {
+    if (endTime <= startTime) {
+      throw new SessionError('Session end time must be after its start time', { code: 'INVALID_TIME' });
+    }
+
+    if (startTime < event.startTime || endTime > event.endTime) {
+      throw new SessionError('Session must fall within the event time window', {
+        code: 'OUTSIDE_EVENT',
+        details: { eventStart: event.startTime, eventEnd: event.endTime }
+      });
+    }
+
+    const overlapping = await prisma.session.findMany({
+      where: {
+        eventId: event.id,
+        ...sameTrack(track),
+        startTime: { lt: endTime },
+        endTime: { gt: startTime },
+        ...(excludeSessionId && { id: { not: excludeSessionId } })
+      },
+      select: { id: true, title: true, track: true, startTime: true, endTime: true }
+    });
+
+    if (overlapping.length > 0) {
+      throw new SessionError('Session overlaps another session in the same track', {
+        status: 409,
+        code: 'TRACK_OVERLAP',
+        details: { conflicts: overlapping }
+      });
+    }
+  }
+
+  // Position for a new session at the end of the agenda
+  async nextPosition(eventId) {
+    const { _max } = await prisma.session.aggregate({
+      where: { eventId },
+      _max: { position: true }
+    });
+
+    return (_max.position ?? -1) + 1;
+  }
+
+  // Reorder the agenda; sessionIds must list every session of the event
+  async reorder(eventId, sessionIds) {
+    return prisma.$transaction(async (tx) => {
+      const sessions = await tx.session.findMany({
+        where: { eventId },
+        select: { id: true }
+      });
+
+      const current = new Set(sessions.map(s => String(s.id)));
+      const requested = sessionIds.map(String);
+
+      if (requested.length !== current.size ||
+          new Set(requested).size !== requested.length ||
+          !requested.every(id => current.has(id))) {
+        throw new SessionError('sessionIds must list every session exactly once', { code: 'INVALID_ORDER' });
+      }
+
+      for (let i = 0; i < requested.length; i++) {
+        const session = sessions.find(s => String(s.id) === requested[i]);
+        await tx.session.update({
+          where: { id: session.id },
+          data: { position: i }
+        });
+      }
+
+      return tx.session.findMany({
+        where: { eventId },
+        orderBy: { position: 'asc' }
+      });
+    });
+  }
+
+  // Sign an attendee up for a session, holding a seat atomically
+  async register(session, attendee) {
+    if (attendee.eventId !== session.eventId) {
+      throw new SessionError('Attendee is not registered for this event', { status: 404, code: 'NOT_REGISTERED' });
+    }
+
+    if (!ACTIVE_STATUSES.includes(attendee.status)) {
+      throw new SessionError('Only registered attendees can join sessions', { status: 403, code: 'NOT_REGISTERED' });
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        // Uncapped sessions still count, so the conditional update always matches for them
+        const reserved = await tx.$executeRaw`
+          UPDATE "Session"
+          SET "registeredCount" = "registeredCount" + 1
+          WHERE "id" = ${session.id}
+            AND ("capacity" IS NULL OR "registeredCount" < "capacity")
+        `;
+
+        if (reserved === 0) {
+          throw new SessionError(`Maximum ${session.capacity} attendees allowed`, { status: 409, code: 'SESSION_FULL' });
+        }
+
+        return tx.sessionRegistration.create({
+          data: {
+            sessionId: session.id,
+            attendeeId: attendee.id
+          }
+        });
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new SessionError('Attendee is already registered for this session', { code: 'ALREADY_REGISTERED' });
+      }
+      throw error;
+    }
+  }
+
+  // Remove an attendee from a session and free their seat
+  async unregister(sessionId, attendeeId) {
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.sessionRegistration.deleteMany({
+        where: { sessionId, attendeeId }
+      });
+
+      if (count === 0) {
+        throw new SessionError('Attendee is not registered for this session', { status: 404, code: 'NOT_REGISTERED' });
+      }
+
+      await tx.session.update({
+        where: { id: sessionId },
+        data: {
+          registeredCount: {
+            decrement: 1
+          }
+        }
+      });
+    });
+  }
+
+  // Minutes each matched attendee spent in the meeting during the session window,
+  // from the join/leave segments recorded by the Zoom webhooks
+  async computeAttendance(session, event) {
+    const segments = await prisma.attendanceSegment.findMany({
+      where: {
+        eventId: session.eventId,
+        attendeeId: { not: null },
+        joinedAt: { not: null, lt: session.endTime },
+        OR: [
+          { leftAt: null },
+          { leftAt: { gt: session.startTime } }
+        ]
+      }
+    });
+
+    // Still-open segments run until the meeting ended, or until now while it is live
+    const openUntil = event.actualEndTime || new Date();
+    const minutesByAttendee = new Map();
+
+    for (const segment of segments) {
+      const from = Math.max(segment.joinedAt.getTime(), session.startTime.getTime());
+      const to = Math.min((segment.leftAt || openUntil).getTime(), session.endTime.getTime());
+      if (to <= from) continue;
+
+      const minutes = (to - from) / (1000 * 60);
+      minutesByAttendee.set(segment.attendeeId, (minutesByAttendee.get(segment.attendeeId) || 0) + minutes);
+    }
+
+    // Counted as attended after half the session or ten minutes, whichever is shorter
+    const sessionMinutes = (session.endTime - session.startTime) / (1000 * 60);
+    const threshold = Math.min(sessionMinutes / 2, 10);
+
+    const registrations = await prisma.sessionRegistration.findMany({
+      where: { sessionId: session.id }
+    });
+
+    for (const registration of registrations) {
+      const minutes = Math.round(minutesByAttendee.get(registration.attendeeId) || 0);
+
+      await prisma.sessionRegistration.update({
+        where: { id: registration.id },
+        data: {
+          minutesAttended: minutes,
+          attended: minutes >= threshold
+        }
+      });
+    }
+
+    const registeredIds = new Set(registrations.map(r => r.attendeeId));
+    const attendedIds = [...minutesByAttendee.entries()]
+      .filter(([, minutes]) => minutes >= threshold)
+      .map(([attendeeId]) => attendeeId);
+
+    return {
+      sessionId: session.id,
+      registered: registrations.length,
+      attended: attendedIds.length,
+      attendedRegistered: attendedIds.filter(id => registeredIds.has(id)).length,
+      attendedUnregistered: attendedIds.filter(id => !registeredIds.has(id)).length,
+      thresholdMinutes: threshold,
+      attendees: [...minutesByAttendee.entries()].map(([attendeeId, minutes]) => ({
+        attendeeId,
+        registered: registeredIds.has(attendeeId),
+        minutesAttended: Math.round(minutes),
+        attended: minutes >= threshold
+      }))
+    };
+  }
+}
+
+const sessionService = new SessionService();
+
+module.exports = sessionService;
+module.exports.SessionError = SessionError;
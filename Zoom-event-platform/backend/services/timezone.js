@@ -0,0 +1,79 @@
+// Wall-clock helpers for IANA time zones, built on Intl so no tz database is bundled
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Check that a time zone name is known to the runtime
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in the given zone (month is 1-based, weekday 0 = Sunday)
+const toZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Offset of the zone from UTC at an instant, in milliseconds
+const getOffsetMs = (date, timeZone) => {
+  const p = toZonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant for a wall-clock time in the zone; Date.UTC normalizes overflowing days/months
+const fromZonedParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Two passes settle the offset across DST transitions
+  let instant = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  instant = wallClock - getOffsetMs(new Date(instant), timeZone);
+
+  return new Date(instant);
+};
+
+// Days in a month (month is 1-based)
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+module.exports = {
+  isValidTimeZone,
+  toZonedParts,
+  fromZonedParts,
+  getOffsetMs,
+  daysInMonth
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// AES-256-GCM encryption for secrets stored in the database (e.g. Zoom OAuth tokens).
+// Output format: v1.<iv>.<auth tag>.<ciphertext>, each part base64url.
+
+const VERSION = 'v1';
+
+// 32-byte key from ZOOM_TOKEN_ENCRYPTION_KEY, given as 64 hex characters or base64
+const getKey = () => {
+  const secret = process.env.ZOOM_TOKEN_ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('ZOOM_TOKEN_ENCRYPTION_KEY is not set');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(secret) ? Buffer.from(secret, 'hex') : Buffer.from(secret, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('ZOOM_TOKEN_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+
+  return key;
+};
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.');
+};
+
+// Throws if the value was tampered with or encrypted under another key
+const decrypt = (encrypted) => {
+  const [version, iv, tag, ciphertext] = String(encrypted).split('.');
+
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted token format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,372 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const tokenCipher = require('./tokenCipher');
+const accountTokenService = require('./accountTokenService');
+const { AccountTokenError } = require('./accountTokenService');
+
+const prisma = new PrismaClient();
+
+// RFC 6238 defaults, which every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now a code is accepted for, for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const CHALLENGE_PURPOSE = 'two_factor_login';
+
+// 2FA request that can't be honoured; routes turn it into a response
+class TwoFactorError extends Error {
+  constructor(message, { status = 400, code, details } = {}) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = String(text).toUpperCase().replace(/=+$/, '').split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// Recovery codes are compared case-, space- and dash-insensitively
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// TOTP two-factor authentication. Secrets are stored encrypted with the
+// same key as Zoom OAuth tokens; recovery codes only as hashes.
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Zoom Event Platform';
+    this.challengeTtlMinutes = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES || '5', 10);
+    this.maxChallengeAttempts = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5', 10);
+    // Wrong codes across all of a user's challenges; new challenges don't reset it
+    this.lockoutAttempts = parseInt(process.env.TWO_FACTOR_LOCKOUT_ATTEMPTS || '10', 10);
+    this.lockoutWindowMs = parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES || '15', 10) * 60 * 1000;
+  }
+
+  // HOTP value (RFC 4226) of the secret for a counter
+  hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac('sha1', secret).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const value = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  // Time step the code is valid for, or null
+  matchTotp(secret, code, now = Date.now()) {
+    const candidate = String(code).replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+    const step = this.currentStep(now);
+    for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+      const expected = this.hotp(secret, step + offset);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step + offset;
+      }
+    }
+
+    return null;
+  }
+
+  // otpauth:// URI for authenticator apps; the frontend renders it as a QR code
+  provisioningUri(user, secretBase32) {
+    const label = encodeURIComponent(`${this.issuer}:${user.email}`);
+    // Percent-encoded rather than URLSearchParams' '+', which some apps show as is
+    const params = Object.entries({
+      secret: secretBase32,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: DIGITS,
+      period: STEP_SECONDS
+    }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  secretFor(user) {
+    return base32Decode(tokenCipher.decrypt(user.twoFactorSecret));
+  }
+
+  // Check a TOTP code and remember its step, so the same code can't be
+  // used twice (even by two requests at once)
+  async useTotp(user, code) {
+    if (!user.twoFactorSecret) return false;
+
+    const step = this.matchTotp(this.secretFor(user), code);
+    if (step === null) return false;
+
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+      },
+      data: { twoFactorLastStep: step }
+    });
+
+    return count === 1;
+  }
+
+  // Mark a recovery code used; false if it's unknown or spent
+  async useRecoveryCode(user, code) {
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: { userId: user.id, codeHash: hashRecoveryCode(code), usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    return count === 1;
+  }
+
+  // A TOTP code or, failing that, a recovery code
+  async verifyCode(user, { code, recoveryCode }) {
+    if (code && await this.useTotp(user, code)) return 'totp';
+    if (recoveryCode && await this.useRecoveryCode(user, recoveryCode)) return 'recovery_code';
+    return null;
+  }
+
+  async assertCode(user, codes) {
+    const method = await this.verifyCode(user, codes);
+
+    if (!method) {
+      throw new TwoFactorError('Invalid authentication code', { status: 401, code: 'INVALID_CODE' });
+    }
+
+    return method;
+  }
+
+  // Replace the user's recovery codes; the plaintext is only ever returned here
+  async generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10);
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await prisma.$transaction([
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+      ...codes.map(code => prisma.twoFactorRecoveryCode.create({
+        data: { userId, codeHash: hashRecoveryCode(code) }
+      }))
+    ]);
+
+    return codes;
+  }
+
+  async getStatus(userId) {
+    const [user, recoveryCodesRemaining, requiredBy] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId }, select: { twoFactorEnabledAt: true } }),
+      prisma.twoFactorRecoveryCode.count({ where: { userId, usedAt: null } }),
+      this.organizationsRequiring(userId)
+    ]);
+
+    return {
+      enabled: Boolean(user?.twoFactorEnabledAt),
+      enabledAt: user?.twoFactorEnabledAt || null,
+      recoveryCodesRemaining: user?.twoFactorEnabledAt ? recoveryCodesRemaining : 0,
+      requiredBy
+    };
+  }
+
+  // Organizations of the user that require 2FA
+  async organizationsRequiring(userId) {
+    const memberships = await prisma.organizationMember.findMany({
+      where: { userId, organization: { requireTwoFactor: true } },
+      select: { organization: { select: { id: true, name: true } } }
+    });
+
+    return memberships.map(({ organization }) => organization);
+  }
+
+  // Start enrollment with a new secret. Nothing changes at sign-in until
+  // enable() confirms the app produces matching codes.
+  async setup(user) {
+    if (user.twoFactorEnabledAt) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', { status: 409, code: 'ALREADY_ENABLED' });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: tokenCipher.encrypt(secret), twoFactorLastStep: null }
+    });
+
+    return { secret, otpauthUri: this.provisioningUri(user, secret) };
+  }
+
+  // Finish enrollment with a code from the app; returns the recovery codes
+  async enable(user, code) {
+    if (user.twoFactorEnabledAt) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', { status: 409, code: 'ALREADY_ENABLED' });
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new TwoFactorError('Start two-factor setup first', { status: 409, code: 'SETUP_REQUIRED' });
+    }
+
+    if (!(await this.useTotp(user, code))) {
+      throw new TwoFactorError('Invalid authentication code', { status: 401, code: 'INVALID_CODE' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabledAt: new Date() }
+    });
+
+    return this.generateRecoveryCodes(user.id);
+  }
+
+  // Turn 2FA off with the password and a current code. Not allowed while an
+  // organization the user belongs to requires it.
+  async disable(user, { password, code, recoveryCode }) {
+    if (!user.twoFactorEnabledAt) {
+      throw new TwoFactorError('Two-factor authentication is not enabled', { status: 409, code: 'NOT_ENABLED' });
+    }
+
+    if (!user.password || !(await bcrypt.compare(String(password), user.password))) {
+      throw new TwoFactorError('Password is incorrect', { status: 401, code: 'INVALID_PASSWORD' });
+    }
+
+    const requiredBy = await this.organizationsRequiring(user.id);
+    if (requiredBy.length > 0) {
+      throw new TwoFactorError('An organization you belong to requires two-factor authentication', {
+        status: 409,
+        code: 'TWO_FACTOR_REQUIRED',
+        details: { organizations: requiredBy }
+      });
+    }
+
+    await this.assertCode(user, { code, recoveryCode });
+
+    await prisma.$transaction([
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null }
+      })
+    ]);
+  }
+
+  // New recovery codes, confirmed with a current code
+  async regenerateRecoveryCodes(user, codes) {
+    if (!user.twoFactorEnabledAt) {
+      throw new TwoFactorError('Two-factor authentication is not enabled', { status: 409, code: 'NOT_ENABLED' });
+    }
+
+    await this.assertCode(user, codes);
+
+    return this.generateRecoveryCodes(user.id);
+  }
+
+  // 429 once the user's recent challenges add up to too many wrong codes, so
+  // signing in again for a fresh challenge doesn't buy more guesses
+  async assertNotLockedOut(userId) {
+    const since = new Date(Date.now() - this.lockoutWindowMs);
+
+    const failed = await prisma.accountToken.findMany({
+      where: { userId, purpose: CHALLENGE_PURPOSE, createdAt: { gt: since }, attempts: { gt: 0 } },
+      select: { attempts: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const attempts = failed.reduce((sum, challenge) => sum + challenge.attempts, 0);
+
+    if (attempts >= this.lockoutAttempts) {
+      const retryAfter = Math.ceil((failed[0].createdAt.getTime() + this.lockoutWindowMs - Date.now()) / 1000);
+
+      throw new TwoFactorError('Too many incorrect authentication codes; try again later', {
+        status: 429,
+        code: 'TOO_MANY_ATTEMPTS',
+        details: { retryAfter: Math.max(retryAfter, 1) }
+      });
+    }
+  }
+
+  // Second sign-in step, issued once the password checks out
+  async createChallenge(user) {
+    await this.assertNotLockedOut(user.id);
+
+    const { token, expiresAt } = await accountTokenService.createToken(
+      user,
+      CHALLENGE_PURPOSE,
+      this.challengeTtlMinutes * 60 * 1000
+    );
+
+    return { challengeToken: token, expiresAt };
+  }
+
+  // Complete a sign-in challenge; returns the user. A challenge allows a few
+  // wrong codes, then the password has to be entered again.
+  async completeChallenge(challengeToken, codes) {
+    let challenge;
+    try {
+      challenge = await accountTokenService.verify(challengeToken, CHALLENGE_PURPOSE);
+    } catch (error) {
+      if (!(error instanceof AccountTokenError)) throw error;
+      throw new TwoFactorError('Sign-in challenge has expired or is invalid; sign in again', {
+        status: 401,
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    const { user } = challenge;
+    // Challenges issued before the lockout can't be used to keep guessing
+    await this.assertNotLockedOut(user.id);
+
+    const method = await this.verifyCode(user, codes);
+
+    if (!method) {
+      const { attempts } = await prisma.accountToken.update({
+        where: { id: challenge.id },
+        data: { attempts: { increment: 1 } }
+      });
+
+      if (attempts >= this.maxChallengeAttempts) {
+        await accountTokenService.revoke(challenge.id);
+      }
+
+      throw new TwoFactorError('Invalid authentication code', {
+        status: 401,
+        code: 'INVALID_CODE',
+        details: { attemptsRemaining: Math.max(this.maxChallengeAttempts - attempts, 0) }
+      });
+    }
+
+    if (!(await accountTokenService.revoke(challenge.id))) {
+      throw new TwoFactorError('Sign-in challenge has expired or is invalid; sign in again', {
+        status: 401,
+        code: 'CHALLENGE_INVALID'
+      });
+    }
+
+    return { user, method };
+  }
+}
+
+module.exports = new TwoFactorService();
+module.exports.TwoFactorError = TwoFactorError;
@@ -0,0 +1,39 @@
+// Remembers recently processed webhook deliveries so a replayed or re-sent
+// delivery is acknowledged without being processed a second time.
+// In-memory by default; swap in a shared store (e.g. Redis SET NX PX) when
+// running several instances by implementing the same claim/release interface.
+class WebhookReplayStore {
+  constructor(ttlMs = parseInt(process.env.ZOOM_WEBHOOK_REPLAY_TTL_MS || String(2 * 60 * 60 * 1000), 10)) {
+    this.ttlMs = ttlMs;
+    this.seen = new Map();
+  }
+
+  // Drop entries older than the TTL
+  prune(now = Date.now()) {
+    for (const [id, expiresAt] of this.seen) {
+      if (expiresAt <= now) {
+        this.seen.delete(id);
+      }
+    }
+  }
+
+  // Record a delivery ID; returns false if it was already claimed
+  async claim(id) {
+    const now = Date.now();
+    this.prune(now);
+
+    if (this.seen.has(id)) {
+      return false;
+    }
+
+    this.seen.set(id, now + this.ttlMs);
+    return true;
+  }
+
+  // Forget a delivery so Zoom's retry can be processed after a failure
+  async release(id) {
+    this.seen.delete(id);
+  }
+}
+
+module.exports = new WebhookReplayStore();
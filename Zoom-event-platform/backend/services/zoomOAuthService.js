@@ -0,0 +1,275 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const tokenCipher = require('./tokenCipher');
+
+const prisma = new PrismaClient();
+
+const ZOOM_OAUTH_URL = 'https://zoom.us/oauth';
+
+// Refresh this long before Zoom's expiry so in-flight requests don't race it
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// OAuth failure. 4xx statuses mean the user has to reconnect, so retrying can't help.
+class ZoomOAuthError extends Error {
+  constructor(message, { status, code, details } = {}) {
+    super(message);
+    this.name = 'ZoomOAuthError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  get retryable() {
+    return !this.status || this.status >= 500;
+  }
+}
+
+// Per-organizer Zoom accounts linked with the OAuth authorization-code flow.
+// Tokens are stored encrypted and refreshed on demand.
+class ZoomOAuthService {
+  constructor() {
+    this.clientId = process.env.ZOOM_OAUTH_CLIENT_ID;
+    this.clientSecret = process.env.ZOOM_OAUTH_CLIENT_SECRET;
+    this.redirectUri = process.env.ZOOM_OAUTH_REDIRECT_URI;
+    this.timeoutMs = parseInt(process.env.ZOOM_API_TIMEOUT_MS || '15000', 10);
+    // One refresh per user at a time; Zoom rotates the refresh token on every use
+    this.refreshes = new Map();
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret && this.redirectUri);
+  }
+
+  basicAuth() {
+    return `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`;
+  }
+
+  // Zoom's consent page URL. The state is a short-lived signed token naming the user.
+  getAuthorizationUrl(userId) {
+    const state = jwt.sign(
+      { sub: userId, nonce: crypto.randomBytes(8).toString('hex'), purpose: 'zoom_oauth' },
+      process.env.JWT_SECRET,
+      { expiresIn: '10m' }
+    );
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      state
+    });
+
+    return `${ZOOM_OAUTH_URL}/authorize?${params}`;
+  }
+
+  // Check a state issued by getAuthorizationUrl belongs to the signed-in
+  // user finishing the flow. Without this, a consent link started by someone
+  // else would connect the victim's Zoom account to the attacker's user.
+  verifyState(state, userId) {
+    try {
+      const payload = jwt.verify(state, process.env.JWT_SECRET);
+      if (payload.purpose !== 'zoom_oauth') throw new Error('Wrong token purpose');
+      if (payload.sub !== userId) throw new Error('State issued to another user');
+      return payload.sub;
+    } catch (error) {
+      throw new ZoomOAuthError('Invalid or expired OAuth state', { status: 400, code: 'INVALID_STATE' });
+    }
+  }
+
+  // POST to Zoom's token endpoint
+  async requestToken(params) {
+    try {
+      const response = await axios.post(`${ZOOM_OAUTH_URL}/token`, null, {
+        params,
+        headers: {
+          'Authorization': this.basicAuth(),
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: this.timeoutMs
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Zoom OAuth token error:', error.response?.data || error.message);
+      throw new ZoomOAuthError(error.response?.data?.reason || 'Zoom OAuth token request failed', {
+        status: error.response?.status,
+        code: error.response?.data?.error,
+        details: error.response?.data
+      });
+    }
+  }
+
+  // Encrypted token columns for a token response
+  tokenData(tokens) {
+    return {
+      accessTokenEncrypted: tokenCipher.encrypt(tokens.access_token),
+      refreshTokenEncrypted: tokenCipher.encrypt(tokens.refresh_token),
+      tokenExpiresAt: new Date(Date.now() + tokens.expires_in * 1000),
+      scopes: tokens.scope || null
+    };
+  }
+
+  // Finish the authorization-code flow and store the connection
+  async connect(userId, code) {
+    const tokens = await this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri
+    });
+
+    let zoomUser;
+    try {
+      const response = await axios.get('https://api.zoom.us/v2/users/me', {
+        headers: { 'Authorization': `Bearer ${tokens.access_token}` },
+        timeout: this.timeoutMs
+      });
+      zoomUser = response.data;
+    } catch (error) {
+      throw new ZoomOAuthError('Failed to read the connected Zoom user', {
+        status: error.response?.status,
+        details: error.response?.data
+      });
+    }
+
+    const data = {
+      ...this.tokenData(tokens),
+      zoomUserId: zoomUser.id,
+      zoomAccountId: zoomUser.account_id,
+      zoomEmail: zoomUser.email
+    };
+
+    const accountInUse = () => new ZoomOAuthError('This Zoom account is already connected to another user', {
+      status: 409,
+      code: 'ZOOM_ACCOUNT_IN_USE'
+    });
+
+    const linked = await prisma.zoomConnection.findUnique({ where: { zoomUserId: zoomUser.id } });
+    if (linked && linked.userId !== userId) {
+      throw accountInUse();
+    }
+
+    try {
+      return await prisma.zoomConnection.upsert({
+        where: { userId },
+        create: { ...data, userId },
+        update: data
+      });
+    } catch (error) {
+      // Linked to someone else concurrently
+      if (error.code === 'P2002') throw accountInUse();
+      throw error;
+    }
+  }
+
+  async getConnection(userId) {
+    return prisma.zoomConnection.findUnique({
+      where: { userId }
+    });
+  }
+
+  // Valid access token for the user's connection, refreshing it when due
+  async getAccessToken(userId, { forceRefresh = false } = {}) {
+    const connection = await this.getConnection(userId);
+
+    if (!connection) {
+      throw new ZoomOAuthError('Zoom account is not connected', { status: 403, code: 'ZOOM_NOT_CONNECTED' });
+    }
+
+    if (!forceRefresh && connection.tokenExpiresAt.getTime() - EXPIRY_MARGIN_MS > Date.now()) {
+      return {
+        accessToken: tokenCipher.decrypt(connection.accessTokenEncrypted),
+        expiresAt: connection.tokenExpiresAt
+      };
+    }
+
+    if (!this.refreshes.has(userId)) {
+      this.refreshes.set(userId, this.refresh(connection).finally(() => {
+        this.refreshes.delete(userId);
+      }));
+    }
+
+    return this.refreshes.get(userId);
+  }
+
+  // Exchange the refresh token for a new token pair
+  async refresh(connection) {
+    let tokens;
+
+    try {
+      tokens = await this.requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: tokenCipher.decrypt(connection.refreshTokenEncrypted)
+      });
+    } catch (error) {
+      // The grant was revoked or expired; the organizer has to connect again
+      if (error.status === 400 || error.status === 401) {
+        await prisma.zoomConnection.deleteMany({ where: { id: connection.id } });
+        throw new ZoomOAuthError('Zoom authorization expired, reconnect your Zoom account', {
+          status: 401,
+          code: 'ZOOM_REAUTHORIZATION_REQUIRED'
+        });
+      }
+      throw error;
+    }
+
+    const updated = await prisma.zoomConnection.update({
+      where: { id: connection.id },
+      data: this.tokenData(tokens)
+    });
+
+    return {
+      accessToken: tokens.access_token,
+      expiresAt: updated.tokenExpiresAt
+    };
+  }
+
+  // Revoke the tokens at Zoom and forget the connection
+  async disconnect(userId) {
+    const connection = await this.getConnection(userId);
+    if (!connection) return false;
+
+    try {
+      await axios.post(`${ZOOM_OAUTH_URL}/revoke`, null, {
+        params: { token: tokenCipher.decrypt(connection.refreshTokenEncrypted) },
+        headers: { 'Authorization': this.basicAuth() },
+        timeout: this.timeoutMs
+      });
+    } catch (error) {
+      // Still remove it locally; a token we no longer hold can't be used
+      console.error('Zoom OAuth revoke error:', error.response?.data || error.message);
+    }
+
+    await prisma.zoomConnection.delete({ where: { id: connection.id } });
+    return true;
+  }
+
+  // app_deauthorized webhook: the user removed the app in Zoom, so their tokens are already dead
+  async handleDeauthorization(payload) {
+    const { count } = await prisma.zoomConnection.deleteMany({
+      where: {
+        zoomUserId: payload.user_id,
+        ...(payload.account_id && { zoomAccountId: payload.account_id })
+      }
+    });
+
+    console.log(`Zoom app deauthorized by ${payload.user_id}, removed ${count} connection(s)`);
+    return count;
+  }
+
+  // Connection details safe to return to the client
+  toPublicConnection(connection) {
+    if (!connection) return null;
+
+    return {
+      zoomUserId: connection.zoomUserId,
+      zoomEmail: connection.zoomEmail,
+      scopes: connection.scopes ? connection.scopes.split(' ') : [],
+      connectedAt: connection.createdAt
+    };
+  }
+}
+
+module.exports = new ZoomOAuthService();
+module.exports.ZoomOAuthError = ZoomOAuthError;
@@ -1,23 +1,100 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const attendanceService = require('./attendanceService');
+const zoomOAuthService = require('./zoomOAuthService');
+const { ZoomOAuthError } = require('./zoomOAuthService');
+
+// Methods Zoom can safely receive twice, so they are retried after server errors and timeouts
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'PATCH', 'DELETE'];
+
+// Zoom API failure. Keeps the HTTP status and Zoom's own error code
+// (e.g. 3001 meeting not found, 124 invalid token) so callers can react to them.
+class ZoomApiError extends Error {
+  constructor(message, { status, code, details, retryAfter } = {}) {
+    super(message);
+    this.name = 'ZoomApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+
+  // Rate limits, server errors and network failures may succeed later
+  get retryable() {
+    return !this.status || this.status === 429 || this.status >= 500;
+  }
+
+  // Same error with context prepended to the message
+  static wrap(error, context) {
+    if (!(error instanceof ZoomApiError)) {
+      return new ZoomApiError(`${context}: ${error.message}`);
+    }
+
+    return new ZoomApiError(`${context}: ${error.message}`, {
+      status: error.status,
+      code: error.code,
+      details: error.details,
+      retryAfter: error.retryAfter
+    });
+  }
+}
 
 class ZoomService {
-  constructor() {
+  // With a userId the client acts as that organizer's connected Zoom account
+  // (see forUser); without one it uses the platform's Server-to-Server app.
+  constructor({ userId = null } = {}) {
+    this.userId = userId;
+    // The connected Zoom user, set by forUser; null for the platform account
+    this.zoomUserId = null;
+    this.clients = new Map();
+    this.forceTokenRefresh = false;
     this.accountId = process.env.ZOOM_ACCOUNT_ID;
     this.clientId = process.env.ZOOM_CLIENT_ID;
     this.clientSecret = process.env.ZOOM_CLIENT_SECRET;
     this.baseURL = 'https://api.zoom.us/v2';
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.tokenRequest = null;
+    this.timeoutMs = parseInt(process.env.ZOOM_API_TIMEOUT_MS || '15000', 10);
+    this.maxRetries = parseInt(process.env.ZOOM_API_MAX_RETRIES || '3', 10);
+    // Longer Retry-After waits (e.g. the daily limit) are returned to the caller instead
+    this.maxRetryAfterMs = 60 * 1000;
+    this.webhookSecret = process.env.ZOOM_WEBHOOK_SECRET;
+    // Secret token of the user-level OAuth app, whose webhooks arrive on their own endpoint
+    this.oauthWebhookSecret = process.env.ZOOM_OAUTH_WEBHOOK_SECRET;
+    this.webhookToleranceSeconds = parseInt(process.env.ZOOM_WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+    this.sdkSignatureTtlSeconds = parseInt(process.env.ZOOM_SDK_SIGNATURE_TTL_SECONDS || '1800', 10);
   }
 
-  // Generate Access Token using Server-to-Server OAuth
+  // Generate Access Token using Server-to-Server OAuth. Concurrent callers
+  // share one in-flight token request instead of each fetching their own.
   async getAccessToken() {
-    try {
-      // Check if token is still valid
-      if (this.accessToken && this.tokenExpiry > Date.now()) {
-        return this.accessToken;
-      }
+    // Check if token is still valid
+    if (this.accessToken && this.tokenExpiry > Date.now()) {
+      return this.accessToken;
+    }
+
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.requestAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+
+    return this.tokenRequest;
+  }
+
+  async requestAccessToken() {
+    if (this.userId) {
+      const forceRefresh = this.forceTokenRefresh;
+      this.forceTokenRefresh = false;
 
+      const { accessToken, expiresAt } = await zoomOAuthService.getAccessToken(this.userId, { forceRefresh });
+      this.accessToken = accessToken;
+      this.tokenExpiry = expiresAt.getTime();
+      return accessToken;
+    }
+
+    try {
       const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
       
       const response = await axios.post('https://zoom.us/oauth/token', null, {
@@ -28,7 +105,8 @@ class ZoomService {
         headers: {
           'Authorization': `Basic ${credentials}`,
           'Content-Type': 'application/x-www-form-urlencoded'
-        }
+        },
+        timeout: this.timeoutMs
       });
 
       this.accessToken = response.data.access_token;
@@ -38,34 +116,186 @@ class ZoomService {
       return this.accessToken;
     } catch (error) {
       console.error('Zoom token error:', error.response?.data || error.message);
-      throw new Error('Failed to get Zoom access token');
+      throw new ZoomApiError('Failed to get Zoom access token', {
+        status: error.response?.status,
+        details: error.response?.data
+      });
     }
   }
 
-  // Make authenticated API request
-  async makeRequest(method, endpoint, data = null) {
-    try {
-      const token = await this.getAccessToken();
-      
-      const config = {
-        method,
-        url: `${this.baseURL}${endpoint}`,
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
+  // Drop the cached token so the next request fetches a new one
+  invalidateAccessToken() {
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    // A rejected OAuth token is refreshed rather than read back from the database
+    this.forceTokenRefresh = Boolean(this.userId);
+  }
+
+  // Whether Server-to-Server credentials are configured
+  isConfigured() {
+    return Boolean(this.accountId && this.clientId && this.clientSecret);
+  }
+
+  // Client for creating an organizer's meetings: their connected Zoom account
+  // when they have one, otherwise the platform's Server-to-Server account.
+  // Store the client's zoomUserId as the meeting's zoomOwnerId.
+  async forUser(userId) {
+    if (!userId || this.userId) {
+      return this;
+    }
+
+    const connection = await zoomOAuthService.getConnection(userId);
+
+    if (!connection) {
+      if (this.isConfigured()) {
+        return this;
+      }
+
+      throw new ZoomOAuthError('Connect a Zoom account to host meetings', { status: 403, code: 'ZOOM_NOT_CONNECTED' });
+    }
+
+    return this.connectedClient(userId, connection);
+  }
+
+  // Client for an existing meeting (an event or series): the account that
+  // created it. A meeting in a connected account is out of reach of the
+  // platform account, so it fails until the organizer reconnects that account.
+  async forMeeting({ userId, zoomOwnerId }) {
+    if (!zoomOwnerId || this.userId) {
+      return this;
+    }
+
+    const connection = await zoomOAuthService.getConnection(userId);
+
+    if (!connection || connection.zoomUserId !== zoomOwnerId) {
+      throw new ZoomOAuthError('Reconnect the Zoom account this meeting was created in', {
+        status: 403,
+        code: 'ZOOM_NOT_CONNECTED'
+      });
+    }
+
+    return this.connectedClient(userId, connection);
+  }
+
+  connectedClient(userId, connection) {
+    // Cached so each organizer's token is shared (and refreshed once) across requests
+    if (!this.clients.has(userId)) {
+      this.clients.set(userId, new ZoomService({ userId }));
+    }
+
+    const client = this.clients.get(userId);
+    client.zoomUserId = connection.zoomUserId;
+    return client;
+  }
+
+  // Milliseconds to wait before retrying, from Retry-After (seconds or a date)
+  // or exponential backoff with jitter
+  retryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (!isNaN(delay)) return Math.max(delay, 0);
+    }
+
+    return Math.round(Math.min(500 * 2 ** attempt, 30000) * (0.5 + Math.random()));
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Make authenticated API request. Retries rate limits (429) after Retry-After,
+  // and server errors and timeouts for idempotent methods; an expired token is refreshed once.
+  async makeRequest(method, endpoint, data = null, params = null, { timeout = this.timeoutMs, retries = this.maxRetries } = {}) {
+    const idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase());
+    let refreshedToken = false;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const token = await this.getAccessToken();
+
+        const config = {
+          method,
+          url: `${this.baseURL}${endpoint}`,
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          timeout
+        };
+
+        if (data) {
+          config.data = data;
+        }
+
+        if (params) {
+          config.params = params;
+        }
+
+        const response = await axios(config);
+        return response.data;
+      } catch (error) {
+        if (error instanceof ZoomApiError) {
+          throw error;
+        }
+
+        const status = error.response?.status;
+
+        if (status === 401 && !refreshedToken) {
+          refreshedToken = true;
+          this.invalidateAccessToken();
+          continue;
+        }
+
+        const delay = this.retryDelay(error, attempt);
+        const canRetry = attempt < retries && delay <= this.maxRetryAfterMs &&
+          (status === 429 || (idempotent && (!status || status >= 500)));
+
+        if (canRetry) {
+          console.warn(`Zoom API ${method} ${endpoint} failed (${status || error.code}), retrying in ${delay}ms`);
+          await this.sleep(delay);
+          continue;
         }
-      };
 
-      if (data) {
-        config.data = data;
+        console.error('Zoom API error:', error.response?.data || error.message);
+        throw new ZoomApiError(error.response?.data?.message || error.message || 'Zoom API request failed', {
+          status,
+          code: error.response?.data?.code,
+          details: error.response?.data,
+          retryAfter: status === 429 ? delay : undefined
+        });
       }
+    }
+  }
 
-      const response = await axios(config);
-      return response.data;
-    } catch (error) {
-      console.error('Zoom API error:', error.response?.data || error.message);
-      throw new Error(error.response?.data?.message || 'Zoom API request failed');
+  // Iterate every item of a paginated list endpoint, following next_page_token
+  async *paginate(endpoint, params = {}, itemsKey) {
+    let nextPageToken;
+
+    do {
+      const page = await this.makeRequest('GET', endpoint, null, {
+        page_size: 300,
+        ...params,
+        ...(nextPageToken && { next_page_token: nextPageToken })
+      });
+
+      for (const item of page[itemsKey] || []) {
+        yield item;
+      }
+
+      nextPageToken = page.next_page_token;
+    } while (nextPageToken);
+  }
+
+  // Collect every item of a paginated list endpoint
+  async paginateAll(endpoint, params, itemsKey) {
+    const items = [];
+    for await (const item of this.paginate(endpoint, params, itemsKey)) {
+      items.push(item);
     }
+    return items;
   }
 
   // Create a new meeting
@@ -121,63 +351,160 @@ class ZoomService {
         join_url: result.join_url,
         start_url: result.start_url,
         created_at: result.created_at,
-        settings: result.settings
+        settings: result.settings,
+        recurrence: result.recurrence,
+        occurrences: result.occurrences
       };
     } catch (error) {
-      throw new Error(`Failed to create Zoom meeting: ${error.message}`);
+      throw ZoomApiError.wrap(error, 'Failed to create Zoom meeting');
     }
   }
 
+  // Query parameters selecting one occurrence of a recurring meeting
+  occurrenceParams(occurrenceId, name = 'occurrence_id') {
+    return occurrenceId ? { [name]: occurrenceId } : null;
+  }
+
   // Get meeting details
-  async getMeeting(meetingId) {
+  async getMeeting(meetingId, { occurrenceId } = {}) {
     try {
-      const meeting = await this.makeRequest('GET', `/meetings/${meetingId}`);
+      const meeting = await this.makeRequest('GET', `/meetings/${meetingId}`, null, this.occurrenceParams(occurrenceId));
       return meeting;
     } catch (error) {
-      throw new Error(`Failed to get meeting details: ${error.message}`);
+      throw ZoomApiError.wrap(error, 'Failed to get meeting details');
     }
   }
 
-  // Update meeting
-  async updateMeeting(meetingId, updateData) {
+  // Update meeting, or a single occurrence of a recurring meeting
+  async updateMeeting(meetingId, updateData, { occurrenceId } = {}) {
     try {
-      await this.makeRequest('PATCH', `/meetings/${meetingId}`, updateData);
-      return await this.getMeeting(meetingId);
+      await this.makeRequest('PATCH', `/meetings/${meetingId}`, updateData, this.occurrenceParams(occurrenceId));
+      return await this.getMeeting(meetingId, { occurrenceId });
     } catch (error) {
-      throw new Error(`Failed to update meeting: ${error.message}`);
+      throw ZoomApiError.wrap(error, 'Failed to update meeting');
     }
   }
 
-  // Delete meeting
-  async deleteMeeting(meetingId) {
+  // Delete meeting, or a single occurrence of a recurring meeting
+  async deleteMeeting(meetingId, { occurrenceId } = {}) {
     try {
-      await this.makeRequest('DELETE', `/meetings/${meetingId}`);
+      await this.makeRequest('DELETE', `/meetings/${meetingId}`, null, this.occurrenceParams(occurrenceId));
       return { success: true };
     } catch (error) {
-      throw new Error(`Failed to delete meeting: ${error.message}`);
+      // Already gone counts as deleted, so retries are safe
+      if (error.status === 404 || error.code === 3001) {
+        return { success: true, alreadyDeleted: true };
+      }
+      throw ZoomApiError.wrap(error, 'Failed to delete meeting');
     }
   }
 
   // List meetings for user
   async listMeetings(type = 'scheduled') {
     try {
-      const response = await this.makeRequest('GET', `/users/me/meetings`, null, {
-        type: type,
-        page_size: 30
-      });
-      return response.meetings || [];
+      return await this.paginateAll('/users/me/meetings', { type }, 'meetings');
     } catch (error) {
-      throw new Error(`Failed to list meetings: ${error.message}`);
+      throw ZoomApiError.wrap(error, 'Failed to list meetings');
     }
   }
 
   // Get meeting participants
   async getMeetingParticipants(meetingId) {
     try {
-      const response = await this.makeRequest('GET', `/meetings/${meetingId}/participants`);
-      return response.participants || [];
+      return await this.paginateAll(`/meetings/${meetingId}/participants`, {}, 'participants');
+    } catch (error) {
+      throw ZoomApiError.wrap(error, 'Failed to get participants');
+    }
+  }
+
+  // Post-meeting participant report for a meeting instance: one row per join/leave span.
+  // Needs a paid account and the report scope; ready a few minutes after the meeting ends.
+  async getPastMeetingParticipants(meetingUuid) {
+    try {
+      return await this.paginateAll(`/report/meetings/${this.meetingUuidPath(meetingUuid)}/participants`, {
+        include_fields: 'registrant_id'
+      }, 'participants');
+    } catch (error) {
+      throw ZoomApiError.wrap(error, 'Failed to get participant report');
+    }
+  }
+
+  // Meeting UUIDs starting with "/" or containing "//" must be double-encoded in paths
+  meetingUuidPath(uuid) {
+    const encoded = encodeURIComponent(uuid);
+    return uuid.startsWith('/') || uuid.includes('//') ? encodeURIComponent(encoded) : encoded;
+  }
+
+  // Delete a meeting instance's cloud recordings; action is 'trash' (recoverable for 30 days) or 'delete'
+  async deleteMeetingRecordings(meetingUuid, { action = 'trash' } = {}) {
+    try {
+      await this.makeRequest('DELETE', `/meetings/${this.meetingUuidPath(meetingUuid)}/recordings`, null, { action });
+      return { success: true };
+    } catch (error) {
+      // 3301: no recording for this meeting
+      if (error.status === 404 || error.code === 3301) {
+        return { success: true, alreadyDeleted: true };
+      }
+      throw ZoomApiError.wrap(error, 'Failed to delete recordings');
+    }
+  }
+
+  // Stream a recording file from its download_url, passing a Range header through.
+  // The webhook's download token works without recording scopes but only for 24 hours.
+  async downloadRecordingFile(downloadUrl, { range, downloadToken } = {}) {
+    try {
+      const headers = range ? { 'Range': range } : {};
+
+      if (!downloadToken) {
+        headers['Authorization'] = `Bearer ${await this.getAccessToken()}`;
+      }
+
+      return await axios.get(downloadUrl, {
+        headers,
+        params: downloadToken ? { access_token: downloadToken } : undefined,
+        responseType: 'stream',
+        timeout: this.timeoutMs,
+        validateStatus: status => status === 200 || status === 206
+      });
+    } catch (error) {
+      // The body is an unread stream here, so only the status is useful
+      error.response?.data?.destroy?.();
+      throw new ZoomApiError(`Failed to download recording file: ${error.message}`, {
+        status: error.response?.status
+      });
+    }
+  }
+
+  // Register a person for a meeting (or one occurrence); returns their unique join URL
+  async addMeetingRegistrant(meetingId, registrant, { occurrenceId } = {}) {
+    try {
+      const result = await this.makeRequest('POST', `/meetings/${meetingId}/registrants`, {
+        email: registrant.email,
+        first_name: registrant.firstName,
+        last_name: registrant.lastName
+      }, this.occurrenceParams(occurrenceId, 'occurrence_ids'));
+
+      return {
+        registrant_id: result.registrant_id || result.id,
+        join_url: result.join_url,
+        topic: result.topic,
+        start_time: result.start_time
+      };
     } catch (error) {
-      throw new Error(`Failed to get participants: ${error.message}`);
+      throw ZoomApiError.wrap(error, 'Failed to add meeting registrant');
+    }
+  }
+
+  // Approve, cancel or deny meeting registrants
+  async updateRegistrantStatus(meetingId, action, registrants, { occurrenceId } = {}) {
+    try {
+      await this.makeRequest('PUT', `/meetings/${meetingId}/registrants/status`, {
+        action,
+        registrants: registrants.map(r => ({ id: r.id, email: r.email }))
+      }, this.occurrenceParams(occurrenceId));
+      return { success: true };
+    } catch (error) {
+      throw ZoomApiError.wrap(error, `Failed to ${action} meeting registrants`);
     }
   }
 
@@ -208,69 +535,116 @@ class ZoomService {
         last_login_time: user.last_login_time
       };
     } catch (error) {
-      throw new Error(`Failed to get user info: ${error.message}`);
+      throw ZoomApiError.wrap(error, 'Failed to get user info');
     }
   }
 
-  // Generate SDK JWT for frontend
-  generateSDKJWT(meetingNumber, role = 0) {
+  // Meeting SDK join signature for one meeting. Zoom requires the token to
+  // live between 30 minutes and 48 hours; iat is backdated to absorb clock skew.
+  generateSDKJWT(meetingNumber, role = 0, { ttlSeconds = this.sdkSignatureTtlSeconds } = {}) {
     const jwt = require('jsonwebtoken');
-    
+    const sdkKey = process.env.ZOOM_SDK_KEY;
+    const sdkSecret = process.env.ZOOM_SDK_SECRET;
+
+    if (!sdkKey || !sdkSecret) {
+      throw new Error('Zoom Meeting SDK credentials are not configured');
+    }
+
+    const iat = Math.floor(Date.now() / 1000) - 30;
+    const exp = iat + Math.min(Math.max(ttlSeconds, 30 * 60), 48 * 60 * 60);
+
     const payload = {
-      iss: process.env.ZOOM_SDK_KEY,
-      alg: 'HS256',
-      exp: Math.floor(Date.now() / 1000) + (60 * 60 * 2) // 2 hours
+      appKey: sdkKey,
+      sdkKey,
+      mn: String(meetingNumber),
+      role, // 0 = participant, 1 = host
+      iat,
+      exp,
+      tokenExp: exp
     };
 
-    const token = jwt.sign(payload, process.env.ZOOM_SDK_SECRET);
-    
     return {
-      signature: token,
-      meetingNumber,
-      role, // 0 = participant, 1 = host
-      sdkKey: process.env.ZOOM_SDK_KEY,
-      userName: 'User', // This should be dynamic based on actual user
-      userEmail: '', // This should be dynamic based on actual user
-      passWord: '' // Meeting password if required
+      signature: jwt.sign(payload, sdkSecret, { algorithm: 'HS256', header: { alg: 'HS256', typ: 'JWT' } }),
+      sdkKey,
+      meetingNumber: String(meetingNumber),
+      role,
+      expiresAt: new Date(exp * 1000).toISOString()
     };
   }
 
-  // Validate webhook signature
-  validateWebhook(payload, signature) {
-    const crypto = require('crypto');
+  // Host's ZAK token, which the Meeting SDK needs to start a meeting as host
+  async getZakToken() {
+    try {
+      const result = await this.makeRequest('GET', '/users/me/token', null, { type: 'zak' });
+      return result.token;
+    } catch (error) {
+      throw ZoomApiError.wrap(error, 'Failed to get ZAK token');
+    }
+  }
+
+  // Answer Zoom's endpoint.url_validation (CRC) challenge
+  generateUrlValidationResponse(plainToken, secret = this.webhookSecret) {
+    const encryptedToken = crypto
+      .createHmac('sha256', secret)
+      .update(plainToken)
+      .digest('hex');
+
+    return { plainToken, encryptedToken };
+  }
+
+  // Validate webhook signature (v0 scheme: HMAC over "v0:{timestamp}:{body}")
+  validateWebhook(rawBody, timestamp, signature, toleranceSeconds = this.webhookToleranceSeconds, secret = this.webhookSecret) {
+    if (!secret || !timestamp || !signature) {
+      return false;
+    }
+
+    // Reject stale or future-dated requests so captured deliveries can't be replayed later
+    const requestTime = parseInt(timestamp, 10);
+    const now = Math.floor(Date.now() / 1000);
+    if (isNaN(requestTime) || Math.abs(now - requestTime) > toleranceSeconds) {
+      return false;
+    }
+
     const computedSignature = crypto
-      .createHmac('sha256', process.env.ZOOM_WEBHOOK_SECRET)
-      .update(payload)
+      .createHmac('sha256', secret)
+      .update(`v0:${timestamp}:${rawBody}`)
       .digest('hex');
-    
-    return `sha256=${computedSignature}` === signature;
+
+    const expected = Buffer.from(`v0=${computedSignature}`);
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
   }
 
   // Handle webhook events
-  processWebhookEvent(event) {
-    const { event: eventType, payload } = event;
-    
+  async processWebhookEvent(event) {
+    const { event: eventType, payload, event_ts: eventTs } = event;
+
     switch (eventType) {
       case 'meeting.started':
-        console.log(`Meeting ${payload.object.id} started`);
-        // Update event status in database
-        break;
+        return attendanceService.handleMeetingStarted(payload, eventTs);
       case 'meeting.ended':
-        console.log(`Meeting ${payload.object.id} ended`);
-        // Update event status and collect analytics
-        break;
+        return attendanceService.handleMeetingEnded(payload, eventTs);
       case 'meeting.participant_joined':
-        console.log(`Participant joined meeting ${payload.object.id}`);
-        // Track attendance
-        break;
+        return attendanceService.handleParticipantJoined(payload, eventTs);
       case 'meeting.participant_left':
-        console.log(`Participant left meeting ${payload.object.id}`);
-        // Track attendance
-        break;
+        return attendanceService.handleParticipantLeft(payload, eventTs);
+      case 'recording.completed':
+        // Required here: recordingService uses this module
+        return require('./recordingService').handleRecordingCompleted(payload, {
+          downloadToken: event.download_token,
+          eventTs
+        });
+      case 'recording.trashed':
+      case 'recording.deleted':
+        return require('./recordingService').handleRecordingDeleted(payload);
+      case 'app_deauthorized':
+        return zoomOAuthService.handleDeauthorization(payload);
       default:
         console.log(`Unhandled webhook event: ${eventType}`);
     }
   }
 }
 
-module.exports = new ZoomService();
\ No newline at end of file
+module.exports = new ZoomService();
+module.exports.ZoomApiError = ZoomApiError;
\ No newline at end of file
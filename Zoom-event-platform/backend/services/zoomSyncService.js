@@ -0,0 +1,475 @@
+const { PrismaClient } = require('@prisma/client');
+const zoomService = require('./zoomService');
+const registrationService = require('./registrationService');
+const jobQueue = require('./jobQueue');
+
+const prisma = new PrismaClient();
+
+// Statuses that should have a Zoom registrant once the meeting exists
+const REGISTRANT_STATUSES = ['registered', 'joined', 'left'];
+
+// Keeps events and their Zoom meetings in step. Failed Zoom calls mark the
+// event and are retried from the job queue; reconcile() finds whatever drift is left.
+class ZoomSyncService {
+  // Meeting settings for a standalone event
+  defaultSettings() {
+    return {
+      host_video: true,
+      participant_video: true,
+      join_before_host: false,
+      mute_upon_entry: true,
+      waiting_room: true,
+      // Registration required and auto-approved, so each attendee gets their own join link
+      approval_type: 0,
+      registration_type: 1,
+      // Confirmations come from our own notification emails
+      registrants_confirmation_email: false,
+      registrants_email_notification: false
+    };
+  }
+
+  // Organizer's Zoom settings as stored on the event
+  parseSettings(event) {
+    try {
+      return event.settings ? JSON.parse(event.settings) : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  durationMinutes(event) {
+    return Math.ceil((new Date(event.endTime) - new Date(event.startTime)) / (1000 * 60));
+  }
+
+  // Zoom create payload for a standalone event
+  buildMeetingData(event, settings = {}) {
+    return {
+      topic: event.title,
+      type: 2, // Scheduled meeting
+      start_time: new Date(event.startTime).toISOString(),
+      duration: this.durationMinutes(event),
+      timezone: event.timezone,
+      agenda: event.description,
+      settings: {
+        ...this.defaultSettings(),
+        ...settings
+      }
+    };
+  }
+
+  // Zoom update payload carrying the event's current details. The topic is
+  // shared by every occurrence of a recurring meeting, so occurrences leave it alone.
+  buildMeetingUpdate(event) {
+    return {
+      ...(!event.zoomOccurrenceId && { topic: event.title }),
+      agenda: event.description,
+      start_time: new Date(event.startTime).toISOString(),
+      duration: this.durationMinutes(event)
+    };
+  }
+
+  async markSynced(eventIds) {
+    return prisma.event.updateMany({
+      where: { id: { in: eventIds } },
+      data: {
+        zoomSyncStatus: 'synced',
+        zoomSyncError: null,
+        zoomSyncedAt: new Date()
+      }
+    });
+  }
+
+  async markFailed(eventIds, error) {
+    return prisma.event.updateMany({
+      where: { id: { in: eventIds } },
+      data: {
+        zoomSyncStatus: 'failed',
+        zoomSyncError: error.message
+      }
+    });
+  }
+
+  // Record a failed create or update and retry it in the background
+  async queueEventSync(eventId, error) {
+    await this.markFailed([eventId], error);
+
+    // Zoom rejected the request itself; retrying would fail the same way
+    if (error.retryable === false) {
+      return null;
+    }
+
+    return jobQueue.enqueue('zoom.syncEvent', { eventId }, {
+      runAt: new Date(Date.now() + jobQueue.backoff(1)),
+      uniqueKey: `event:${eventId}:zoomSync`
+    });
+  }
+
+  // Record a failed recurring meeting creation and retry it in the background
+  async queueSeriesSync(seriesId, error) {
+    await prisma.event.updateMany({
+      where: { seriesId },
+      data: {
+        zoomSyncStatus: 'failed',
+        zoomSyncError: error.message
+      }
+    });
+
+    if (error.retryable === false) {
+      return null;
+    }
+
+    return jobQueue.enqueue('zoom.syncSeries', { seriesId }, {
+      runAt: new Date(Date.now() + jobQueue.backoff(1)),
+      uniqueKey: `series:${seriesId}:zoomSync`
+    });
+  }
+
+  // Retry a failed meeting (or occurrence) delete so it isn't left orphaned in Zoom
+  async queueMeetingDelete(meetingId, { occurrenceId, userId, zoomOwnerId } = {}) {
+    return jobQueue.enqueue('zoom.deleteMeeting', { meetingId, occurrenceId, userId, zoomOwnerId }, {
+      runAt: new Date(Date.now() + jobQueue.backoff(1)),
+      uniqueKey: `zoom:${meetingId}:${occurrenceId || 'meeting'}:delete`
+    });
+  }
+
+  // Bring one event's Zoom meeting in line with the database: create it if it
+  // is missing, otherwise push the current details. Throws so the job retries.
+  async syncEvent(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId }
+    });
+
+    // Deleted or cancelled since the job was queued
+    if (!event || event.status === 'cancelled') {
+      return null;
+    }
+
+    // Occurrences get their meeting from the series' recurring meeting
+    if (event.seriesId && !event.zoomMeetingId) {
+      return jobQueue.enqueue('zoom.syncSeries', { seriesId: event.seriesId }, {
+        uniqueKey: `series:${event.seriesId}:zoomSync`
+      });
+    }
+
+    try {
+      // A new meeting goes to the organizer's current account, an existing one stays where it is
+      const zoom = event.zoomMeetingId ? await zoomService.forMeeting(event) : await zoomService.forUser(event.userId);
+      let meetingId = event.zoomMeetingId;
+
+      if (!meetingId) {
+        const zoomMeeting = await zoom.createMeeting(this.buildMeetingData(event, this.parseSettings(event)));
+        meetingId = zoomMeeting.id.toString();
+
+        await prisma.event.update({
+          where: { id: event.id },
+          data: {
+            zoomMeetingId: meetingId,
+            zoomOwnerId: zoom.zoomUserId,
+            zoomMeetingUrl: zoomMeeting.join_url,
+            zoomPassword: zoomMeeting.password,
+            zoomHostKey: zoomMeeting.start_url
+          }
+        });
+      } else {
+        await zoom.updateMeeting(event.zoomMeetingId, this.buildMeetingUpdate(event), {
+          occurrenceId: event.zoomOccurrenceId
+        });
+      }
+
+      await this.pushAlternativeHosts(zoom, { ...event, zoomMeetingId: meetingId });
+    } catch (error) {
+      await this.markFailed([event.id], error);
+      throw error;
+    }
+
+    await this.markSynced([event.id]);
+    await this.syncRegistrants(event.id);
+
+    return prisma.event.findUnique({ where: { id: event.id } });
+  }
+
+  // Co-host emails for the event's meeting. Zoom keeps alternative hosts on
+  // the meeting, so a series' occurrences share theirs.
+  async alternativeHostEmails(event) {
+    const cohosts = await prisma.eventCohost.findMany({
+      where: event.zoomMeetingId ? { event: { zoomMeetingId: event.zoomMeetingId } } : { eventId: event.id },
+      include: { user: { select: { email: true } } },
+      distinct: ['userId']
+    });
+
+    return cohosts.map(c => c.user.email);
+  }
+
+  // Replace the meeting's alternative hosts with the event's co-hosts. Always
+  // sent, so co-hosts removed here are removed in Zoom too.
+  async pushAlternativeHosts(zoom, event) {
+    const emails = await this.alternativeHostEmails(event);
+
+    await zoom.updateMeeting(event.zoomMeetingId, {
+      settings: { alternative_hosts: emails.join(';') }
+    });
+
+    return emails;
+  }
+
+  // Push co-host changes to Zoom; failures are retried with the rest of the event
+  async syncAlternativeHosts(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId }
+    });
+
+    // Meetings created later pick their co-hosts up in syncEvent
+    if (!event || !event.zoomMeetingId || event.status === 'cancelled') {
+      return null;
+    }
+
+    try {
+      const zoom = await zoomService.forMeeting(event);
+      return await this.pushAlternativeHosts(zoom, event);
+    } catch (error) {
+      console.error('Zoom alternative hosts sync error:', error);
+      await this.queueEventSync(event.id, error);
+      return null;
+    }
+  }
+
+  // Register attendees who signed up while the meeting was missing
+  async syncRegistrants(eventId) {
+    const attendees = await prisma.attendee.findMany({
+      where: {
+        eventId,
+        status: { in: REGISTRANT_STATUSES },
+        zoomRegistrantId: null
+      }
+    });
+
+    for (const attendee of attendees) {
+      await registrationService.trySyncZoomRegistrant(attendee);
+    }
+  }
+
+  // Delete a meeting or occurrence; job handler for zoom.deleteMeeting
+  async deleteMeeting({ meetingId, occurrenceId, userId, zoomOwnerId }) {
+    const zoom = await zoomService.forMeeting({ userId, zoomOwnerId });
+    return zoom.deleteMeeting(meetingId, { occurrenceId });
+  }
+
+  // Upcoming meetings in every Zoom account the platform manages: its own
+  // Server-to-Server account and each organizer's connected account.
+  // ownerUserId is null for the platform account.
+  async listManagedMeetings() {
+    const connections = await prisma.zoomConnection.findMany({
+      select: { userId: true, zoomUserId: true }
+    });
+
+    const accounts = [
+      ...(zoomService.isConfigured() ? [{ ownerUserId: null }] : []),
+      ...connections.map(c => ({ ownerUserId: c.userId, zoomOwnerId: c.zoomUserId }))
+    ];
+
+    const meetings = [];
+    const failedAccounts = new Set();
+    const errors = [];
+
+    for (const { ownerUserId, zoomOwnerId } of accounts) {
+      try {
+        const zoom = ownerUserId ? await zoomService.forUser(ownerUserId) : zoomService;
+
+        for (const meeting of await zoom.listMeetings('upcoming')) {
+          meetings.push({ ...meeting, ownerUserId, zoomOwnerId });
+        }
+      } catch (error) {
+        failedAccounts.add(ownerUserId);
+        errors.push({ ownerUserId, error: error.message });
+      }
+    }
+
+    return {
+      meetings,
+      failedAccounts,
+      errors,
+      // Connected Zoom user by platform user
+      connectedAccounts: new Map(connections.map(c => [c.userId, c.zoomUserId]))
+    };
+  }
+
+  // Compare upcoming events with the managed accounts' upcoming Zoom meetings. With
+  // repair, events are re-synced from the database (the source of truth);
+  // orphaned meetings are only deleted when deleteOrphans is also set, since
+  // the Zoom account may hold meetings this platform didn't create.
+  async reconcile({ repair = false, deleteOrphans = false } = {}) {
+    const now = new Date();
+
+    const [{ meetings, failedAccounts, errors, connectedAccounts }, events] = await Promise.all([
+      this.listManagedMeetings(),
+      prisma.event.findMany({
+        where: {
+          status: 'scheduled',
+          startTime: { gt: now }
+        },
+        orderBy: { startTime: 'asc' }
+      })
+    ]);
+
+    const meetingsById = new Map(meetings.map(m => [String(m.id), m]));
+    const referenced = await prisma.event.findMany({
+      where: { zoomMeetingId: { in: [...meetingsById.keys()] } },
+      select: { zoomMeetingId: true },
+      distinct: ['zoomMeetingId']
+    });
+    const knownMeetingIds = new Set(referenced.map(e => e.zoomMeetingId));
+    const reportedSeries = new Set();
+    const drift = [];
+
+    for (const event of events) {
+      // A series shares one meeting, so a missing one is reported once
+      if (event.seriesId && reportedSeries.has(event.seriesId)) continue;
+
+      // A meeting in an account that is no longer connected can't be checked;
+      // recreating it elsewhere would strand the attendees' join links
+      const ownerAccount = event.zoomOwnerId ? event.userId : null;
+      if (ownerAccount && connectedAccounts.get(ownerAccount) !== event.zoomOwnerId) {
+        drift.push({ type: 'account_disconnected', eventId: event.id, seriesId: event.seriesId, zoomMeetingId: event.zoomMeetingId });
+        if (event.seriesId) reportedSeries.add(event.seriesId);
+        continue;
+      }
+
+      // Without the account's meeting list every meeting would look missing
+      if (failedAccounts.has(ownerAccount)) continue;
+
+      if (!event.zoomMeetingId) {
+        // Events created without Zoom on purpose are left alone
+        if (['pending', 'failed'].includes(event.zoomSyncStatus)) {
+          drift.push({ type: 'missing_meeting', eventId: event.id, seriesId: event.seriesId, error: event.zoomSyncError });
+        }
+        continue;
+      }
+
+      const meeting = meetingsById.get(event.zoomMeetingId);
+
+      if (!meeting) {
+        drift.push({ type: 'meeting_not_found', eventId: event.id, seriesId: event.seriesId, zoomMeetingId: event.zoomMeetingId });
+        if (event.seriesId) reportedSeries.add(event.seriesId);
+        continue;
+      }
+
+      // The meeting list only shows a recurring meeting's next occurrence, so
+      // occurrence times are checked through their sync status instead
+      if (event.zoomOccurrenceId) {
+        if (event.zoomSyncStatus === 'failed') {
+          drift.push({ type: 'stale_meeting', eventId: event.id, seriesId: event.seriesId, zoomMeetingId: event.zoomMeetingId, error: event.zoomSyncError });
+        }
+        continue;
+      }
+
+      const differences = [];
+      if (meeting.topic !== event.title) differences.push('topic');
+      // Zoom keeps start times to the minute
+      if (Math.floor(new Date(meeting.start_time) / 60000) !== Math.floor(new Date(event.startTime) / 60000)) differences.push('start_time');
+      if (meeting.duration !== this.durationMinutes(event)) differences.push('duration');
+
+      if (differences.length > 0) {
+        drift.push({ type: 'stale_meeting', eventId: event.id, zoomMeetingId: event.zoomMeetingId, differences });
+      }
+    }
+
+    for (const meeting of meetings) {
+      if (!knownMeetingIds.has(String(meeting.id))) {
+        drift.push({
+          type: 'orphaned_meeting',
+          zoomMeetingId: String(meeting.id),
+          ownerUserId: meeting.ownerUserId,
+          zoomOwnerId: meeting.zoomOwnerId,
+          topic: meeting.topic,
+          startTime: meeting.start_time
+        });
+      }
+    }
+
+    if (repair) {
+      for (const item of drift) {
+        try {
+          await this.repair(item, { deleteOrphans });
+          item.repaired = item.type === 'orphaned_meeting' ? deleteOrphans : item.type !== 'account_disconnected';
+        } catch (error) {
+          item.repaired = false;
+          item.repairError = error.message;
+        }
+      }
+    }
+
+    return {
+      checkedEvents: events.length,
+      checkedMeetings: meetings.length,
+      drift,
+      // Accounts whose meetings couldn't be listed; their events were skipped
+      errors
+    };
+  }
+
+  // Fix one drift entry reported by reconcile()
+  async repair(item, { deleteOrphans = false } = {}) {
+    switch (item.type) {
+      case 'meeting_not_found':
+        // Recreate from scratch: the old meeting and its registrants are gone
+        if (item.seriesId) {
+          await this.detachMeeting({ seriesId: item.seriesId });
+          return jobQueue.enqueue('zoom.syncSeries', { seriesId: item.seriesId }, {
+            uniqueKey: `series:${item.seriesId}:zoomSync`
+          });
+        }
+        await this.detachMeeting({ eventId: item.eventId });
+        return this.syncEvent(item.eventId);
+
+      case 'missing_meeting':
+      case 'stale_meeting':
+        return this.syncEvent(item.eventId);
+
+      case 'orphaned_meeting':
+        return deleteOrphans ? this.deleteMeeting({
+          meetingId: item.zoomMeetingId,
+          userId: item.ownerUserId,
+          zoomOwnerId: item.zoomOwnerId
+        }) : null;
+
+      default:
+        return null;
+    }
+  }
+
+  // Forget a meeting that no longer exists in Zoom, for an event or a whole series
+  async detachMeeting({ eventId, seriesId }) {
+    const where = seriesId ? { seriesId } : { id: eventId };
+    const events = await prisma.event.findMany({ where, select: { id: true } });
+    const eventIds = events.map(e => e.id);
+
+    await prisma.$transaction([
+      prisma.event.updateMany({
+        where: { id: { in: eventIds } },
+        data: {
+          zoomMeetingId: null,
+          zoomOccurrenceId: null,
+          zoomOwnerId: null,
+          zoomMeetingUrl: null,
+          zoomPassword: null,
+          zoomHostKey: null,
+          zoomSyncStatus: 'pending'
+        }
+      }),
+      prisma.attendee.updateMany({
+        where: { eventId: { in: eventIds } },
+        data: {
+          zoomRegistrantId: null,
+          zoomRegistrantStatus: null,
+          joinUrl: null
+        }
+      }),
+      ...(seriesId ? [prisma.eventSeries.update({
+        where: { id: seriesId },
+        data: { zoomMeetingId: null, zoomOwnerId: null }
+      })] : [])
+    ]);
+  }
+}
+
+module.exports = new ZoomSyncService();